@@ -1,6 +1,44 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Play, Pause, RotateCcw, Activity, TrendingUp } from 'lucide-react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Brush } from 'recharts';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Play, Pause, RotateCcw, Activity, TrendingUp, Dices, Gauge } from 'lucide-react';
+import { LineChart, ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Brush, ReferenceLine } from 'recharts';
+import { createSimulation } from './simulation/engine';
+import { STATUSES, statusCode } from './simulation/agents';
+import { SPEED_OPTIONS, MAX_SPEED } from './simulation/clock';
+import { randomSeed } from './simulation/random';
+import { createSimulationRunner } from './simulation/runner';
+import { deriveOdeRates, solveOde } from './simulation/ode';
+import { CASE_KINDS, alignCaseData } from './simulation/caseData';
+import { CORI_BIN, CORI_WINDOW } from './simulation/reproduction';
+import { FLAG_ISOLATED, FLAG_MASKED } from './simulation/snapshot';
+import { STATUS_COLORS, STATUS_LABELS, REGION_COLORS, SETTING_LABELS, SETTING_COLORS } from './components/theme';
+import { downloadFile } from './components/download';
+import { createRegions, HOTSPOT_RADIUS } from './simulation/regions';
+import { SETTINGS, settingShares } from './simulation/households';
+import { scenarioFromHash, healthcareCapacityMax, POPULATION_OPTIONS, PARAM_RANGES } from './simulation/scenarios';
+import { lockedParams, describeAction } from './simulation/policies';
+import VaccinationPanel from './components/VaccinationPanel';
+import TestingPanel from './components/TestingPanel';
+import EnvironmentPanel from './components/EnvironmentPanel';
+import HouseholdPanel from './components/HouseholdPanel';
+import BehaviourPanel from './components/BehaviourPanel';
+import MaskPanel from './components/MaskPanel';
+import ExportPanel from './components/ExportPanel';
+import ScenarioPanel from './components/ScenarioPanel';
+import AgeProfilePanel from './components/AgeProfilePanel';
+import PolicyTimelinePanel from './components/PolicyTimelinePanel';
+import BatchPanel from './components/BatchPanel';
+import SweepPanel from './components/SweepPanel';
+import ComparisonPanel from './components/ComparisonPanel';
+import CaseDataPanel from './components/CaseDataPanel';
+import PlaybackBar from './components/PlaybackBar';
+import TransmissionTreePanel from './components/TransmissionTreePanel';
+import { AGE_GROUPS, AGE_GROUP_LABELS, DEFAULT_AGE_PROFILE } from './simulation/ageProfiles';
+
+const DETAIL_LIMIT = 2000; // above this, skip outlines and infection rings
+
+// The keys of a grouped settings object, taken from `params`
+const pickSettings = (settings, params) =>
+  Object.fromEntries(Object.keys(settings).map(key => [key, params[key]]));
 
 const EpidemicSimulation = () => {
   const canvasRef = useRef(null);
@@ -14,314 +52,299 @@ const EpidemicSimulation = () => {
   const [mobilityRate, setMobilityRate] = useState(0.5);
   const [initialInfected, setInitialInfected] = useState(3);
   const [quarantineDelay, setQuarantineDelay] = useState(3000); // ms after infection
-  const [maskEnabled, setMaskEnabled] = useState(false); // NPI: masks reduce transmission
-  const [healthcareCapacity, setHealthcareCapacity] = useState(30); // active cases capacity threshold
-  const [vaccinationRate, setVaccinationRate] = useState(0); // persons per second
-  const [immunityDuration, setImmunityDuration] = useState(15000); // ms before waning
-  
-  const [stats, setStats] = useState({
-    healthy: 0,
-    infected: 0,
-    recovered: 0,
-    dead: 0,
-    r0Value: 0,  // R₀ from initial infections
-    rtValue: 0   // R_t current average
+  const [masks, setMasks] = useState({
+    maskEnabled: false, // NPI: mask mandate, see masks.js
+    maskAdherence: 0.8,
+    maskSourceEfficacy: 0.5,
+    maskWearerEfficacy: 0.3
   });
-
+  const [healthcareCapacity, setHealthcareCapacity] = useState(30); // hospital beds
+  const [hospitalizationRate, setHospitalizationRate] = useState(0.2); // share of symptomatic cases needing a bed
+  const [overloadMortalityFactor, setOverloadMortalityFactor] = useState(1.5);
+  const [vaccination, setVaccination] = useState({
+    vaccinationRate: 0, // doses per second
+    vaccinationStrategy: 'random',
+    vaccinationStart: 0, // ms
+    vaccineEfficacyInfection: 0.7,
+    vaccineEfficacyDeath: 0.9,
+    secondDoseEnabled: false,
+    secondDoseDelay: 5000 // ms
+  });
+  const [testing, setTesting] = useState({
+    testingEnabled: false,
+    testCapacity: 10, // tests per simulated day
+    testSensitivity: 0.8,
+    tracingSuccess: 0.6,
+    tracingQuarantine: 5000, // ms
+    contactMemory: 3000 // ms
+  });
+  const [immunityDuration, setImmunityDuration] = useState(15000); // ms before waning, 0 = lifelong
+  const [incubationMin, setIncubationMin] = useState(1000); // ms exposed before infectious
+  const [incubationMax, setIncubationMax] = useState(3000);
+  const [asymptomaticFraction, setAsymptomaticFraction] = useState(0.4);
+  const [ageProfile, setAgeProfile] = useState(DEFAULT_AGE_PROFILE);
+  const [policies, setPolicies] = useState([]); // scheduled interventions
+  const [layout, setLayout] = useState('single'); // communities, see LAYOUTS
+  const [seedFirstRegion, setSeedFirstRegion] = useState(true);
+  const [environment, setEnvironment] = useState({
+    travelProbability: 0.01, // per agent per second
+    bordersClosed: false,
+    hotspotsEnabled: false,
+    hotspotVisitRate: 0.1, // per agent per second
+    hotspotStay: 1500 // ms
+  });
+  const [structure, setStructure] = useState({
+    structuredContacts: false, // households and workplaces, see households.js
+    householdSize: 4,
+    workplaceSize: 20
+  });
+  const [schedule, setSchedule] = useState({
+    dayLength: 4000, // ms
+    homeInfectionRate: 0.2, // per second per pair
+    workInfectionRate: 0.02
+  });
+  const [behaviour, setBehaviour] = useState({
+    adaptiveBehaviour: false, // see behaviour.js
+    riskSensitivity: 20,
+    deathWeight: 10,
+    complianceSpread: 0.5,
+    fatigueRate: 0.05, // per second of full response
+    deathMemory: 5000 // ms
+  });
+  const [seed, setSeed] = useState(randomSeed); // same seed + params => same run
+  const [initRequest, setInitRequest] = useState(0); // bumped to rebuild the population
+  const [scenarioLinkError, setScenarioLinkError] = useState(null); // why the shared link did not load
+  
+  const [stats, setStats] = useState(() => createSimulation().stats);
   const [chartData, setChartData] = useState([]);
-  const [rtData, setRtData] = useState([]);
+  const [rtData, setRtData] = useState([]); // Cori estimates per incidence bin
+  const [caseRtData, setCaseRtData] = useState([]); // case R per completed infection cohort
+  const [showCori, setShowCori] = useState(true);
+  const [policyLog, setPolicyLog] = useState([]); // fired policies, for chart annotations
+  const [regionData, setRegionData] = useState([]); // active infections per community
+  const [showOde, setShowOde] = useState(false);
+  const [caseData, setCaseData] = useState(null); // imported real data, see caseData.js
+  const [caseDisplay, setCaseDisplay] = useState({ secondsPerDay: 1, scale: 1 }); // simulated s per data day, agents per case
+  const [calibration, setCalibration] = useState(null); // last fit to caseData
+  const [calibrating, setCalibrating] = useState(false);
+  const [calibrationError, setCalibrationError] = useState(null); // why the last fit failed
+  const calibrationIdRef = useRef(0); // drops fits of data or scalings replaced since
+  const [timeline, setTimeline] = useState([]); // checkpoint times (s) the run can be rewound to
+  const [playback, setPlayback] = useState(null); // { index, time } of the checkpoint shown, null = live
 
-  const simulationRef = useRef({
-    people: [],
-    time: 0,
-    infections: []
-  });
+  const [benchmarkResults, setBenchmarkResults] = useState([]);
+  const [isBenchmarking, setIsBenchmarking] = useState(false);
+  const [batchProgress, setBatchProgress] = useState(null); // { done, total } while running
+  const [batchResult, setBatchResult] = useState(null);
+  const [sweepProgress, setSweepProgress] = useState(null);
+  const [sweepResult, setSweepResult] = useState(null);
 
-  // Initialize population
-  const initializeSimulation = () => {
-    const canvas = canvasRef.current;
-    // Ensure simulation and chart initialize even if canvas isn't ready yet
-    const people = [];
-    const w = canvas?.width || 700;
-    const h = canvas?.height || 500;
-
-    for (let i = 0; i < populationSize; i++) {
-      people.push({
-        id: i,
-        x: Math.random() * w,
-        y: Math.random() * h,
-        vx: (Math.random() - 0.5) * 2,
-        vy: (Math.random() - 0.5) * 2,
-        status: i < initialInfected ? 'infected' : 'healthy',
-        infectedTime: i < initialInfected ? 0 : null,
-        ageGroup: (() => { const r = Math.random(); if (r < 0.25) return 'child'; if (r < 0.8) return 'adult'; return 'senior'; })(),
-        exposedTime: null,
-        incubationPeriod: 1000 + Math.random() * 2000, // 1-3s
-        asymptomatic: false,
-        infectionRadius: 8 + Math.random() * 4, // 8-12 px
-        personalRecovery: recoveryTime * (0.7 + Math.random() * 0.6), // 0.7x - 1.3x
-        oldRecoveryTime: recoveryTime, // Track previous recovery time for updates
-        immunityEndTime: null,
-        infectedBy: null,
-        infectionsSpread: 0
-      });
-    }
+  const [transmissionTree, setTransmissionTree] = useState(null);
+  const [highlightedId, setHighlightedId] = useState(null); // agent picked in the tree
+
+  const runnerRef = useRef(null);
+  const snapshotRef = useRef(null); // latest agent state posted by the host
+  const highlightRef = useRef(null); // highlightedId for the draw loop
+  const environmentRef = useRef(null); // walls and hotspots for the draw loop
+  const playbackRef = useRef(null); // playback for host messages
 
-    simulationRef.current = {
-      people,
-      time: 0,
-      infections: []
+  const currentParams = () => {
+    const canvas = canvasRef.current;
+    return {
+      populationSize,
+      infectionRate,
+      recoveryTime,
+      mobilityRate,
+      initialInfected,
+      quarantineDelay,
+      ...masks,
+      healthcareCapacity,
+      hospitalizationRate,
+      overloadMortalityFactor,
+      ...vaccination,
+      ...testing,
+      layout,
+      seedFirstRegion,
+      ...environment,
+      ...structure,
+      ...schedule,
+      ...behaviour,
+      immunityDuration,
+      incubationMin,
+      incubationMax,
+      asymptomaticFraction,
+      ageProfile,
+      policies,
+      seed,
+      // Ensure simulation and chart initialize even if canvas isn't ready yet
+      width: canvas?.width || 700,
+      height: canvas?.height || 500
     };
+  };
 
-    // Seed initial chart point so the graph is visible immediately
-    setChartData([{
-      time: 0,
-      Sehat: populationSize - initialInfected,
-      Terinfeksi: initialInfected,
-      Sembuh: 0,
-      Meninggal: 0
-    }]);
+  const selectAgent = (id) => {
+    highlightRef.current = id;
+    setHighlightedId(id);
   };
 
-  // Update simulation parameters without changing positions
-  const updateSimulationParameters = () => {
-    const sim = simulationRef.current;
-    if (sim.people.length === 0) return;
-
-    sim.people.forEach(person => {
-      // Update personal recovery time based on current recoveryTime parameter
-      // The original personalRecovery was: recoveryTime * (0.7 + Math.random() * 0.6)
-      // Which means it ranges from recoveryTime * 0.7 to recoveryTime * 1.3
-      // Extract the multiplier (0.7 to 1.3) by dividing by the old recoveryTime
-      
-      // Get the multiplier from the stored recovery time
-      if (person.oldRecoveryTime && person.oldRecoveryTime > 0) {
-        const multiplier = person.personalRecovery / person.oldRecoveryTime;
-        person.personalRecovery = recoveryTime * multiplier;
-      } else {
-        // Fallback: assume it's between 0.7 and 1.3
-        const multiplier = person.personalRecovery / 5000; // assuming default was around 5000
-        person.personalRecovery = recoveryTime * multiplier;
-      }
-      
-      person.oldRecoveryTime = recoveryTime; // Store for next update
-    });
+  const handleHostMessage = (message) => {
+    switch (message.type) {
+      case 'snapshot':
+        if (snapshotRef.current) runnerRef.current?.recycle(snapshotRef.current);
+        snapshotRef.current = message.snapshot;
+        break;
+      case 'samples':
+        if (message.reset) {
+          playbackRef.current = null;
+          setPlayback(null);
+        }
+        // While rewound, the stats panel shows the checkpoint instead
+        if (!playbackRef.current) setStats(message.stats);
+        setTimeline(message.history);
+        // Keep all data points for historical view
+        setChartData(prev => (message.reset ? message.series : [...prev, ...message.series]));
+        setRtData(prev => (message.reset ? message.rtSeries : [...prev, ...message.rtSeries]));
+        setCaseRtData(message.caseRt);
+        setPolicyLog(prev => (message.reset ? message.policyLog : [...prev, ...message.policyLog]));
+        setRegionData(prev => (message.reset ? message.regionSeries : [...prev, ...message.regionSeries]));
+        if (message.reset) {
+          setTransmissionTree(null);
+          highlightRef.current = null;
+          setHighlightedId(null);
+        }
+        break;
+      case 'historyFrame':
+        playbackRef.current = message.index === null ? null : { index: message.index, time: message.time };
+        setPlayback(playbackRef.current);
+        setStats(message.stats);
+        break;
+      case 'transmissionTree':
+        setTransmissionTree(message.tree);
+        break;
+      case 'benchmarkResult':
+        setBenchmarkResults(prev => [...prev, message.result]);
+        break;
+      case 'benchmarkDone':
+        setIsBenchmarking(false);
+        break;
+      case 'batchProgress':
+        setBatchProgress({ done: message.done, total: message.total });
+        break;
+      case 'batchResult':
+        setBatchProgress(null);
+        if (message.result) setBatchResult(message.result);
+        break;
+      case 'sweepProgress':
+        setSweepProgress({ done: message.done, total: message.total });
+        break;
+      case 'sweepResult':
+        setSweepProgress(null);
+        if (message.result) setSweepResult(message.result);
+        break;
+      case 'calibrationResult':
+        if (message.id !== calibrationIdRef.current) break;
+        setCalibrating(false);
+        setCalibration(message.result || null);
+        setCalibrationError(message.error || null);
+        break;
+      case 'exportData':
+        downloadFile(message.filename, message.content, message.mimeType);
+        break;
+      default:
+        break;
+    }
   };
 
+  // The engine runs in a Web Worker; this component only sends it messages
   useEffect(() => {
-    initializeSimulation();
-  }, [populationSize, initialInfected]);
+    const runner = createSimulationRunner(handleHostMessage);
+    runnerRef.current = runner;
+    return () => {
+      runner.terminate();
+      runnerRef.current = null;
+      snapshotRef.current = null;
+    };
+  }, []);
 
-  // Update parameters when simulation is running without reinitializing
-  useEffect(() => {
-    if (simulationRef.current.people.length > 0) {
-      updateSimulationParameters();
-    }
-  }, [recoveryTime, immunityDuration, quarantineDelay]);
-
-  // Monte Carlo: Check if infection occurs
-  const attemptInfection = (person1, person2) => {
-    // Quarantined individuals neither infect nor get infected
-    if (person1.status === 'quarantined' || person2.status === 'quarantined') return false;
-    const infectious = person1.status === 'infected' || (person1.status === 'asymptomatic');
-    if (infectious && person2.status === 'healthy') {
-      const maskFactor = maskEnabled ? 0.5 : 1; // masks halve transmission
-      const asympFactor = person1.status === 'asymptomatic' ? 0.5 : 1; // asymptomatic less infectious
-      const effectiveRate = infectionRate * maskFactor * asympFactor;
-      if (Math.random() < effectiveRate) {
-        person2.status = 'exposed';
-        person2.exposedTime = simulationRef.current.time;
-        person2.status = 'infected';
-        person2.infectedTime = simulationRef.current.time;
-        person2.infectedBy = person1.id;
-        person1.infectionsSpread++;
-        simulationRef.current.infections.push({
-          from: person1.id,
-          to: person2.id,
-          time: simulationRef.current.time
-        });
-        return true;
-      }
-    }
-    return false;
+  // Replace every parameter with a scenario's and start over
+  const applyScenario = (params) => {
+    setIsRunning(false);
+    setPopulationSize(params.populationSize);
+    setInfectionRate(params.infectionRate);
+    setRecoveryTime(params.recoveryTime);
+    setMobilityRate(params.mobilityRate);
+    setInitialInfected(params.initialInfected);
+    setQuarantineDelay(params.quarantineDelay);
+    setMasks(prev => pickSettings(prev, params));
+    setHealthcareCapacity(params.healthcareCapacity);
+    setHospitalizationRate(params.hospitalizationRate);
+    setOverloadMortalityFactor(params.overloadMortalityFactor);
+    setVaccination(prev => pickSettings(prev, params));
+    setTesting(prev => pickSettings(prev, params));
+    setImmunityDuration(params.immunityDuration);
+    setIncubationMin(params.incubationMin);
+    setIncubationMax(params.incubationMax);
+    setAsymptomaticFraction(params.asymptomaticFraction);
+    setAgeProfile(params.ageProfile);
+    setPolicies(params.policies);
+    setLayout(params.layout);
+    setSeedFirstRegion(params.seedFirstRegion);
+    setEnvironment(prev => pickSettings(prev, params));
+    setStructure(prev => pickSettings(prev, params));
+    setSchedule(prev => pickSettings(prev, params));
+    setBehaviour(prev => pickSettings(prev, params));
+    setSeed(params.seed);
+    setInitRequest(request => request + 1);
   };
 
-  // Monte Carlo: Determine outcome (recovery or death)
-  const determineOutcome = (person, overCapacity) => {
-    const baseMortality = person.ageGroup === 'child' ? 0.2 : person.ageGroup === 'adult' ? 0.05 : 0.2;
-    const mortalityRate = baseMortality * (overCapacity ? 1.5 : 1.0);
-    if (Math.random() < mortalityRate) {
-      person.status = 'dead';
-      person.vx = 0;
-      person.vy = 0;
-    } else {
-      person.status = 'recovered';
-      person.immunityEndTime = simulationRef.current.time + (person.immunityDurationRef || immunityDuration);
+  // A shared link opens with its scenario loaded
+  useEffect(() => {
+    try {
+      const scenario = scenarioFromHash(window.location.hash);
+      if (scenario) applyScenario(scenario.params);
+    } catch (error) {
+      setScenarioLinkError(`Gagal memuat tautan: ${error.message}`);
     }
-  };
-
-  const updateSimulation = () => {
-    const sim = simulationRef.current;
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-
-    const w = canvas.width;
-    const h = canvas.height;
-    const deltaTime = 16 * speed;
-    sim.time += deltaTime;
-
-    const people = sim.people;
-
-    // Update each person
-    people.forEach(person => {
-      if (person.status === 'dead') return;
-      // Quarantined individuals do not move
-      const isQuarantined = person.status === 'quarantined';
-
-      // Movement with Monte Carlo random walk scaled by mobilityRate
-      if (!isQuarantined && mobilityRate > 0 && Math.random() < mobilityRate) {
-        const accelScale = mobilityRate; // scale acceleration by mobility
-        person.vx += (Math.random() - 0.5) * 0.5 * accelScale;
-        person.vy += (Math.random() - 0.5) * 0.5 * accelScale;
-
-        // Limit velocity: max speed proportional to mobility (keep small baseline)
-        const maxSpeed = 0.2 + 1.8 * mobilityRate; // 0.2 at 0, ~2 at 1
-        const currentSpeed = Math.sqrt(person.vx ** 2 + person.vy ** 2);
-        if (currentSpeed > maxSpeed) {
-          person.vx = (person.vx / currentSpeed) * maxSpeed;
-          person.vy = (person.vy / currentSpeed) * maxSpeed;
-        }
-      }
+  }, []);
 
-      // Position update scaled by mobility: 0 => stop, 1 => normal
-      if (!isQuarantined) {
-        person.x += person.vx * mobilityRate;
-        person.y += person.vy * mobilityRate;
-      }
-
-      // Boundary collision
-      if (person.x < 5 || person.x > w - 5) {
-        person.vx *= -1;
-        person.x = Math.max(5, Math.min(w - 5, person.x));
-      }
-      if (person.y < 5 || person.y > h - 5) {
-        person.vy *= -1;
-        person.y = Math.max(5, Math.min(h - 5, person.y));
-      }
-
-      // Progress exposed -> infectious (infected or asymptomatic)
-      if (person.status === 'exposed' && sim.time - person.exposedTime > person.incubationPeriod) {
-        person.asymptomatic = Math.random() < 0.4; // 40% asymptomatic
-        person.status = person.asymptomatic ? 'asymptomatic' : 'infected';
-        person.infectedTime = sim.time;
-      }
-
-      // Move infected to quarantined after delay
-      if (person.status === 'infected' && sim.time - person.infectedTime > (person.quarantineDelayRef || quarantineDelay)) {
-        person.status = 'quarantined';
-        // Reduce movement immediately
-        person.vx = 0;
-        person.vy = 0;
-      }
+  // Initialize population
+  const initializeSimulation = () => {
+    runnerRef.current.init(currentParams());
+  };
 
-      // Check recovery
-      const isInfectiousState = person.status === 'infected' || person.status === 'quarantined' || person.status === 'asymptomatic';
-      if (isInfectiousState && sim.time - person.infectedTime > person.personalRecovery) {
-        determineOutcome(person);
-      }
-    });
+  useEffect(() => {
+    initializeSimulation();
+  }, [populationSize, initialInfected, seed, layout, seedFirstRegion, structure, initRequest]);
 
-    // Check collisions and infections
-    for (let i = 0; i < people.length; i++) {
-      for (let j = i + 1; j < people.length; j++) {
-        const p1 = people[i];
-        const p2 = people[j];
-        
-        const dx = p1.x - p2.x;
-        const dy = p1.y - p2.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        if (distance < 10) {
-          // Collision response
-          const angle = Math.atan2(dy, dx);
-          const sin = Math.sin(angle);
-          const cos = Math.cos(angle);
-          
-          // Separate particles
-          const overlap = 10 - distance;
-          p1.x += cos * overlap / 2;
-          p1.y += sin * overlap / 2;
-          p2.x -= cos * overlap / 2;
-          p2.y -= sin * overlap / 2;
-          
-          // Monte Carlo: Attempt infection
-          attemptInfection(p1, p2);
-          attemptInfection(p2, p1);
-        }
-      }
-    }
+  // Update parameters when simulation is running without reinitializing
+  useEffect(() => {
+    runnerRef.current.setParams(currentParams());
+  }, [infectionRate, recoveryTime, mobilityRate, quarantineDelay, masks, healthcareCapacity, hospitalizationRate, overloadMortalityFactor, vaccination, testing, environment, schedule, behaviour, immunityDuration, incubationMin, incubationMax, asymptomaticFraction, ageProfile, policies]);
 
-    // Update statistics
-    let healthy = 0, exposed = 0, asymptomatic = 0, infected = 0, quarantined = 0, recovered = 0, dead = 0;
-    people.forEach(p => {
-      if (p.status === 'healthy') healthy++;
-      else if (p.status === 'exposed') exposed++;
-      else if (p.status === 'asymptomatic') asymptomatic++;
-      else if (p.status === 'infected') infected++;
-      else if (p.status === 'quarantined') quarantined++;
-      else if (p.status === 'recovered') recovered++;
-      else if (p.status === 'dead') dead++;
-    });
+  useEffect(() => {
+    runnerRef.current.setSpeed(speed);
+  }, [speed]);
 
-    // Calculate R₀ (only from initial infected individuals)
-    let r0Value = 0;
-    const initialInfections = people.filter(p => 
-      p.id < initialInfected && // only initial infected
-      p.infectedTime !== null &&
-      (p.status === 'recovered' || p.status === 'dead')
-    );
-    
-    if (initialInfections.length > 0) {
-      const totalInitialSpread = initialInfections.reduce((sum, p) => sum + p.infectionsSpread, 0);
-      r0Value = (totalInitialSpread / initialInfections.length).toFixed(2);
+  useEffect(() => {
+    if (isRunning) {
+      // Playing on resumes the live run, not the checkpoint on screen
+      playbackRef.current = null;
+      setPlayback(null);
+      runnerRef.current.start();
+    } else {
+      runnerRef.current.pause();
     }
+  }, [isRunning]);
 
-    // Calculate R_t (all completed infections)
-    const completedInfections = people.filter(p => 
-      p.infectedTime !== null &&
-      (p.status === 'recovered' || p.status === 'dead')
-    );
-    
-    let rtValue = 0;
-    if (completedInfections.length > 0) {
-      const totalInfectionsSpread = completedInfections.reduce((sum, p) => sum + p.infectionsSpread, 0);
-      rtValue = (totalInfectionsSpread / completedInfections.length).toFixed(2);
-    }
+  const seekTo = (index) => {
+    setIsRunning(false);
+    runnerRef.current.seek(index);
+  };
 
-    setStats({ healthy, infected: infected + quarantined, recovered, dead, r0Value, rtValue });
-
-    // Update chart every 500ms
-    if (sim.time % 500 < deltaTime) {
-      setChartData(prev => [...prev, {
-        time: (sim.time / 1000).toFixed(1),
-        Sehat: healthy,
-        Terpapar: exposed,
-        Asimtomatik: asymptomatic,
-        Terinfeksi: infected,
-        Sembuh: recovered,
-        Meninggal: dead
-      }]); // Keep all data points for historical view
-      
-      // Track R_t over time
-      if (completedInfections.length > 0) {
-        setRtData(prev => [...prev, {
-          time: (sim.time / 1000).toFixed(1),
-          Rt: parseFloat(rtValue),
-          R0: parseFloat(r0Value) || 0,
-          Threshold: 1
-        }]);
-      }
-    }
+  environmentRef.current = {
+    regions: createRegions({ layout, width: canvasRef.current?.width || 700, height: canvasRef.current?.height || 500 }),
+    bordersClosed: environment.bordersClosed,
+    hotspotsEnabled: environment.hotspotsEnabled
   };
 
   const drawSimulation = () => {
@@ -331,11 +354,17 @@ const EpidemicSimulation = () => {
     const ctx = canvas.getContext('2d');
     const w = canvas.width;
     const h = canvas.height;
-    const people = simulationRef.current.people;
+    const snapshot = snapshotRef.current;
 
-    // Clear with background
+    // Clear with background; with several communities, the gaps between
+    // them are walls (red while borders are closed)
+    const { regions, bordersClosed, hotspotsEnabled } = environmentRef.current;
+    if (regions.length > 1) {
+      ctx.fillStyle = bordersClosed ? '#7f1d1d' : '#334155';
+      ctx.fillRect(0, 0, w, h);
+    }
     ctx.fillStyle = '#0f172a';
-    ctx.fillRect(0, 0, w, h);
+    regions.forEach(region => ctx.fillRect(region.x0, region.y0, region.x1 - region.x0, region.y1 - region.y0));
 
     // Draw grid
     ctx.strokeStyle = '#1e293b';
@@ -353,82 +382,201 @@ const EpidemicSimulation = () => {
       ctx.stroke();
     }
 
-    // Draw people
-    people.forEach(person => {
+    if (hotspotsEnabled) {
+      ctx.fillStyle = 'rgba(250, 204, 21, 0.08)';
+      ctx.strokeStyle = 'rgba(250, 204, 21, 0.5)';
+      ctx.setLineDash([4, 3]);
+      regions.forEach(({ hotspot }) => {
+        ctx.beginPath();
+        ctx.arc(hotspot.x, hotspot.y, HOTSPOT_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+      });
+      ctx.setLineDash([]);
+    }
+
+    if (!snapshot) return;
+    const { count, x, y, status, flags, radius: infectionRadius } = snapshot;
+    const radius = snapshot.contactDistance / 2;
+    const detailed = count <= DETAIL_LIMIT;
+    const infectedCode = statusCode('infected');
+    const asymptomaticCode = statusCode('asymptomatic');
+
+    // Draw people, one batched path per status so large populations stay fast
+    STATUSES.forEach((name, code) => {
+      // Pulsing effect for infected
+      const r = code === infectedCode ? radius * (Math.sin(snapshot.time / 200) * 0.3 + 1) : radius;
       ctx.beginPath();
-      ctx.arc(person.x, person.y, 5, 0, Math.PI * 2);
-      
-      switch(person.status) {
-        case 'healthy':
-          ctx.fillStyle = '#22c55e';
-          break;
-        case 'exposed':
-          ctx.fillStyle = '#f59e0b'; // orange
-          break;
-        case 'infected':
-          ctx.fillStyle = '#ef4444';
-          // Pulsing effect for infected
-          const pulse = Math.sin(simulationRef.current.time / 200) * 0.3 + 1;
-          ctx.arc(person.x, person.y, 5 * pulse, 0, Math.PI * 2);
-          break;
-        case 'asymptomatic':
-          ctx.fillStyle = '#fb7185'; // rose
-          break;
-        case 'quarantined':
-          ctx.fillStyle = '#eab308'; // amber
-          break;
-        case 'recovered':
-          ctx.fillStyle = '#3b82f6';
-          break;
-        case 'dead':
-          ctx.fillStyle = '#64748b';
-          break;
+      for (let i = 0; i < count; i++) {
+        if (status[i] !== code) continue;
+        ctx.moveTo(x[i] + r, y[i]);
+        ctx.arc(x[i], y[i], r, 0, Math.PI * 2);
       }
-      
+      ctx.fillStyle = STATUS_COLORS[name];
       ctx.fill();
-      
+
       // Draw outline
-      ctx.strokeStyle = '#ffffff';
-      ctx.lineWidth = 1;
-      ctx.stroke();
+      if (detailed) {
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+      }
     });
 
     // Draw infection radius for infectious people (infected/asymptomatic)
-    ctx.strokeStyle = 'rgba(239, 68, 68, 0.2)';
-    ctx.lineWidth = 1;
-    people.forEach(person => {
-      if (person.status === 'infected' || person.status === 'asymptomatic') {
-        ctx.beginPath();
-        ctx.arc(person.x, person.y, person.infectionRadius, 0, Math.PI * 2);
-        ctx.stroke();
+    if (detailed) {
+      ctx.strokeStyle = 'rgba(239, 68, 68, 0.2)';
+      ctx.lineWidth = 1;
+      for (let i = 0; i < count; i++) {
+        if (status[i] === infectedCode || status[i] === asymptomaticCode) {
+          ctx.beginPath();
+          ctx.arc(x[i], y[i], infectionRadius[i], 0, Math.PI * 2);
+          ctx.stroke();
+        }
       }
-    });
+    }
+
+    // Traced contacts in quarantine get a square marker
+    ctx.strokeStyle = STATUS_COLORS.quarantined;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    for (let i = 0; i < count; i++) {
+      if (flags[i] & FLAG_ISOLATED) ctx.rect(x[i] - radius - 2, y[i] - radius - 2, 2 * radius + 4, 2 * radius + 4);
+    }
+    ctx.stroke();
+
+    // Masked agents get a white band across the lower half
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let i = 0; i < count; i++) {
+      if (flags[i] & FLAG_MASKED) {
+        ctx.moveTo(x[i] - radius * 0.8, y[i] + radius * 0.3);
+        ctx.lineTo(x[i] + radius * 0.8, y[i] + radius * 0.3);
+      }
+    }
+    ctx.stroke();
+
+    // Agent selected in the transmission tree
+    const highlighted = highlightRef.current;
+    if (highlighted !== null && highlighted < count) {
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(x[highlighted], y[highlighted], radius + 8, 0, Math.PI * 2);
+      ctx.stroke();
+    }
   };
 
   useEffect(() => {
     let animationId;
-    
+
     const animate = () => {
-      if (isRunning) {
-        updateSimulation();
-        drawSimulation();
-      } else {
-        drawSimulation();
-      }
+      drawSimulation();
       animationId = requestAnimationFrame(animate);
     };
 
     animate();
     return () => cancelAnimationFrame(animationId);
-  }, [isRunning, speed, infectionRate, recoveryTime, mobilityRate]);
+  }, []);
+
+  const startBenchmark = () => {
+    setIsRunning(false);
+    setIsBenchmarking(true);
+    setBenchmarkResults([]);
+    runnerRef.current.benchmark();
+  };
+
+  const startBatch = (options) => {
+    setIsRunning(false);
+    setBatchProgress({ done: 0, total: options.replicates });
+    runnerRef.current.runBatch(currentParams(), options);
+  };
+
+  const startSweep = ({ axes, replicates, maxDuration }) => {
+    setIsRunning(false);
+    const total = axes.reduce((size, axis) => size * axis.steps, replicates);
+    setSweepProgress({ done: 0, total });
+    runnerRef.current.runSweep(currentParams(), { axes, replicates, maxDuration });
+  };
+
+  // The fit solves the ODE a few hundred times, so it runs in the worker
+  const startCalibration = (points, options) => {
+    setCalibrating(true);
+    setCalibrationError(null);
+    runnerRef.current.runCalibration(++calibrationIdRef.current, currentParams(), points, options);
+  };
+
+  const clearCalibration = () => {
+    calibrationIdRef.current++;
+    setCalibrating(false);
+    setCalibration(null);
+    setCalibrationError(null);
+  };
 
   const resetSimulation = () => {
     setIsRunning(false);
-    setRtData([]); // Clear R_t data
     initializeSimulation();
-    drawSimulation();
   };
 
+  const settingSharesNow = settingShares(stats.infectionsBySetting);
+  // Fired policies outrank the controls for the parameters they set
+  const locked = Object.entries(lockedParams(policyLog, policies));
+
+  // Deterministic SIR/SEIR curves for the current parameters, merged into the
+  // agent samples by sample index (both are 0.5 s apart). Only the inputs of
+  // the compartmental model are listed, so it is solved again when one of
+  // them or the sampled duration changes rather than on every render.
+  const odeParams = useMemo(() => ({
+    populationSize,
+    initialInfected,
+    infectionRate,
+    recoveryTime,
+    mobilityRate,
+    incubationMin,
+    incubationMax,
+    ...masks,
+    width: canvasRef.current?.width || 700,
+    height: canvasRef.current?.height || 500
+  }), [populationSize, initialInfected, infectionRate, recoveryTime, mobilityRate, incubationMin, incubationMax, masks]);
+  const odeRates = deriveOdeRates(odeParams);
+  const lastSampleTime = chartData.length ? chartData[chartData.length - 1].time : 0;
+  const odeSeries = useMemo(
+    () => (showOde ? solveOde(odeParams, lastSampleTime) : null),
+    [showOde, odeParams, lastSampleTime]
+  );
+  const spreadData = odeSeries
+    ? chartData.map(point => ({ ...point, ...odeSeries[Math.min(odeSeries.length - 1, Math.round(point.time * 2))], time: point.time }))
+    : chartData;
+  // Real data and the fitted model as their own series on the same axes
+  const observedData = caseData ? alignCaseData(caseData.points, caseDisplay) : null;
+  const fittedData = calibration ? alignCaseData(calibration.fitted, caseDisplay, 'fitted') : null;
+
+  // Both R_t estimators on one time axis; each line skips the other's points
+  const coriData = showCori ? rtData : rtData.map(({ time, r0 }) => ({ time, r0 }));
+  const reproductionData = [...coriData, ...caseRtData].sort((a, b) => a.time - b.time);
+
+  // Vertical markers for fired policies, shared by both charts
+  const policyAnnotations = policyLog.map(event => (
+    <ReferenceLine
+      key={event.id}
+      x={event.time / 1000}
+      stroke="#38bdf8"
+      strokeDasharray="4 2"
+      label={{ value: event.label, position: 'insideTopLeft', fill: '#38bdf8', fontSize: 10, angle: -90, dx: 12 }}
+    />
+  ));
+
+  // Where the timeline is, on every chart over time
+  const playbackCursor = playback && (
+    <ReferenceLine
+      x={playback.time / 1000}
+      stroke="#f8fafc"
+      strokeWidth={2}
+      label={{ value: `${(playback.time / 1000).toFixed(1)}s`, position: 'insideTopRight', fill: '#f8fafc', fontSize: 10 }}
+    />
+  );
+
   return (
     <div className="w-full min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 text-white p-4">
       <div className="max-w-7xl mx-auto">
@@ -436,7 +584,7 @@ const EpidemicSimulation = () => {
           🦠 Simulasi Monte Carlo - Penyebaran Penyakit
         </h1>
         <p className="text-gray-400 text-center mb-4">
-          Model SIR (Susceptible-Infected-Recovered) dengan metode Monte Carlo
+          Model SEIRS (Susceptible-Exposed-Infectious-Recovered-Susceptible) dengan metode Monte Carlo
         </p>
 
         <div className="grid grid-cols-1 xl:grid-cols-3 gap-4">
@@ -449,57 +597,213 @@ const EpidemicSimulation = () => {
                 height={500}
                 className="w-full border-2 border-slate-700 rounded"
               />
+              <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs text-gray-300">
+                {STATUSES.map(status => (
+                  <span key={status} className="flex items-center gap-1">
+                    <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: STATUS_COLORS[status] }} />
+                    {STATUS_LABELS[status]}
+                  </span>
+                ))}
+                {testing.testingEnabled && (
+                  <span className="flex items-center gap-1">
+                    <span className="inline-block w-3 h-3 border-2" style={{ borderColor: STATUS_COLORS.quarantined }} />
+                    Kontak dikarantina
+                  </span>
+                )}
+                {(masks.maskEnabled || behaviour.adaptiveBehaviour) && (
+                  <span className="flex items-center gap-1">
+                    <span className="inline-block w-3 h-3 rounded-full bg-slate-600 border-b-2 border-white" />
+                    Bermasker
+                  </span>
+                )}
+              </div>
+              <PlaybackBar
+                times={timeline}
+                playback={playback}
+                onSeek={seekTo}
+                onBranch={() => runnerRef.current.branch(playback.index, currentParams())}
+              />
             </div>
 
             {/* Chart */}
             <div className="bg-slate-800 rounded-lg p-4 shadow-2xl">
-              <h3 className="text-lg font-semibold mb-3 flex items-center">
-                <TrendingUp className="w-5 h-5 mr-2" />
-                Grafik Penyebaran
-              </h3>
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold flex items-center">
+                  <TrendingUp className="w-5 h-5 mr-2" />
+                  Grafik Penyebaran
+                </h3>
+                <label className="flex items-center gap-2 text-sm text-gray-300">
+                  <input type="checkbox" checked={showOde} onChange={(e) => setShowOde(e.target.checked)} />
+                  Model ODE ({odeRates.sigma > 0 ? 'SEIR' : 'SIR'})
+                </label>
+              </div>
               <ResponsiveContainer width="100%" height={250}>
-                <LineChart data={chartData} margin={{ top: 10, right: 20, left: 0, bottom: 20 }}>
+                <LineChart data={spreadData} margin={{ top: 10, right: 20, left: 0, bottom: 20 }}>
                   <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
-                  <XAxis dataKey="time" stroke="#94a3b8" label={{ value: 'Waktu (detik)', position: 'insideBottom', offset: -5 }} />
+                  <XAxis dataKey="time" type="number" domain={['dataMin', 'dataMax']} stroke="#94a3b8" label={{ value: 'Waktu (detik)', position: 'insideBottom', offset: -5 }} />
                   <YAxis stroke="#94a3b8" />
+                  {behaviour.adaptiveBehaviour && (
+                    <YAxis yAxisId="mobility" orientation="right" domain={[0, 1]} stroke="#a78bfa" tickFormatter={(v) => `${(v * 100).toFixed(0)}%`} />
+                  )}
                   <Tooltip 
                     contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155' }}
                     labelStyle={{ color: '#94a3b8' }}
                   />
                   <Legend />
-                  <Line type="monotone" dataKey="Sehat" stroke="#22c55e" strokeWidth={2} dot={false} isAnimationActive={false} />
-                  {/* <Line type="monotone" dataKey="Terpapar" stroke="#f59e0b" strokeWidth={2} dot={false} isAnimationActive={false} /> */}
-                  <Line type="monotone" dataKey="Asimtomatik" stroke="#fb7185" strokeWidth={2} dot={false} isAnimationActive={false} />
-                  <Line type="monotone" dataKey="Terinfeksi" stroke="#ef4444" strokeWidth={2} dot={false} isAnimationActive={false} />
-                  <Line type="monotone" dataKey="Sembuh" stroke="#3b82f6" strokeWidth={2} dot={false} isAnimationActive={false} />
-                  <Line type="monotone" dataKey="Meninggal" stroke="#64748b" strokeWidth={2} dot={false} isAnimationActive={false} />
+                  <Line type="monotone" dataKey="healthy" name="Sehat" stroke="#22c55e" strokeWidth={2} dot={false} isAnimationActive={false} />
+                  <Line type="monotone" dataKey="vaccinated" name="Divaksin" stroke="#14b8a6" strokeWidth={2} dot={false} isAnimationActive={false} />
+                  <Line type="monotone" dataKey="exposed" name="Terpapar" stroke="#f59e0b" strokeWidth={2} dot={false} isAnimationActive={false} />
+                  <Line type="monotone" dataKey="asymptomatic" name="Asimtomatik" stroke="#fb7185" strokeWidth={2} dot={false} isAnimationActive={false} />
+                  <Line type="monotone" dataKey="infected" name="Terinfeksi" stroke="#ef4444" strokeWidth={2} dot={false} isAnimationActive={false} />
+                  <Line type="monotone" dataKey="quarantined" name="Karantina" stroke="#eab308" strokeWidth={2} dot={false} isAnimationActive={false} />
+                  <Line type="monotone" dataKey="recovered" name="Sembuh" stroke="#3b82f6" strokeWidth={2} dot={false} isAnimationActive={false} />
+                  <Line type="monotone" dataKey="dead" name="Meninggal" stroke="#64748b" strokeWidth={2} dot={false} isAnimationActive={false} />
+                  <Line type="monotone" dataKey="hospitalized" name="Dirawat (RS)" stroke="#e879f9" strokeWidth={2} dot={false} isAnimationActive={false} />
+                  {behaviour.adaptiveBehaviour && (
+                    <Line yAxisId="mobility" type="stepAfter" dataKey="mobility" name="Mobilitas rata-rata" stroke="#a78bfa" strokeWidth={2} dot={false} isAnimationActive={false} />
+                  )}
+                  {showOde && [
+                    <Line key="odeS" type="monotone" dataKey="odeS" name="S (ODE)" stroke="#22c55e" strokeDasharray="6 4" dot={false} isAnimationActive={false} />,
+                    odeRates.sigma > 0 && <Line key="odeE" type="monotone" dataKey="odeE" name="E (ODE)" stroke="#f59e0b" strokeDasharray="6 4" dot={false} isAnimationActive={false} />,
+                    <Line key="odeI" type="monotone" dataKey="odeI" name="I (ODE)" stroke="#ef4444" strokeDasharray="6 4" dot={false} isAnimationActive={false} />,
+                    <Line key="odeR" type="monotone" dataKey="odeR" name="R (ODE)" stroke="#3b82f6" strokeDasharray="6 4" dot={false} isAnimationActive={false} />
+                  ]}
+                  {observedData && (
+                    <Line data={observedData} dataKey="observed" name={`${CASE_KINDS[caseData.kind]} (data)`} stroke="none" dot={{ r: 3, fill: '#f8fafc' }} isAnimationActive={false} />
+                  )}
+                  {fittedData && (
+                    <Line data={fittedData} type="monotone" dataKey="fitted" name={`${CASE_KINDS[caseData.kind]} (kalibrasi)`} stroke="#f8fafc" strokeDasharray="4 2" dot={false} isAnimationActive={false} />
+                  )}
+                  <ReferenceLine
+                    y={healthcareCapacity}
+                    stroke="#e879f9"
+                    strokeDasharray="6 3"
+                    ifOverflow="extendDomain"
+                    label={{ value: 'Kapasitas RS', position: 'insideTopRight', fill: '#e879f9', fontSize: 11 }}
+                  />
+                  {policyAnnotations}
+                  {playbackCursor}
                   <Brush dataKey="time" height={30} stroke="#64748b" fill="#1e293b" />
                 </LineChart>
               </ResponsiveContainer>
             </div>
 
+            <CaseDataPanel
+              data={caseData}
+              onLoad={setCaseData}
+              display={caseDisplay}
+              onDisplayChange={setCaseDisplay}
+              calibration={calibration}
+              calibrating={calibrating}
+              calibrationError={calibrationError}
+              onCalibrate={startCalibration}
+              onClearCalibration={clearCalibration}
+              onApply={({ infectionRate, recoveryTime }) => {
+                setInfectionRate(infectionRate);
+                setRecoveryTime(recoveryTime);
+              }}
+              getParams={currentParams}
+            />
+
+            {/* Per-region curves */}
+            {layout !== 'single' && (
+              <div className="bg-slate-800 rounded-lg p-4 shadow-2xl">
+                <h3 className="text-lg font-semibold mb-3">🗺️ Kasus Aktif per Komunitas</h3>
+                <ResponsiveContainer width="100%" height={220}>
+                  <LineChart data={regionData} margin={{ top: 10, right: 20, left: 0, bottom: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                    <XAxis dataKey="time" type="number" domain={['dataMin', 'dataMax']} stroke="#94a3b8" label={{ value: 'Waktu (detik)', position: 'insideBottom', offset: -5 }} />
+                    <YAxis stroke="#94a3b8" />
+                    <Tooltip
+                      contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155' }}
+                      labelStyle={{ color: '#94a3b8' }}
+                    />
+                    <Legend />
+                    {environmentRef.current.regions.map((region, index) => (
+                      <Line
+                        key={index}
+                        type="monotone"
+                        dataKey={`region${index}`}
+                        name={`Komunitas ${index + 1}`}
+                        stroke={REGION_COLORS[index % REGION_COLORS.length]}
+                        strokeWidth={2}
+                        dot={false}
+                        isAnimationActive={false}
+                      />
+                    ))}
+                    {policyAnnotations}
+                    {playbackCursor}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+
             {/* R_t Chart */}
             <div className="bg-slate-800 rounded-lg p-4 shadow-2xl">
-              <h3 className="text-lg font-semibold mb-3 flex items-center">
-                📈 Grafik Reproduction Number
-              </h3>
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold flex items-center">
+                  📈 Grafik Reproduction Number
+                </h3>
+                <label className="flex items-center gap-2 text-sm text-gray-300">
+                  <input type="checkbox" checked={showCori} onChange={(e) => setShowCori(e.target.checked)} />
+                  Estimasi Cori
+                </label>
+              </div>
               <ResponsiveContainer width="100%" height={250}>
-                <LineChart data={rtData} margin={{ top: 10, right: 20, left: 0, bottom: 20 }}>
+                <ComposedChart data={reproductionData} margin={{ top: 10, right: 20, left: 0, bottom: 20 }}>
                   <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
-                  <XAxis dataKey="time" stroke="#94a3b8" label={{ value: 'Waktu (detik)', position: 'insideBottom', offset: -5 }} />
+                  <XAxis dataKey="time" type="number" domain={['dataMin', 'dataMax']} stroke="#94a3b8" label={{ value: 'Waktu (detik)', position: 'insideBottom', offset: -5 }} />
                   <YAxis stroke="#94a3b8" domain={[0, 'auto']} />
                   <Tooltip 
                     contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155' }}
                     labelStyle={{ color: '#94a3b8' }}
+                    formatter={(value) => (Array.isArray(value) ? `${value[0].toFixed(2)}–${value[1].toFixed(2)}` : value.toFixed(2))}
                   />
                   <Legend />
-                  <Line type="monotone" dataKey="R0" stroke="#a855f7" strokeWidth={3} dot={false} isAnimationActive={false} name="R₀ (Initial)" strokeDasharray="5 5" />
-                  <Line type="monotone" dataKey="Rt" stroke="#f59e0b" strokeWidth={2} dot={false} isAnimationActive={false} name="R_t (Current)" />
-                  <Line type="monotone" dataKey="Threshold" stroke="#64748b" strokeWidth={1} dot={false} isAnimationActive={false} name="R=1 (Threshold)" strokeDasharray="3 3" />
+                  {showCori && (
+                    <Area type="monotone" dataKey="rtBand" stroke="none" fill="#f59e0b" fillOpacity={0.2} connectNulls isAnimationActive={false} name="R_t Cori (95% CrI)" />
+                  )}
+                  <Line type="monotone" dataKey="r0" stroke="#a855f7" strokeWidth={3} dot={false} connectNulls isAnimationActive={false} name="R₀ (Initial)" strokeDasharray="5 5" />
+                  {showCori && (
+                    <Line type="monotone" dataKey="rt" stroke="#f59e0b" strokeWidth={2} dot={false} connectNulls isAnimationActive={false} name="R_t (Cori)" />
+                  )}
+                  <Line type="monotone" dataKey="caseRt" stroke="#38bdf8" strokeWidth={2} dot={{ r: 2 }} connectNulls isAnimationActive={false} name="R kasus (kohort)" />
+                  <ReferenceLine y={1} stroke="#64748b" strokeDasharray="3 3" label={{ value: 'R=1', position: 'insideTopRight', fill: '#64748b', fontSize: 11 }} />
+                  {policyAnnotations}
+                  {playbackCursor}
                   <Brush dataKey="time" height={30} stroke="#64748b" fill="#1e293b" />
-                </LineChart>
+                </ComposedChart>
               </ResponsiveContainer>
             </div>
+
+            <TransmissionTreePanel
+              tree={transmissionTree}
+              onRefresh={() => runnerRef.current.requestTree()}
+              highlightedId={highlightedId}
+              onSelect={selectAgent}
+            />
+
+            <BatchPanel
+              onRun={startBatch}
+              onCancel={() => runnerRef.current.cancelBatch()}
+              progress={batchProgress}
+              result={batchResult}
+            />
+
+            <SweepPanel
+              onRun={startSweep}
+              onCancel={() => runnerRef.current.cancelSweep()}
+              progress={sweepProgress}
+              result={sweepResult}
+            />
+
+            <ExportPanel
+              onExport={(format, filename) => runnerRef.current.requestExport(format, filename)}
+              canvasRef={canvasRef}
+              seed={seed}
+            />
+
+            <ComparisonPanel getParams={currentParams} onStart={() => setIsRunning(false)} />
           </div>
 
           {/* Right Panel - Controls */}
@@ -531,34 +835,62 @@ const EpidemicSimulation = () => {
                 </button>
               </div>
 
+              {locked.length > 0 && (
+                <p className="text-xs text-yellow-300 mb-3">
+                  🔒 Diatur kebijakan: {locked.map(([param, value]) => describeAction({ param, value })).join(', ')}.
+                  Perubahan manual pada parameter ini diabaikan sampai kebijakannya dihapus.
+                </p>
+              )}
+
               <div className="space-y-3">
                 <div>
                   <label className="block text-sm mb-1">
-                    Kecepatan: {speed}x
+                    Kecepatan: {speed === MAX_SPEED ? 'Maksimum' : `${speed}x`}
                   </label>
                   <input
                     type="range"
-                    min="0.5"
-                    max="3"
-                    step="0.5"
-                    value={speed}
-                    onChange={(e) => setSpeed(parseFloat(e.target.value))}
+                    min="0"
+                    max={SPEED_OPTIONS.length - 1}
+                    step="1"
+                    value={SPEED_OPTIONS.indexOf(speed)}
+                    onChange={(e) => setSpeed(SPEED_OPTIONS[parseInt(e.target.value)])}
                     className="w-full"
-                    disabled={isRunning}
                   />
                 </div>
 
+                <div>
+                  <label className="block text-sm mb-1">Seed</label>
+                  <div className="flex gap-2">
+                    <input
+                      type="number"
+                      min="0"
+                      value={seed}
+                      onChange={(e) => setSeed(parseInt(e.target.value) || 0)}
+                      className="flex-1 bg-slate-700 rounded px-2 py-1 text-sm"
+                      disabled={isRunning}
+                    />
+                    <button
+                      onClick={() => setSeed(randomSeed())}
+                      className="py-1 px-2 bg-slate-600 hover:bg-slate-700 rounded transition"
+                      title="Seed acak"
+                      disabled={isRunning}
+                    >
+                      <Dices className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+
                 <div>
                   <label className="block text-sm mb-1">
                     Populasi: {populationSize}
                   </label>
                   <input
                     type="range"
-                    min="50"
-                    max="1000"
-                    step="50"
-                    value={populationSize}
-                    onChange={(e) => setPopulationSize(parseInt(e.target.value))}
+                    min="0"
+                    max={POPULATION_OPTIONS.length - 1}
+                    step="1"
+                    value={POPULATION_OPTIONS.indexOf(populationSize)}
+                    onChange={(e) => setPopulationSize(POPULATION_OPTIONS[parseInt(e.target.value)])}
                     className="w-full"
                     disabled={isRunning}
                   />
@@ -570,9 +902,9 @@ const EpidemicSimulation = () => {
                   </label>
                   <input
                     type="range"
-                    min="0.1"
-                    max="0.8"
-                    step="0.1"
+                    min={PARAM_RANGES.infectionRate[0]}
+                    max={PARAM_RANGES.infectionRate[1]}
+                    step="0.01"
                     value={infectionRate}
                     onChange={(e) => setInfectionRate(parseFloat(e.target.value))}
                     className="w-full"
@@ -585,9 +917,9 @@ const EpidemicSimulation = () => {
                   </label>
                   <input
                     type="range"
-                    min="2000"
-                    max="20000"
-                    step="1000"
+                    min={PARAM_RANGES.recoveryTime[0]}
+                    max={PARAM_RANGES.recoveryTime[1]}
+                    step="100"
                     value={recoveryTime}
                     onChange={(e) => setRecoveryTime(parseInt(e.target.value))}
                     className="w-full"
@@ -609,16 +941,6 @@ const EpidemicSimulation = () => {
                   />
                 </div>
 
-                <div className="flex items-center justify-between">
-                  <label className="block text-sm mb-1">Masker (kurangi transmisi)</label>
-                  <input
-                    type="checkbox"
-                    checked={maskEnabled}
-                    onChange={(e) => setMaskEnabled(e.target.checked)}
-                    className="h-4 w-4"
-                  />
-                </div>
-
                 <div>
                   <label className="block text-sm mb-1">
                     Karantina setelah infeksi: {(quarantineDelay / 1000).toFixed(1)}s
@@ -634,6 +956,113 @@ const EpidemicSimulation = () => {
                   />
                 </div>
 
+                <div>
+                  <label className="block text-sm mb-1">
+                    Kapasitas RS: {healthcareCapacity} tempat tidur
+                  </label>
+                  <input
+                    type="range"
+                    min="0"
+                    max={healthcareCapacityMax(populationSize)}
+                    step="5"
+                    value={healthcareCapacity}
+                    onChange={(e) => setHealthcareCapacity(parseInt(e.target.value))}
+                    className="w-full"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm mb-1">
+                    Butuh Rawat Inap: {(hospitalizationRate * 100).toFixed(0)}% kasus bergejala
+                  </label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={hospitalizationRate}
+                    onChange={(e) => setHospitalizationRate(parseFloat(e.target.value))}
+                    className="w-full"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm mb-1">
+                    Kematian saat RS penuh: {overloadMortalityFactor.toFixed(1)}x
+                  </label>
+                  <input
+                    type="range"
+                    min="1"
+                    max="5"
+                    step="0.5"
+                    value={overloadMortalityFactor}
+                    onChange={(e) => setOverloadMortalityFactor(parseFloat(e.target.value))}
+                    className="w-full"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm mb-1">
+                    Inkubasi: {(incubationMin / 1000).toFixed(1)}s – {(incubationMax / 1000).toFixed(1)}s
+                  </label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="10000"
+                    step="500"
+                    value={incubationMin}
+                    onChange={(e) => {
+                      const value = parseInt(e.target.value);
+                      setIncubationMin(value);
+                      if (value > incubationMax) setIncubationMax(value);
+                    }}
+                    className="w-full"
+                  />
+                  <input
+                    type="range"
+                    min="0"
+                    max="10000"
+                    step="500"
+                    value={incubationMax}
+                    onChange={(e) => {
+                      const value = parseInt(e.target.value);
+                      setIncubationMax(value);
+                      if (value < incubationMin) setIncubationMin(value);
+                    }}
+                    className="w-full"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm mb-1">
+                    Asimtomatik: {(asymptomaticFraction * 100).toFixed(0)}%
+                  </label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={asymptomaticFraction}
+                    onChange={(e) => setAsymptomaticFraction(parseFloat(e.target.value))}
+                    className="w-full"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm mb-1">
+                    Durasi Imunitas: {immunityDuration > 0 ? `${(immunityDuration / 1000).toFixed(0)}s` : 'Permanen'}
+                  </label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="60000"
+                    step="5000"
+                    value={immunityDuration}
+                    onChange={(e) => setImmunityDuration(parseInt(e.target.value))}
+                    className="w-full"
+                  />
+                </div>
+
                 <div>
                   <label className="block text-sm mb-1">
                     Terinfeksi Awal: {initialInfected}
@@ -652,6 +1081,55 @@ const EpidemicSimulation = () => {
               </div>
             </div>
 
+            <ScenarioPanel getParams={currentParams} onApply={applyScenario} linkError={scenarioLinkError} />
+
+            <PolicyTimelinePanel policies={policies} onChange={setPolicies} policyLog={policyLog} />
+
+            <AgeProfilePanel profile={ageProfile} onChange={setAgeProfile} />
+
+            <VaccinationPanel
+              settings={vaccination}
+              onChange={(patch) => setVaccination(prev => ({ ...prev, ...patch }))}
+              stats={stats}
+            />
+
+            <EnvironmentPanel
+              layout={layout}
+              onLayoutChange={setLayout}
+              seedFirstRegion={seedFirstRegion}
+              onSeedFirstRegionChange={setSeedFirstRegion}
+              settings={environment}
+              onChange={(patch) => setEnvironment(prev => ({ ...prev, ...patch }))}
+              stats={stats}
+            />
+
+            <HouseholdPanel
+              structure={structure}
+              onStructureChange={(patch) => setStructure(prev => ({ ...prev, ...patch }))}
+              schedule={schedule}
+              onScheduleChange={(patch) => setSchedule(prev => ({ ...prev, ...patch }))}
+              disabled={isRunning}
+            />
+
+            <MaskPanel
+              settings={masks}
+              onChange={(patch) => setMasks(prev => ({ ...prev, ...patch }))}
+              stats={stats}
+            />
+
+            <BehaviourPanel
+              settings={behaviour}
+              onChange={(patch) => setBehaviour(prev => ({ ...prev, ...patch }))}
+              stats={stats}
+            />
+
+            <TestingPanel
+              settings={testing}
+              onChange={(patch) => setTesting(prev => ({ ...prev, ...patch }))}
+              stats={stats}
+              dayLength={schedule.dayLength}
+            />
+
             {/* Statistics */}
             <div className="bg-slate-800 rounded-lg p-4 shadow-2xl">
               <h3 className="text-lg font-semibold mb-3">📊 Statistik Real-time</h3>
@@ -660,10 +1138,26 @@ const EpidemicSimulation = () => {
                   <span className="text-sm">🟢 Sehat</span>
                   <span className="font-bold">{stats.healthy}</span>
                 </div>
+                <div className="flex justify-between items-center bg-teal-900/30 p-2 rounded">
+                  <span className="text-sm">💉 Divaksin</span>
+                  <span className="font-bold">{stats.vaccinated}</span>
+                </div>
+                <div className="flex justify-between items-center bg-orange-900/30 p-2 rounded">
+                  <span className="text-sm">🟠 Terpapar</span>
+                  <span className="font-bold">{stats.exposed}</span>
+                </div>
+                <div className="flex justify-between items-center bg-rose-900/30 p-2 rounded">
+                  <span className="text-sm">🌸 Asimtomatik</span>
+                  <span className="font-bold">{stats.asymptomatic}</span>
+                </div>
                 <div className="flex justify-between items-center bg-red-900/30 p-2 rounded">
                   <span className="text-sm">🔴 Terinfeksi</span>
                   <span className="font-bold">{stats.infected}</span>
                 </div>
+                <div className="flex justify-between items-center bg-yellow-900/30 p-2 rounded">
+                  <span className="text-sm">🟡 Karantina</span>
+                  <span className="font-bold">{stats.quarantined}</span>
+                </div>
                 <div className="flex justify-between items-center bg-blue-900/30 p-2 rounded">
                   <span className="text-sm">🔵 Sembuh</span>
                   <span className="font-bold">{stats.recovered}</span>
@@ -672,24 +1166,105 @@ const EpidemicSimulation = () => {
                   <span className="text-sm">⚫ Meninggal</span>
                   <span className="font-bold">{stats.dead}</span>
                 </div>
+                <div className={`flex justify-between items-center p-2 rounded ${stats.hospitalized > healthcareCapacity ? 'bg-fuchsia-700/50 border-2 border-fuchsia-400' : 'bg-fuchsia-900/30'}`}>
+                  <span className="text-sm">🏥 Dirawat / Kapasitas</span>
+                  <span className="font-bold">{stats.hospitalized} / {healthcareCapacity}</span>
+                </div>
+                <div className="flex justify-between items-center bg-gray-700/30 p-2 rounded">
+                  <span className="text-sm">⚠️ Meninggal saat RS penuh</span>
+                  <span className="font-bold">{stats.deathsOverCapacity}</span>
+                </div>
+                <table className="w-full text-xs text-gray-300">
+                  <thead>
+                    <tr className="text-gray-400">
+                      <th className="text-left font-normal">Usia</th>
+                      <th className="text-right font-normal">Kasus</th>
+                      <th className="text-right font-normal">Meninggal</th>
+                      <th className="text-right font-normal">CFR</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {AGE_GROUPS.map(group => (
+                      <tr key={group}>
+                        <td>{AGE_GROUP_LABELS[group]}</td>
+                        <td className="text-right">{stats.casesByAge[group]}</td>
+                        <td className="text-right">{stats.deathsByAge[group]}</td>
+                        <td className="text-right">
+                          {stats.casesByAge[group] ? `${((stats.deathsByAge[group] / stats.casesByAge[group]) * 100).toFixed(1)}%` : '-'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {structure.structuredContacts && (
+                  <div className="text-xs text-gray-300">
+                    <p className="mb-1">Lokasi penularan</p>
+                    {settingSharesNow ? (
+                      <>
+                        <div className="flex h-2 rounded overflow-hidden mb-1">
+                          {SETTINGS.map(setting => (
+                            <div key={setting} style={{ width: `${settingSharesNow[setting] * 100}%`, backgroundColor: SETTING_COLORS[setting] }} />
+                          ))}
+                        </div>
+                        <div className="flex justify-between">
+                          {SETTINGS.map(setting => (
+                            <span key={setting} className="flex items-center gap-1">
+                              <span className="w-2 h-2 rounded-full inline-block" style={{ backgroundColor: SETTING_COLORS[setting] }} />
+                              {SETTING_LABELS[setting]} {(settingSharesNow[setting] * 100).toFixed(0)}%
+                            </span>
+                          ))}
+                        </div>
+                      </>
+                    ) : (
+                      <p className="text-gray-500">Belum ada penularan.</p>
+                    )}
+                  </div>
+                )}
                 <div className="flex justify-between items-center bg-purple-900/30 p-2 rounded border-2 border-purple-500">
                   <span className="text-sm font-semibold">R₀ (Initial)</span>
-                  <span className="font-bold text-lg">{stats.r0Value || '...'}</span>
+                  <span className="font-bold text-lg">{stats.r0Value ? stats.r0Value.toFixed(2) : '...'}</span>
                 </div>
                 <div className="flex justify-between items-center bg-amber-900/30 p-2 rounded border-2 border-amber-500">
-                  <span className="text-sm font-semibold">R_t (Current)</span>
-                  <span className="font-bold text-lg">{stats.rtValue}</span>
+                  <span className="text-sm font-semibold">R_t (Cori)</span>
+                  <span className="font-bold text-lg">{stats.rtValue ? stats.rtValue.toFixed(2) : 0}</span>
+                </div>
+                <div className="flex justify-between items-center p-2 rounded border border-slate-600" title={`β = ${odeRates.beta.toFixed(3)}/s, γ = ${odeRates.gamma.toFixed(3)}/s`}>
+                  <span className="text-sm">R₀ analitik (β/γ)</span>
+                  <span className="font-bold">{odeRates.r0.toFixed(2)}</span>
                 </div>
               </div>
             </div>
 
+            {/* Benchmark */}
+            <div className="bg-slate-800 rounded-lg p-4 shadow-2xl">
+              <h3 className="text-sm font-semibold mb-2 flex items-center">
+                <Gauge className="w-4 h-4 mr-2" />
+                Benchmark
+              </h3>
+              <button
+                onClick={startBenchmark}
+                disabled={isBenchmarking}
+                className="w-full py-1 px-3 mb-2 bg-slate-600 hover:bg-slate-700 rounded text-sm font-semibold transition"
+              >
+                {isBenchmarking ? 'Mengukur...' : 'Ukur langkah/detik'}
+              </button>
+              {benchmarkResults.map(result => (
+                <div key={result.populationSize} className="flex justify-between text-xs text-gray-300">
+                  <span>{result.populationSize.toLocaleString()} agen</span>
+                  <span className="font-mono">{result.stepsPerSecond.toFixed(0)} langkah/s</span>
+                </div>
+              ))}
+            </div>
+
             {/* Legend */}
             <div className="bg-slate-800 rounded-lg p-4 shadow-2xl">
               <h3 className="text-sm font-semibold mb-2">ℹ️ Informasi</h3>
               <p className="text-xs text-gray-300 leading-relaxed">
-                <strong>R₀ (Basic Reproduction Number)</strong>: Rata-rata penyebaran dari infeksi <strong>awal</strong> (patient zero).
+                <strong>R₀ (Basic Reproduction Number)</strong>: Rata-rata penyebaran dari infeksi <strong>awal</strong> (patient zero) yang sudah selesai.
+                <br/><br/>
+                <strong>R kasus (kohort)</strong>: Rata-rata penularan dari kasus yang terinfeksi pada selang waktu yang sama; tampil setelah semua kasus di kohort itu selesai.
                 <br/><br/>
-                <strong>R_t (Effective Reproduction Number)</strong>: Rata-rata penyebaran <strong>saat ini</strong> dari semua kasus yang sudah selesai.
+                <strong>R_t (Cori)</strong>: Estimasi Bayes dari insidensi dalam jendela geser {CORI_WINDOW * CORI_BIN / 1000} detik dan distribusi waktu generasi, dengan interval kredibel 95%.
                 <br/><br/>
                 • R {'<'} 1: Epidemi akan mereda
                 <br/>
@@ -0,0 +1,72 @@
+import React from 'react';
+import { AGE_GROUPS, AGE_GROUP_LABELS, AGE_PROFILE_PRESETS } from '../simulation/ageProfiles';
+
+const COLUMNS = [
+  { key: 'share', label: 'Porsi', step: 0.05 },
+  { key: 'susceptibility', label: 'Kerentanan', step: 0.1 },
+  { key: 'contact', label: 'Kontak', step: 0.1 },
+  { key: 'mortality', label: 'Kematian', step: 0.005 },
+  { key: 'recovery', label: 'Pemulihan', step: 0.1 }
+];
+
+// Editable per-age-group profile table with presets
+const AgeProfilePanel = ({ profile, onChange }) => {
+  const presetKey = Object.keys(AGE_PROFILE_PRESETS)
+    .find(key => AGE_PROFILE_PRESETS[key].groups === profile) || '';
+
+  const updateCell = (group, key, value) => {
+    if (Number.isNaN(value) || value < 0) return;
+    onChange({ ...profile, [group]: { ...profile[group], [key]: value } });
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-4 shadow-2xl">
+      <h3 className="text-lg font-semibold mb-3">👥 Profil Usia</h3>
+      <select
+        value={presetKey}
+        onChange={(e) => onChange(AGE_PROFILE_PRESETS[e.target.value].groups)}
+        className="w-full bg-slate-700 rounded px-2 py-1 text-sm mb-3"
+      >
+        {!presetKey && <option value="">Kustom</option>}
+        {Object.entries(AGE_PROFILE_PRESETS).map(([key, preset]) => (
+          <option key={key} value={key}>{preset.label}</option>
+        ))}
+      </select>
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-gray-400">
+            <th className="text-left font-normal">Usia</th>
+            {COLUMNS.map(column => (
+              <th key={column.key} className="font-normal">{column.label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {AGE_GROUPS.map(group => (
+            <tr key={group}>
+              <td className="pr-1">{AGE_GROUP_LABELS[group]}</td>
+              {COLUMNS.map(column => (
+                <td key={column.key} className="p-0.5">
+                  <input
+                    type="number"
+                    min="0"
+                    step={column.step}
+                    value={profile[group][column.key]}
+                    onChange={(e) => updateCell(group, column.key, parseFloat(e.target.value))}
+                    className="w-full bg-slate-700 rounded px-1 py-0.5 text-right"
+                  />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-400 mt-2">
+        Kerentanan, kontak dan pemulihan adalah pengali; kematian adalah peluang per kasus.
+        Porsi populasi berlaku saat Reset.
+      </p>
+    </div>
+  );
+};
+
+export default AgeProfilePanel;
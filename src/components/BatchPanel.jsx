@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { Layers, X } from 'lucide-react';
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { BAND_COMPARTMENTS } from '../simulation/batch';
+import { STATUS_COLORS, STATUS_LABELS, OUTCOME_METRICS } from './theme';
+
+// "Run N replicates" mode: many seeds with the current parameters, shown as
+// median curves with 5-95% bands and outcome distributions
+const BatchPanel = ({ onRun, onCancel, progress, result }) => {
+  const [replicates, setReplicates] = useState(100);
+  const [maxDuration, setMaxDuration] = useState(60);
+  const [compartments, setCompartments] = useState(['infected', 'recovered', 'dead']);
+  const isRunning = progress !== null;
+
+  const toggleCompartment = (key) => {
+    setCompartments(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-4 shadow-2xl">
+      <h3 className="text-lg font-semibold mb-3 flex items-center">
+        <Layers className="w-5 h-5 mr-2" />
+        Replikasi Monte Carlo
+      </h3>
+
+      <div className="flex flex-wrap items-end gap-3 mb-3 text-sm">
+        <label>
+          Replikasi
+          <input
+            type="number"
+            min="2"
+            max="1000"
+            value={replicates}
+            onChange={(e) => setReplicates(Math.max(2, parseInt(e.target.value) || 2))}
+            className="block w-20 bg-slate-700 rounded px-2 py-1"
+            disabled={isRunning}
+          />
+        </label>
+        <label>
+          Durasi maks (s)
+          <input
+            type="number"
+            min="5"
+            value={maxDuration}
+            onChange={(e) => setMaxDuration(Math.max(5, parseInt(e.target.value) || 5))}
+            className="block w-20 bg-slate-700 rounded px-2 py-1"
+            disabled={isRunning}
+          />
+        </label>
+        {isRunning ? (
+          <button
+            onClick={onCancel}
+            className="py-1 px-3 bg-red-600 hover:bg-red-700 rounded font-semibold flex items-center gap-1 transition"
+          >
+            <X className="w-4 h-4" />
+            Batal ({progress.done}/{progress.total})
+          </button>
+        ) : (
+          <button
+            onClick={() => onRun({ replicates, maxDuration: maxDuration * 1000 })}
+            className="py-1 px-3 bg-green-600 hover:bg-green-700 rounded font-semibold transition"
+          >
+            Jalankan {replicates} replikasi
+          </button>
+        )}
+      </div>
+
+      {isRunning && (
+        <div className="w-full bg-slate-700 rounded h-2 mb-3">
+          <div className="bg-green-500 h-2 rounded" style={{ width: `${(progress.done / progress.total) * 100}%` }} />
+        </div>
+      )}
+
+      {result && (
+        <>
+          <div className="flex flex-wrap gap-2 mb-2 text-xs">
+            {BAND_COMPARTMENTS.map(key => (
+              <label key={key} className="flex items-center gap-1">
+                <input type="checkbox" checked={compartments.includes(key)} onChange={() => toggleCompartment(key)} />
+                <span style={{ color: STATUS_COLORS[key] }}>{STATUS_LABELS[key]}</span>
+              </label>
+            ))}
+          </div>
+          <ResponsiveContainer width="100%" height={250}>
+            <ComposedChart data={result.bands} margin={{ top: 10, right: 20, left: 0, bottom: 20 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="time" type="number" domain={['dataMin', 'dataMax']} stroke="#94a3b8" label={{ value: 'Waktu (detik)', position: 'insideBottom', offset: -5 }} />
+              <YAxis stroke="#94a3b8" />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155' }}
+                labelStyle={{ color: '#94a3b8' }}
+                formatter={(value) => (Array.isArray(value) ? `${value[0].toFixed(0)}–${value[1].toFixed(0)}` : value.toFixed(1))}
+              />
+              {compartments.map(key => (
+                <Area
+                  key={`${key}Band`}
+                  type="monotone"
+                  dataKey={`${key}Band`}
+                  name={`${STATUS_LABELS[key]} 5–95%`}
+                  stroke="none"
+                  fill={STATUS_COLORS[key]}
+                  fillOpacity={0.2}
+                  isAnimationActive={false}
+                />
+              ))}
+              {compartments.map(key => (
+                <Line
+                  key={key}
+                  type="monotone"
+                  dataKey={key}
+                  name={`${STATUS_LABELS[key]} (median)`}
+                  stroke={STATUS_COLORS[key]}
+                  strokeWidth={2}
+                  dot={false}
+                  isAnimationActive={false}
+                />
+              ))}
+            </ComposedChart>
+          </ResponsiveContainer>
+
+          <table className="w-full text-xs text-gray-300 mt-3">
+            <thead>
+              <tr className="text-gray-400">
+                <th className="text-left font-normal">Hasil ({result.replicates} replikasi)</th>
+                <th className="text-right font-normal">Median</th>
+                <th className="text-right font-normal">5%</th>
+                <th className="text-right font-normal">95%</th>
+              </tr>
+            </thead>
+            <tbody>
+              {OUTCOME_METRICS.map(({ key, label, format }) => (
+                <tr key={key}>
+                  <td>{label}</td>
+                  <td className="text-right font-bold">{format(result.summary[key].median)}</td>
+                  <td className="text-right">{format(result.summary[key].p5)}</td>
+                  <td className="text-right">{format(result.summary[key].p95)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BatchPanel;
@@ -0,0 +1,86 @@
+import React from 'react';
+
+// Controls for the adaptive-behaviour model; `settings` holds the engine
+// params of the same names and onChange receives a partial update.
+const BehaviourPanel = ({ settings, onChange, stats }) => {
+  const { adaptiveBehaviour, riskSensitivity, deathWeight, complianceSpread, fatigueRate } = settings;
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-4 shadow-2xl">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold">🧠 Respons Perilaku</h3>
+        <input
+          type="checkbox"
+          checked={adaptiveBehaviour}
+          onChange={(e) => onChange({ adaptiveBehaviour: e.target.checked })}
+          className="h-4 w-4"
+        />
+      </div>
+      {adaptiveBehaviour && (
+        <div className="space-y-3">
+          <p className="text-xs text-gray-400">
+            Agen mengurangi mobilitas dan memakai masker saat kasus bergejala dan kematian terlihat meningkat.
+          </p>
+          <div>
+            <label className="block text-sm mb-1">Kepekaan Risiko: {riskSensitivity}</label>
+            <input
+              type="range"
+              min="0"
+              max="100"
+              step="1"
+              value={riskSensitivity}
+              onChange={(e) => onChange({ riskSensitivity: parseInt(e.target.value) })}
+              className="w-full"
+            />
+          </div>
+          <div>
+            <label className="block text-sm mb-1">Bobot Kematian: {deathWeight}</label>
+            <input
+              type="range"
+              min="0"
+              max="50"
+              step="1"
+              value={deathWeight}
+              onChange={(e) => onChange({ deathWeight: parseInt(e.target.value) })}
+              className="w-full"
+            />
+          </div>
+          <div>
+            <label className="block text-sm mb-1">
+              Variasi Kepatuhan: {(complianceSpread * 100).toFixed(0)}%
+            </label>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={complianceSpread}
+              onChange={(e) => onChange({ complianceSpread: parseFloat(e.target.value) })}
+              className="w-full"
+            />
+          </div>
+          <div>
+            <label className="block text-sm mb-1">
+              Kelelahan: {(fatigueRate * 100).toFixed(0)}%/detik
+            </label>
+            <input
+              type="range"
+              min="0"
+              max="0.3"
+              step="0.01"
+              value={fatigueRate}
+              onChange={(e) => onChange({ fatigueRate: parseFloat(e.target.value) })}
+              className="w-full"
+            />
+          </div>
+          <div className="text-xs text-gray-300 space-y-1">
+            <div>Risiko dirasakan: <strong>{(stats.perceivedRisk * 100).toFixed(1)}%</strong></div>
+            <div>Mobilitas rata-rata: <strong>{(stats.meanMobility * 100).toFixed(0)}%</strong></div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BehaviourPanel;
@@ -0,0 +1,176 @@
+import React, { useRef, useState } from 'react';
+import { Upload, Target, Check, X } from 'lucide-react';
+import { CASE_KINDS, parseCaseCsv } from '../simulation/caseData';
+
+// Real case data for the spread chart and a fit of infectionRate and
+// recoveryTime to it. `display` ({ secondsPerDay, scale }) places the data on
+// the chart; `onCalibrate(points, options)` starts a fit, which arrives as
+// `calibration` (or `calibrationError` if it fails); `onApply(params)`
+// copies the fitted values into the controls.
+const CaseDataPanel = ({
+  data,
+  onLoad,
+  display,
+  onDisplayChange,
+  calibration,
+  calibrating,
+  calibrationError,
+  onCalibrate,
+  onClearCalibration,
+  onApply,
+  getParams
+}) => {
+  const [message, setMessage] = useState(null);
+  const fileRef = useRef(null);
+
+  const importFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const parsed = parseCaseCsv(reader.result);
+        onLoad({ name: file.name, ...parsed });
+        onClearCalibration();
+        setMessage(`${parsed.points.length} hari dimuat dari kolom "${parsed.column}".`);
+      } catch (error) {
+        setMessage(`Gagal memuat berkas: ${error.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const changeDisplay = (patch) => {
+    onDisplayChange({ ...display, ...patch });
+    onClearCalibration(); // the fit depends on both scalings
+  };
+
+  // The model cannot produce more cases than it has agents
+  const totalAgents = data ? data.points.reduce((sum, { value }) => sum + value, 0) * display.scale : 0;
+  const exceedsPopulation = data && data.kind === 'cases' && totalAgents > getParams().populationSize;
+
+  const buttonClass = 'py-1 px-2 bg-slate-700 hover:bg-slate-600 rounded flex items-center gap-1 transition';
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-4 shadow-2xl">
+      <h3 className="text-lg font-semibold mb-3 flex items-center">
+        <Target className="w-5 h-5 mr-2" />
+        Data Nyata &amp; Kalibrasi
+      </h3>
+      <div className="space-y-3 text-sm">
+        <div className="flex flex-wrap items-center gap-2">
+          <button onClick={() => fileRef.current.click()} className={buttonClass}>
+            <Upload className="w-4 h-4" />
+            Impor CSV
+          </button>
+          <input ref={fileRef} type="file" accept="text/csv,.csv,.txt" onChange={importFile} className="hidden" />
+          {data && (
+            <>
+              <span className="text-gray-300 truncate">{data.name} · {CASE_KINDS[data.kind]}</span>
+              <button
+                onClick={() => {
+                  onLoad(null);
+                  onClearCalibration();
+                  setMessage(null);
+                }}
+                className="text-gray-400 hover:text-red-400"
+                title="Hapus data"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </>
+          )}
+        </div>
+        <p className="text-xs text-gray-400">
+          Satu baris per hari: tanggal atau nomor hari, lalu jumlah kasus atau kematian harian.
+        </p>
+
+        {data && (
+          <>
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label className="block mb-1">1 hari = {display.secondsPerDay}s simulasi</label>
+                <input
+                  type="range"
+                  min="0.1"
+                  max="5"
+                  step="0.1"
+                  value={display.secondsPerDay}
+                  onChange={(e) => changeDisplay({ secondsPerDay: parseFloat(e.target.value) })}
+                  className="w-full"
+                />
+              </div>
+              <div>
+                <label className="block mb-1">Agen per kasus</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={display.scale}
+                  onChange={(e) => changeDisplay({ scale: parseFloat(e.target.value) || 0 })}
+                  className="w-full bg-slate-700 rounded px-2 py-1"
+                />
+              </div>
+            </div>
+
+            {exceedsPopulation && (
+              <p className="text-xs text-yellow-300">
+                Total kasus ({totalAgents.toFixed(0)} agen) melebihi populasi; kecilkan agen per kasus.
+              </p>
+            )}
+
+            <button
+              onClick={() => onCalibrate(data.points, { kind: data.kind, ...display })}
+              disabled={display.scale <= 0 || calibrating}
+              className="w-full py-2 px-4 bg-blue-600 hover:bg-blue-700 rounded font-semibold flex items-center justify-center gap-2 transition disabled:opacity-50"
+            >
+              <Target className="w-4 h-4" />
+              {calibrating ? 'Mengkalibrasi...' : 'Kalibrasi (model ODE)'}
+            </button>
+
+            {calibrationError && (
+              <p className="text-xs text-red-300">Kalibrasi gagal: {calibrationError}</p>
+            )}
+
+            {calibration && (
+              <div className="bg-slate-700/50 rounded p-2 space-y-1">
+                <div className="flex justify-between">
+                  <span>Tingkat infeksi</span>
+                  <span className="font-bold">{(calibration.infectionRate * 100).toFixed(1)}%</span>
+                </div>
+                <div className="flex justify-between">
+                  <span>Waktu pemulihan</span>
+                  <span className="font-bold">{(calibration.recoveryTime / 1000).toFixed(2)}s</span>
+                </div>
+                <div className="flex justify-between text-xs text-gray-300">
+                  <span>R² = {calibration.r2.toFixed(3)}</span>
+                  <span>RMSE = {calibration.rmse.toFixed(1)} {data.kind === 'deaths' ? 'kematian' : 'kasus'}/hari</span>
+                </div>
+                {calibration.atBound && (
+                  <p className="text-xs text-yellow-300">
+                    Hasil terbaik ada di batas rentang pencarian; coba ubah skala waktu atau agen per kasus.
+                  </p>
+                )}
+                <p className="text-xs text-gray-400">
+                  Grid kasar lalu Nelder–Mead, {calibration.iterations} iterasi, {calibration.evaluations} evaluasi model.
+                </p>
+                <button
+                  onClick={() => onApply({ infectionRate: calibration.infectionRate, recoveryTime: calibration.recoveryTime })}
+                  className="w-full py-1 px-2 bg-green-600 hover:bg-green-700 rounded flex items-center justify-center gap-1 transition"
+                >
+                  <Check className="w-4 h-4" />
+                  Terapkan ke parameter
+                </button>
+              </div>
+            )}
+          </>
+        )}
+
+        {message && <p className="text-xs text-gray-400">{message}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default CaseDataPanel;
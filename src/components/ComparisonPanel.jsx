@@ -0,0 +1,337 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Columns2, Play, Pause, Square, Plus, Trash2, X } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { createSimulationRunner } from '../simulation/runner';
+import { STATUSES } from '../simulation/agents';
+import { POLICY_ACTIONS } from '../simulation/policies';
+import { BAND_COMPARTMENTS } from '../simulation/batch';
+import { SPEED_OPTIONS, MAX_SPEED } from '../simulation/clock';
+import { MAX_VARIANTS, variantParams, describeVariant, compareRuns, overlaySeries } from '../simulation/comparison';
+import { STATUS_COLORS, STATUS_LABELS, RUN_COLORS } from './theme';
+import PolicyActionEditor from './PolicyActionEditor';
+
+const CANVAS_WIDTH = 350;
+
+// Rows of the summary table; `worseUp` colours increases red and decreases green
+const METRICS = {
+  peakInfections: { label: 'Puncak infeksi', format: (v) => v.toFixed(0), worseUp: true },
+  timeToPeak: { label: 'Waktu ke puncak', format: (v) => `${v.toFixed(1)}s`, worseUp: false },
+  totalInfected: { label: 'Total infeksi', format: (v) => v.toFixed(0), worseUp: true },
+  deaths: { label: 'Kematian', format: (v) => v.toFixed(0), worseUp: true }
+};
+
+const deltaClass = (metric, delta) => {
+  if (delta === 0 || !METRICS[metric].worseUp) return 'text-gray-500';
+  return delta > 0 ? 'text-red-300' : 'text-green-300';
+};
+
+const signed = (format, delta) => (delta > 0 ? `+${format(delta)}` : format(delta));
+
+// Overrides of one configuration, with a row to add another
+const VariantEditor = ({ index, overrides, onChange, onRemove }) => {
+  const [action, setAction] = useState({ param: 'maskEnabled', value: true });
+
+  return (
+    <div className="bg-slate-700/50 rounded p-2 text-xs space-y-1">
+      <div className="flex items-center justify-between">
+        <span className="font-semibold" style={{ color: RUN_COLORS[index] }}>#{index + 1} {describeVariant(overrides)}</span>
+        {onRemove && (
+          <button onClick={onRemove} className="text-gray-400 hover:text-red-400" title="Hapus konfigurasi">
+            <Trash2 className="w-3 h-3" />
+          </button>
+        )}
+      </div>
+      {Object.keys(overrides).map(key => (
+        <div key={key} className="flex items-center justify-between">
+          <span>{describeVariant({ [key]: overrides[key] })}</span>
+          <button
+            onClick={() => {
+              const next = { ...overrides };
+              delete next[key];
+              onChange(next);
+            }}
+            className="text-gray-400 hover:text-red-400"
+            title="Hapus"
+          >
+            <X className="w-3 h-3" />
+          </button>
+        </div>
+      ))}
+      <div className="flex gap-1">
+        <PolicyActionEditor {...action} onChange={setAction} compact />
+        <button
+          onClick={() => onChange({ ...overrides, [action.param]: action.value })}
+          className="py-1 px-2 bg-green-600 hover:bg-green-700 rounded transition"
+          title="Tambah perubahan"
+        >
+          <Plus className="w-3 h-3" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Runs several configurations side by side, each in its own simulation
+// host, from the current parameters, seed and initial population.
+// `onStart` lets the main view pause while the comparison runs.
+const ComparisonPanel = ({ getParams, onStart }) => {
+  const [variants, setVariants] = useState([
+    { id: 1, overrides: {} },
+    { id: 2, overrides: { maskEnabled: true } }
+  ]);
+  const [runs, setRuns] = useState(null); // { label, series, stats } per configuration
+  const [phase, setPhase] = useState('idle'); // 'idle', 'running' or 'paused'
+  const [speed, setSpeed] = useState(1);
+  const [compartment, setCompartment] = useState('active');
+
+  const runnersRef = useRef([]);
+  const snapshotsRef = useRef([]);
+  const canvasesRef = useRef([]);
+  const worldRef = useRef({ width: 700, height: 500 });
+  const generationRef = useRef(0); // ignores messages from runners already replaced
+
+  const stopRunners = () => {
+    runnersRef.current.forEach(runner => runner.terminate());
+    runnersRef.current = [];
+  };
+
+  const handleMessage = (generation, index, message) => {
+    if (generation !== generationRef.current) return;
+    if (message.type === 'snapshot') {
+      const previous = snapshotsRef.current[index];
+      if (previous) runnersRef.current[index].recycle(previous);
+      snapshotsRef.current[index] = message.snapshot;
+    } else if (message.type === 'samples') {
+      setRuns(prev => prev && prev.map((run, i) => (i !== index ? run : {
+        ...run,
+        stats: message.stats,
+        series: message.reset ? message.series : [...run.series, ...message.series]
+      })));
+    }
+  };
+
+  const start = () => {
+    stopRunners();
+    onStart();
+    const base = getParams();
+    worldRef.current = { width: base.width, height: base.height };
+    const generation = ++generationRef.current;
+    snapshotsRef.current = [];
+    setRuns(variants.map(variant => ({ label: describeVariant(variant.overrides), series: [], stats: null })));
+    runnersRef.current = variants.map((variant, index) => {
+      const runner = createSimulationRunner((message) => handleMessage(generation, index, message), { history: false });
+      runner.init(variantParams(base, variant.overrides));
+      runner.setSpeed(speed);
+      runner.start();
+      return runner;
+    });
+    setPhase('running');
+  };
+
+  const togglePause = () => {
+    const running = phase === 'running';
+    runnersRef.current.forEach(runner => (running ? runner.pause() : runner.start()));
+    setPhase(running ? 'paused' : 'running');
+  };
+
+  const stop = () => {
+    generationRef.current++;
+    stopRunners();
+    setPhase('idle');
+  };
+
+  useEffect(() => () => {
+    runnersRef.current.forEach(runner => runner.terminate());
+  }, []);
+
+  // Draw every configuration's agents each animation frame
+  useEffect(() => {
+    let animationId;
+    const draw = () => {
+      canvasesRef.current.forEach((canvas, index) => {
+        const snapshot = snapshotsRef.current[index];
+        if (!canvas) return;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#0f172a';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        if (!snapshot) return;
+        const { count, x, y, status } = snapshot;
+        const scale = canvas.width / worldRef.current.width;
+        const radius = Math.max(1.5, (snapshot.contactDistance / 2) * scale);
+        // One batched path per status, as on the main canvas
+        STATUSES.forEach((name, code) => {
+          ctx.beginPath();
+          for (let i = 0; i < count; i++) {
+            if (status[i] !== code) continue;
+            ctx.moveTo(x[i] * scale + radius, y[i] * scale);
+            ctx.arc(x[i] * scale, y[i] * scale, radius, 0, Math.PI * 2);
+          }
+          ctx.fillStyle = STATUS_COLORS[name];
+          ctx.fill();
+        });
+      });
+      animationId = requestAnimationFrame(draw);
+    };
+    draw();
+    return () => cancelAnimationFrame(animationId);
+  }, []);
+
+  const hasData = runs && runs.every(run => run.stats);
+  const rows = hasData ? compareRuns(runs) : [];
+  const chartData = hasData ? overlaySeries(runs.map(run => run.series), compartment) : [];
+  const canvasHeight = (CANVAS_WIDTH * worldRef.current.height) / worldRef.current.width;
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-4 shadow-2xl">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold flex items-center">
+          <Columns2 className="w-5 h-5 mr-2" />
+          Perbandingan Skenario
+        </h3>
+        <div className="flex items-center gap-2 text-sm">
+          <select
+            value={SPEED_OPTIONS.indexOf(speed)}
+            onChange={(e) => {
+              const next = SPEED_OPTIONS[parseInt(e.target.value)];
+              setSpeed(next);
+              runnersRef.current.forEach(runner => runner.setSpeed(next));
+            }}
+            className="bg-slate-700 rounded px-2 py-1"
+          >
+            {SPEED_OPTIONS.map((option, index) => (
+              <option key={index} value={index}>{option === MAX_SPEED ? 'Maks' : `${option}x`}</option>
+            ))}
+          </select>
+          {phase !== 'idle' ? (
+            <>
+              <button onClick={togglePause} className="py-1 px-3 bg-slate-700 hover:bg-slate-600 rounded flex items-center gap-1 transition">
+                {phase === 'running' ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                {phase === 'running' ? 'Jeda' : 'Lanjut'}
+              </button>
+              <button onClick={stop} className="py-1 px-3 bg-red-600 hover:bg-red-700 rounded flex items-center gap-1 transition">
+                <Square className="w-4 h-4" />
+                Berhenti
+              </button>
+            </>
+          ) : (
+            <button onClick={start} className="py-1 px-3 bg-green-600 hover:bg-green-700 rounded flex items-center gap-1 transition">
+              <Play className="w-4 h-4" />
+              Bandingkan
+            </button>
+          )}
+        </div>
+      </div>
+
+      <p className="text-xs text-gray-400 mb-2">
+        Semua konfigurasi memakai parameter saat ini, seed dan populasi awal yang sama; hanya perubahan di bawah yang berbeda.
+        Agar populasi awal tetap sama, yang bisa diubah hanya parameter kebijakan
+        ({Object.values(POLICY_ACTIONS).map(({ label }) => label.toLowerCase()).join(', ')}); parameter lain diatur di panel utama.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-3">
+        {variants.map((variant, index) => (
+          <VariantEditor
+            key={variant.id}
+            index={index}
+            overrides={variant.overrides}
+            onChange={(overrides) => setVariants(prev => prev.map(v => (v.id === variant.id ? { ...v, overrides } : v)))}
+            onRemove={variants.length > 2 ? () => setVariants(prev => prev.filter(v => v.id !== variant.id)) : null}
+          />
+        ))}
+        {variants.length < MAX_VARIANTS && (
+          <button
+            onClick={() => setVariants(prev => [...prev, { id: Math.max(...prev.map(v => v.id)) + 1, overrides: {} }])}
+            className="py-1 px-2 bg-slate-700 hover:bg-slate-600 rounded text-xs flex items-center justify-center gap-1 transition"
+          >
+            <Plus className="w-3 h-3" />
+            Tambah konfigurasi
+          </button>
+        )}
+      </div>
+
+      {runs && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-3">
+            {runs.map((run, index) => (
+              <div key={index}>
+                <p className="text-xs mb-1" style={{ color: RUN_COLORS[index] }}>#{index + 1} {run.label}</p>
+                <canvas
+                  ref={(element) => { canvasesRef.current[index] = element; }}
+                  width={CANVAS_WIDTH}
+                  height={canvasHeight}
+                  className="w-full border border-slate-700 rounded"
+                />
+              </div>
+            ))}
+          </div>
+
+          {hasData && (
+            <>
+              <div className="flex items-center justify-end mb-1 text-sm">
+                <select value={compartment} onChange={(e) => setCompartment(e.target.value)} className="bg-slate-700 rounded px-2 py-1">
+                  <option value="active">Kasus aktif</option>
+                  {BAND_COMPARTMENTS.map(key => (
+                    <option key={key} value={key}>{STATUS_LABELS[key]}</option>
+                  ))}
+                </select>
+              </div>
+              <ResponsiveContainer width="100%" height={220}>
+                <LineChart data={chartData} margin={{ top: 10, right: 20, left: 0, bottom: 20 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                  <XAxis dataKey="time" type="number" domain={['dataMin', 'dataMax']} stroke="#94a3b8" label={{ value: 'Waktu (detik)', position: 'insideBottom', offset: -5 }} />
+                  <YAxis stroke="#94a3b8" />
+                  <Tooltip
+                    contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155' }}
+                    labelStyle={{ color: '#94a3b8' }}
+                  />
+                  <Legend />
+                  {runs.map((run, index) => (
+                    <Line
+                      key={index}
+                      type="monotone"
+                      dataKey={`run${index}`}
+                      name={`#${index + 1} ${run.label}`}
+                      stroke={RUN_COLORS[index]}
+                      strokeWidth={2}
+                      dot={false}
+                      isAnimationActive={false}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+
+              <table className="w-full text-xs text-gray-300 mt-2">
+                <thead>
+                  <tr className="text-gray-400">
+                    <th className="text-left font-normal">Metrik</th>
+                    {runs.map((run, index) => (
+                      <th key={index} className="text-right font-normal" style={{ color: RUN_COLORS[index] }}>#{index + 1}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(({ metric, values, deltas }) => (
+                    <tr key={metric}>
+                      <td>{METRICS[metric].label}</td>
+                      {values.map((value, index) => (
+                        <td key={index} className="text-right">
+                          {METRICS[metric].format(value)}
+                          {index > 0 && (
+                            <span className={deltaClass(metric, deltas[index])}>
+                              {' '}({signed(METRICS[metric].format, deltas[index])})
+                            </span>
+                          )}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonPanel;
@@ -0,0 +1,119 @@
+import React from 'react';
+import { LAYOUTS } from '../simulation/regions';
+
+// Controls for the spatial environment. `layout` and `seedFirstRegion`
+// rebuild the population; the other settings apply to the running model.
+const EnvironmentPanel = ({ layout, onLayoutChange, seedFirstRegion, onSeedFirstRegionChange, settings, onChange, stats }) => {
+  const { travelProbability, bordersClosed, hotspotsEnabled, hotspotVisitRate, hotspotStay } = settings;
+  const multiRegion = layout !== 'single';
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-4 shadow-2xl">
+      <h3 className="text-lg font-semibold mb-3">🗺️ Lingkungan</h3>
+      <div className="space-y-3">
+        <div>
+          <label className="block text-sm mb-1">Tata Letak</label>
+          <select
+            value={layout}
+            onChange={(e) => onLayoutChange(e.target.value)}
+            className="w-full bg-slate-700 rounded px-2 py-1 text-sm"
+          >
+            {Object.entries(LAYOUTS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {multiRegion && (
+          <>
+            <div className="flex items-center justify-between">
+              <label className="block text-sm mb-1">Kasus awal di komunitas 1</label>
+              <input
+                type="checkbox"
+                checked={seedFirstRegion}
+                onChange={(e) => onSeedFirstRegionChange(e.target.checked)}
+                className="h-4 w-4"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm mb-1">
+                Peluang Perjalanan: {(travelProbability * 100).toFixed(0)}%/detik
+              </label>
+              <input
+                type="range"
+                min="0"
+                max="0.2"
+                step="0.01"
+                value={travelProbability}
+                onChange={(e) => onChange({ travelProbability: parseFloat(e.target.value) })}
+                className="w-full"
+              />
+            </div>
+
+            <div className="flex items-center justify-between">
+              <label className="block text-sm mb-1">Tutup perbatasan</label>
+              <input
+                type="checkbox"
+                checked={bordersClosed}
+                onChange={(e) => onChange({ bordersClosed: e.target.checked })}
+                className="h-4 w-4"
+              />
+            </div>
+          </>
+        )}
+
+        <div className="flex items-center justify-between">
+          <label className="block text-sm mb-1">Pusat keramaian (pasar/sekolah)</label>
+          <input
+            type="checkbox"
+            checked={hotspotsEnabled}
+            onChange={(e) => onChange({ hotspotsEnabled: e.target.checked })}
+            className="h-4 w-4"
+          />
+        </div>
+
+        {hotspotsEnabled && (
+          <>
+            <div>
+              <label className="block text-sm mb-1">
+                Frekuensi Kunjungan: {(hotspotVisitRate * 100).toFixed(0)}%/detik
+              </label>
+              <input
+                type="range"
+                min="0"
+                max="0.5"
+                step="0.01"
+                value={hotspotVisitRate}
+                onChange={(e) => onChange({ hotspotVisitRate: parseFloat(e.target.value) })}
+                className="w-full"
+              />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">
+                Lama Kunjungan: {(hotspotStay / 1000).toFixed(1)}s
+              </label>
+              <input
+                type="range"
+                min="250"
+                max="5000"
+                step="250"
+                value={hotspotStay}
+                onChange={(e) => onChange({ hotspotStay: parseInt(e.target.value) })}
+                className="w-full"
+              />
+            </div>
+          </>
+        )}
+
+        {multiRegion && (
+          <div className="text-xs text-gray-300">
+            Perjalanan antarwilayah: <strong>{stats.travels}</strong>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EnvironmentPanel;
@@ -0,0 +1,88 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Download, FileSpreadsheet, FileJson, Users, Video, Square } from 'lucide-react';
+import { downloadFile } from './download';
+
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const VIDEO_FPS = 30;
+
+// Download buttons for the current run. Data files are built by the
+// simulation host (see runExport.js); `onExport(format, filename)` asks for
+// one. The canvas recording is made here with MediaRecorder.
+const ExportPanel = ({ onExport, canvasRef, seed }) => {
+  const [recording, setRecording] = useState(false);
+  const recorderRef = useRef(null);
+  const canRecord = typeof MediaRecorder !== 'undefined' && typeof HTMLCanvasElement !== 'undefined' &&
+    typeof HTMLCanvasElement.prototype.captureStream === 'function';
+
+  // Stop a recording left running when the panel goes away
+  useEffect(() => () => {
+    if (recorderRef.current && recorderRef.current.state !== 'inactive') recorderRef.current.stop();
+  }, []);
+
+  const startRecording = () => {
+    const stream = canvasRef.current.captureStream(VIDEO_FPS);
+    const mimeType = VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.onstop = () => {
+      stream.getTracks().forEach(track => track.stop());
+      downloadFile(`simulasi-${seed}.webm`, new Blob(chunks, { type: 'video/webm' }));
+      recorderRef.current = null;
+      setRecording(false);
+    };
+    recorder.start();
+    recorderRef.current = recorder;
+    setRecording(true);
+  };
+
+  const stopRecording = () => recorderRef.current.stop();
+
+  const buttonClass = 'py-1 px-3 bg-slate-700 hover:bg-slate-600 rounded flex items-center gap-1 transition';
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-4 shadow-2xl">
+      <h3 className="text-lg font-semibold mb-3 flex items-center">
+        <Download className="w-5 h-5 mr-2" />
+        Ekspor
+      </h3>
+      <div className="flex flex-wrap gap-2 text-sm">
+        <button onClick={() => onExport('series', `deret-waktu-${seed}.csv`)} className={buttonClass}>
+          <FileSpreadsheet className="w-4 h-4" />
+          Deret waktu (CSV)
+        </button>
+        <button onClick={() => onExport('lineList', `daftar-agen-${seed}.csv`)} className={buttonClass}>
+          <Users className="w-4 h-4" />
+          Daftar agen (CSV)
+        </button>
+        <button onClick={() => onExport('run', `simulasi-${seed}.json`)} className={buttonClass}>
+          <FileJson className="w-4 h-4" />
+          Run lengkap (JSON)
+        </button>
+        {recording ? (
+          <button onClick={stopRecording} className="py-1 px-3 bg-red-600 hover:bg-red-700 rounded flex items-center gap-1 transition">
+            <Square className="w-4 h-4" />
+            Berhenti merekam
+          </button>
+        ) : (
+          <button
+            onClick={startRecording}
+            disabled={!canRecord}
+            title={canRecord ? undefined : 'Browser ini tidak mendukung perekaman kanvas'}
+            className={`${buttonClass} disabled:opacity-50`}
+          >
+            <Video className="w-4 h-4" />
+            Rekam kanvas (WebM)
+          </button>
+        )}
+      </div>
+      <p className="text-xs text-gray-400 mt-2">
+        Data diambil dari run yang sedang berjalan, termasuk parameter dan seed, sehingga bisa diulang persis.
+      </p>
+    </div>
+  );
+};
+
+export default ExportPanel;
@@ -0,0 +1,101 @@
+import React from 'react';
+
+// Controls for structured contacts. `structure` (mode and group sizes)
+// rebuilds the population; `schedule` applies to the running model.
+const HouseholdPanel = ({ structure, onStructureChange, schedule, onScheduleChange, disabled }) => {
+  const { structuredContacts, householdSize, workplaceSize } = structure;
+  const { dayLength, homeInfectionRate, workInfectionRate } = schedule;
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-4 shadow-2xl">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold">🏠 Rumah & Tempat Kerja</h3>
+        <input
+          type="checkbox"
+          checked={structuredContacts}
+          onChange={(e) => onStructureChange({ structuredContacts: e.target.checked })}
+          className="h-4 w-4"
+          disabled={disabled}
+        />
+      </div>
+      {structuredContacts && (
+        <div className="space-y-3">
+          <p className="text-xs text-gray-400">
+            Tiap hari: 40% di tempat kerja/sekolah, 20% di komunitas, sisanya di rumah.
+          </p>
+          <div>
+            <label className="block text-sm mb-1">Ukuran Rumah Tangga: {householdSize} orang</label>
+            <input
+              type="range"
+              min="1"
+              max="10"
+              step="1"
+              value={householdSize}
+              onChange={(e) => onStructureChange({ householdSize: parseInt(e.target.value) })}
+              className="w-full"
+              disabled={disabled}
+            />
+          </div>
+          <div>
+            <label className="block text-sm mb-1">Ukuran Tempat Kerja/Sekolah: {workplaceSize} orang</label>
+            <input
+              type="range"
+              min="2"
+              max="100"
+              step="1"
+              value={workplaceSize}
+              onChange={(e) => onStructureChange({ workplaceSize: parseInt(e.target.value) })}
+              className="w-full"
+              disabled={disabled}
+            />
+          </div>
+          <div>
+            <label className="block text-sm mb-1">Panjang Hari: {(dayLength / 1000).toFixed(1)}s</label>
+            <input
+              type="range"
+              min="1000"
+              max="10000"
+              step="500"
+              value={dayLength}
+              onChange={(e) => onScheduleChange({ dayLength: parseInt(e.target.value) })}
+              className="w-full"
+            />
+          </div>
+          <div>
+            <label className="block text-sm mb-1">
+              Laju Penularan di Rumah: {homeInfectionRate.toFixed(2)}/detik
+            </label>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.01"
+              value={homeInfectionRate}
+              onChange={(e) => onScheduleChange({ homeInfectionRate: parseFloat(e.target.value) })}
+              className="w-full"
+            />
+          </div>
+          <div>
+            <label className="block text-sm mb-1">
+              Laju Penularan di Kerja/Sekolah: {workInfectionRate.toFixed(3)}/detik
+            </label>
+            <input
+              type="range"
+              min="0"
+              max="0.2"
+              step="0.005"
+              value={workInfectionRate}
+              onChange={(e) => onScheduleChange({ workInfectionRate: parseFloat(e.target.value) })}
+              className="w-full"
+            />
+          </div>
+          <p className="text-xs text-gray-400">
+            Laju per pasangan orang terinfeksi–rentan yang berada di lokasi yang sama. Di komunitas berlaku Tingkat Infeksi biasa.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HouseholdPanel;
@@ -0,0 +1,101 @@
+import React from 'react';
+import { MASK_PAIRS } from '../simulation/masks';
+
+const PAIR_LABELS = {
+  both: 'Keduanya bermasker',
+  sourceOnly: 'Hanya penular',
+  targetOnly: 'Hanya yang tertular',
+  neither: 'Tanpa masker'
+};
+
+// Mask mandate, adherence and efficacies, plus infections by who wore a
+// mask. onChange receives a partial update of the engine params.
+const MaskPanel = ({ settings, onChange, stats }) => {
+  const { maskEnabled, maskAdherence, maskSourceEfficacy, maskWearerEfficacy } = settings;
+  const counts = stats.infectionsByMask;
+  const total = MASK_PAIRS.reduce((sum, pair) => sum + counts[pair], 0);
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-4 shadow-2xl">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold">😷 Masker</h3>
+        <label className="flex items-center gap-2 text-sm">
+          Wajib masker
+          <input
+            type="checkbox"
+            checked={maskEnabled}
+            onChange={(e) => onChange({ maskEnabled: e.target.checked })}
+            className="h-4 w-4"
+          />
+        </label>
+      </div>
+      <div className="space-y-3">
+        {maskEnabled && (
+          <div>
+            <label className="block text-sm mb-1">Kepatuhan: {(maskAdherence * 100).toFixed(0)}% agen</label>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={maskAdherence}
+              onChange={(e) => onChange({ maskAdherence: parseFloat(e.target.value) })}
+              className="w-full"
+            />
+          </div>
+        )}
+        <div>
+          <label className="block text-sm mb-1">
+            Efektivitas bagi penular: {(maskSourceEfficacy * 100).toFixed(0)}%
+          </label>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={maskSourceEfficacy}
+            onChange={(e) => onChange({ maskSourceEfficacy: parseFloat(e.target.value) })}
+            className="w-full"
+          />
+        </div>
+        <div>
+          <label className="block text-sm mb-1">
+            Efektivitas bagi pemakai: {(maskWearerEfficacy * 100).toFixed(0)}%
+          </label>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={maskWearerEfficacy}
+            onChange={(e) => onChange({ maskWearerEfficacy: parseFloat(e.target.value) })}
+            className="w-full"
+          />
+        </div>
+        <p className="text-xs text-gray-400">
+          Jika keduanya bermasker, transmisi turun {((1 - (1 - maskSourceEfficacy) * (1 - maskWearerEfficacy)) * 100).toFixed(0)}%.
+        </p>
+        <table className="w-full text-xs text-gray-300">
+          <thead>
+            <tr className="text-gray-400">
+              <th className="text-left font-normal">Penularan</th>
+              <th className="text-right font-normal">Kasus</th>
+              <th className="text-right font-normal">Porsi</th>
+            </tr>
+          </thead>
+          <tbody>
+            {MASK_PAIRS.map(pair => (
+              <tr key={pair}>
+                <td>{PAIR_LABELS[pair]}</td>
+                <td className="text-right">{counts[pair]}</td>
+                <td className="text-right">{total ? `${((counts[pair] / total) * 100).toFixed(0)}%` : '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default MaskPanel;
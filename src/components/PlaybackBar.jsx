@@ -0,0 +1,56 @@
+import React from 'react';
+import { History, GitBranch, SkipForward } from 'lucide-react';
+
+// Timeline under the canvas: checkpoint times (s) of the current run, with
+// the live state as the last position. `playback` is the checkpoint shown
+// ({ index, time }) or null while live; `onSeek(index)` takes null for live.
+const PlaybackBar = ({ times, playback, onSeek, onBranch }) => {
+  const position = playback ? playback.index : times.length;
+
+  return (
+    <div className="mt-3 text-sm">
+      <div className="flex items-center gap-2">
+        <History className="w-4 h-4 text-gray-400 shrink-0" />
+        <input
+          type="range"
+          min="0"
+          max={times.length}
+          step="1"
+          value={position}
+          onChange={(e) => {
+            const index = parseInt(e.target.value);
+            onSeek(index === times.length ? null : index);
+          }}
+          disabled={times.length === 0}
+          className="flex-1"
+          aria-label="Linimasa"
+        />
+        <span className="w-20 text-right text-gray-300">
+          {playback ? `${(playback.time / 1000).toFixed(1)}s` : 'Langsung'}
+        </span>
+      </div>
+      {playback && (
+        <div className="flex flex-wrap items-center gap-2 mt-2">
+          <button
+            onClick={onBranch}
+            className="py-1 px-3 bg-blue-600 hover:bg-blue-700 rounded flex items-center gap-1 transition"
+            title="Lanjutkan dari titik ini dengan parameter saat ini; run setelahnya dibuang"
+          >
+            <GitBranch className="w-4 h-4" />
+            Cabang dari sini
+          </button>
+          <button
+            onClick={() => onSeek(null)}
+            className="py-1 px-3 bg-slate-700 hover:bg-slate-600 rounded flex items-center gap-1 transition"
+          >
+            <SkipForward className="w-4 h-4" />
+            Kembali ke sekarang
+          </button>
+          <span className="text-xs text-gray-400">Ubah parameter di panel kanan sebelum membuat cabang.</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlaybackBar;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { POLICY_ACTIONS } from '../simulation/policies';
+
+const defaultValueFor = (param) => (POLICY_ACTIONS[param].type === 'boolean' ? true : POLICY_ACTIONS[param].min);
+
+// Parameter and value of a policy action, shared by the policy timeline and
+// the comparison variants; `compact` narrows it for the smaller panel
+const PolicyActionEditor = ({ param, value, onChange, compact = false }) => {
+  const action = POLICY_ACTIONS[param];
+  const padding = compact ? 'px-1' : 'px-2';
+
+  return (
+    <>
+      <select
+        value={param}
+        onChange={(e) => onChange({ param: e.target.value, value: defaultValueFor(e.target.value) })}
+        className={`flex-1 bg-slate-700 rounded ${padding} py-1`}
+      >
+        {Object.entries(POLICY_ACTIONS).map(([key, { label }]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      {action.type === 'boolean' ? (
+        <select
+          value={value ? 'on' : 'off'}
+          onChange={(e) => onChange({ param, value: e.target.value === 'on' })}
+          className={`bg-slate-700 rounded ${padding} py-1`}
+        >
+          <option value="on">Aktif</option>
+          <option value="off">Nonaktif</option>
+        </select>
+      ) : (
+        <input
+          type="number"
+          min={action.min}
+          max={action.max}
+          step={action.step}
+          value={value}
+          onChange={(e) => onChange({ param, value: parseFloat(e.target.value) || 0 })}
+          className={`${compact ? 'w-16' : 'w-20'} bg-slate-700 rounded px-1 py-1`}
+        />
+      )}
+    </>
+  );
+};
+
+export default PolicyActionEditor;
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { POLICY_METRICS, describePolicy } from '../simulation/policies';
+import PolicyActionEditor from './PolicyActionEditor';
+
+// Editor for scheduled interventions; fired ones are marked with their time
+const PolicyTimelinePanel = ({ policies, onChange, policyLog }) => {
+  const [triggerType, setTriggerType] = useState('time');
+  const [at, setAt] = useState(10);
+  const [metric, setMetric] = useState('activeCases');
+  const [comparator, setComparator] = useState('above');
+  const [threshold, setThreshold] = useState(50);
+  const [action, setAction] = useState({ param: 'maskEnabled', value: true });
+  // Ids are never reused: the engine remembers which ids have fired
+  const [nextId, setNextId] = useState(1);
+
+  const firedAt = Object.fromEntries(policyLog.map(event => [event.id, event.time]));
+
+  const addPolicy = () => {
+    const trigger = triggerType === 'time'
+      ? { type: 'time', at: at * 1000 }
+      : { type: 'threshold', metric, comparator, value: threshold };
+    const id = Math.max(nextId, ...policies.map(policy => policy.id + 1));
+    setNextId(id + 1);
+    onChange([...policies, { id, trigger, action }]);
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-4 shadow-2xl">
+      <h3 className="text-lg font-semibold mb-3">🗓️ Jadwal Kebijakan</h3>
+
+      <div className="space-y-1 mb-3">
+        {policies.length === 0 && <p className="text-xs text-gray-400">Belum ada kebijakan terjadwal.</p>}
+        {policies.map(policy => (
+          <div key={policy.id} className="flex items-center justify-between bg-slate-700/50 rounded px-2 py-1 text-xs">
+            <span className={firedAt[policy.id] !== undefined ? 'text-green-300' : ''}>
+              {describePolicy(policy)}
+              {firedAt[policy.id] !== undefined && ` ✓ ${(firedAt[policy.id] / 1000).toFixed(1)}s`}
+            </span>
+            <button
+              onClick={() => onChange(policies.filter(p => p.id !== policy.id))}
+              className="text-gray-400 hover:text-red-400"
+              title="Hapus"
+            >
+              <Trash2 className="w-3 h-3" />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-2 text-sm">
+        <div className="flex gap-2">
+          <select
+            value={triggerType}
+            onChange={(e) => setTriggerType(e.target.value)}
+            className="bg-slate-700 rounded px-2 py-1"
+          >
+            <option value="time">Pada waktu</option>
+            <option value="threshold">Ketika</option>
+          </select>
+          {triggerType === 'time' ? (
+            <label className="flex items-center gap-1">
+              t =
+              <input
+                type="number"
+                min="0"
+                value={at}
+                onChange={(e) => setAt(parseFloat(e.target.value) || 0)}
+                className="w-16 bg-slate-700 rounded px-1 py-1"
+              />
+              s
+            </label>
+          ) : (
+            <div className="flex gap-1">
+              <select value={metric} onChange={(e) => setMetric(e.target.value)} className="bg-slate-700 rounded px-1 py-1">
+                {Object.entries(POLICY_METRICS).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+              <select value={comparator} onChange={(e) => setComparator(e.target.value)} className="bg-slate-700 rounded px-1 py-1">
+                <option value="above">&gt;</option>
+                <option value="below">&lt;</option>
+              </select>
+              <input
+                type="number"
+                min="0"
+                value={threshold}
+                onChange={(e) => setThreshold(parseFloat(e.target.value) || 0)}
+                className="w-14 bg-slate-700 rounded px-1 py-1"
+              />
+            </div>
+          )}
+        </div>
+
+        <div className="flex gap-2">
+          <PolicyActionEditor {...action} onChange={setAction} />
+          <button
+            onClick={addPolicy}
+            className="py-1 px-2 bg-green-600 hover:bg-green-700 rounded transition"
+            title="Tambah kebijakan"
+          >
+            <Plus className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PolicyTimelinePanel;
@@ -0,0 +1,149 @@
+import React, { useRef, useState } from 'react';
+import { Save, FolderOpen, Upload, Download, Link, Trash2 } from 'lucide-react';
+import {
+  PRESETS,
+  createScenario,
+  presetScenario,
+  parseScenario,
+  scenarioToHash,
+  loadScenarios,
+  storeScenario,
+  removeScenario
+} from '../simulation/scenarios';
+import { downloadFile } from './download';
+
+// Save, load and share complete parameter sets. `getParams` returns the
+// current engine params; `onApply(params)` loads a scenario's params.
+// `linkError` says why a shared link the page opened with was not loaded.
+const ScenarioPanel = ({ getParams, onApply, linkError }) => {
+  const [name, setName] = useState('');
+  const [saved, setSaved] = useState(() => loadScenarios(window.localStorage));
+  const [message, setMessage] = useState(null);
+  const fileRef = useRef(null);
+
+  const current = () => createScenario(name.trim() || 'Skenario', getParams());
+
+  const apply = (scenario) => {
+    onApply(scenario.params);
+    setName(scenario.name);
+    setMessage(`Skenario "${scenario.name}" dimuat.`);
+  };
+
+  const save = () => {
+    setSaved(storeScenario(window.localStorage, current()));
+    setMessage('Tersimpan di browser ini.');
+  };
+
+  const shareLink = () => {
+    const url = `${window.location.origin}${window.location.pathname}${scenarioToHash(current())}`;
+    window.history.replaceState(null, '', url);
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(url).then(
+        () => setMessage('Tautan disalin ke clipboard.'),
+        () => setMessage('Tautan ada di bilah alamat.')
+      );
+    } else {
+      setMessage('Tautan ada di bilah alamat.');
+    }
+  };
+
+  const importFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        apply(parseScenario(JSON.parse(reader.result)));
+      } catch (error) {
+        setMessage(`Gagal memuat berkas: ${error.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const buttonClass = 'py-1 px-2 bg-slate-700 hover:bg-slate-600 rounded flex items-center gap-1 transition';
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-4 shadow-2xl">
+      <h3 className="text-lg font-semibold mb-3">💾 Skenario</h3>
+      <div className="space-y-3 text-sm">
+        <div>
+          <label className="block mb-1">Preset</label>
+          <select
+            value=""
+            onChange={(e) => e.target.value && apply(presetScenario(e.target.value))}
+            className="w-full bg-slate-700 rounded px-2 py-1"
+          >
+            <option value="">Pilih preset...</option>
+            {Object.entries(PRESETS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Nama skenario"
+            className="flex-1 min-w-0 bg-slate-700 rounded px-2 py-1"
+          />
+          <button onClick={save} className={buttonClass}>
+            <Save className="w-4 h-4" />
+            Simpan
+          </button>
+        </div>
+
+        {saved.length > 0 && (
+          <ul className="space-y-1">
+            {saved.map(scenario => (
+              <li key={scenario.name} className="flex items-center justify-between gap-2">
+                <span className="truncate">{scenario.name}</span>
+                <span className="flex gap-1">
+                  <button onClick={() => apply(scenario)} className={buttonClass} title="Muat">
+                    <FolderOpen className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => setSaved(removeScenario(window.localStorage, scenario.name))}
+                    className={buttonClass}
+                    title="Hapus"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => {
+              const scenario = current();
+              downloadFile(`${scenario.name}.json`, JSON.stringify(scenario, null, 2), 'application/json');
+            }}
+            className={buttonClass}
+          >
+            <Download className="w-4 h-4" />
+            Ekspor JSON
+          </button>
+          <button onClick={() => fileRef.current.click()} className={buttonClass}>
+            <Upload className="w-4 h-4" />
+            Impor JSON
+          </button>
+          <input ref={fileRef} type="file" accept="application/json,.json" onChange={importFile} className="hidden" />
+          <button onClick={shareLink} className={buttonClass}>
+            <Link className="w-4 h-4" />
+            Salin tautan
+          </button>
+        </div>
+
+        {(message || linkError) && <p className="text-xs text-gray-400">{message || linkError}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default ScenarioPanel;
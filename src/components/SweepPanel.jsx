@@ -0,0 +1,247 @@
+import React, { useState } from 'react';
+import { Grid3x3, X, Download, Plus, Trash2 } from 'lucide-react';
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { SWEEP_PARAMS, gridValues, sweepToCsv } from '../simulation/sweep';
+import { OUTCOME_METRICS } from './theme';
+import { downloadFile } from './download';
+
+const defaultAxis = (param) => ({ param, min: SWEEP_PARAMS[param].min, max: SWEEP_PARAMS[param].max, steps: 5 });
+
+// Blue (low) to red (high) for the heatmap
+const heatColor = (t) => `hsl(${(1 - t) * 220}, 70%, 45%)`;
+
+const SweepLineChart = ({ result, metric }) => {
+  const [axis] = result.axes;
+  const data = result.points.map(({ values, summary }) => ({
+    value: values[axis.param],
+    median: summary[metric.key].median,
+    band: [summary[metric.key].p5, summary[metric.key].p95]
+  }));
+  return (
+    <ResponsiveContainer width="100%" height={250}>
+      <ComposedChart data={data} margin={{ top: 10, right: 20, left: 0, bottom: 20 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+        <XAxis dataKey="value" type="number" domain={['dataMin', 'dataMax']} stroke="#94a3b8" label={{ value: SWEEP_PARAMS[axis.param].label, position: 'insideBottom', offset: -5 }} />
+        <YAxis stroke="#94a3b8" />
+        <Tooltip
+          contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155' }}
+          labelStyle={{ color: '#94a3b8' }}
+          formatter={(value) => (Array.isArray(value) ? `${metric.format(value[0])}–${metric.format(value[1])}` : metric.format(value))}
+        />
+        <Area type="monotone" dataKey="band" name="5–95%" stroke="none" fill="#3b82f6" fillOpacity={0.2} isAnimationActive={false} />
+        <Line type="monotone" dataKey="median" name={`${metric.label} (median)`} stroke="#3b82f6" strokeWidth={2} isAnimationActive={false} />
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+};
+
+const SweepHeatmap = ({ result, metric }) => {
+  const [xAxis, yAxis] = result.axes;
+  const xValues = gridValues(xAxis);
+  const yValues = gridValues(yAxis).reverse(); // largest at the top
+  const medianAt = (x, y) => {
+    const point = result.points.find(({ values }) => values[xAxis.param] === x && values[yAxis.param] === y);
+    return point ? point.summary[metric.key].median : null;
+  };
+  const medians = result.points.map(({ summary }) => summary[metric.key].median);
+  const low = Math.min(...medians);
+  const high = Math.max(...medians);
+
+  return (
+    <div className="text-xs">
+      <div className="flex">
+        <div className="flex items-center pr-2 text-gray-400" style={{ writingMode: 'vertical-rl', transform: 'rotate(180deg)' }}>
+          {SWEEP_PARAMS[yAxis.param].label}
+        </div>
+        <div className="grid gap-px flex-1" style={{ gridTemplateColumns: `auto repeat(${xValues.length}, 1fr)` }}>
+          {yValues.map(y => (
+            <React.Fragment key={y}>
+              <div className="text-right pr-1 text-gray-400 self-center">{y}</div>
+              {xValues.map(x => {
+                const value = medianAt(x, y);
+                return (
+                  <div
+                    key={x}
+                    className="h-8 flex items-center justify-center rounded-sm"
+                    style={{ backgroundColor: value === null ? '#334155' : heatColor(high > low ? (value - low) / (high - low) : 0.5) }}
+                    title={`${SWEEP_PARAMS[xAxis.param].label}=${x}, ${SWEEP_PARAMS[yAxis.param].label}=${y}`}
+                  >
+                    {value === null ? '–' : metric.format(value)}
+                  </div>
+                );
+              })}
+            </React.Fragment>
+          ))}
+          <div />
+          {xValues.map(x => (
+            <div key={x} className="text-center text-gray-400">{x}</div>
+          ))}
+        </div>
+      </div>
+      <div className="text-center text-gray-400 mt-1">{SWEEP_PARAMS[xAxis.param].label}</div>
+    </div>
+  );
+};
+
+// Sweep mode: vary one or two parameters over a grid and plot a chosen
+// outcome metric (median over the replicates at each point)
+const SweepPanel = ({ onRun, onCancel, progress, result }) => {
+  const [axes, setAxes] = useState([defaultAxis('infectionRate')]);
+  const [replicates, setReplicates] = useState(5);
+  const [maxDuration, setMaxDuration] = useState(60);
+  const [metricKey, setMetricKey] = useState('attackRate');
+  const isRunning = progress !== null;
+  const metric = OUTCOME_METRICS.find(m => m.key === metricKey);
+
+  const updateAxis = (index, patch) => {
+    setAxes(prev => prev.map((axis, i) => (i === index ? { ...axis, ...patch } : axis)));
+  };
+
+  const addAxis = () => {
+    const param = Object.keys(SWEEP_PARAMS).find(key => key !== axes[0].param);
+    setAxes(prev => [...prev, defaultAxis(param)]);
+  };
+
+  const gridSize = axes.reduce((size, axis) => size * Math.max(1, axis.steps), 1);
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-4 shadow-2xl">
+      <h3 className="text-lg font-semibold mb-3 flex items-center">
+        <Grid3x3 className="w-5 h-5 mr-2" />
+        Sapuan Parameter
+      </h3>
+
+      <div className="space-y-2 mb-3 text-sm">
+        {axes.map((axis, index) => (
+          <div key={index} className="flex flex-wrap items-end gap-2">
+            <label>
+              Parameter {index + 1}
+              <select
+                value={axis.param}
+                onChange={(e) => updateAxis(index, defaultAxis(e.target.value))}
+                className="block bg-slate-700 rounded px-2 py-1"
+                disabled={isRunning}
+              >
+                {Object.entries(SWEEP_PARAMS)
+                  .filter(([key]) => key === axis.param || !axes.some(other => other.param === key))
+                  .map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+              </select>
+            </label>
+            {['min', 'max'].map(bound => (
+              <label key={bound}>
+                {bound === 'min' ? 'Dari' : 'Sampai'}
+                <input
+                  type="number"
+                  step={SWEEP_PARAMS[axis.param].step}
+                  value={axis[bound]}
+                  onChange={(e) => updateAxis(index, { [bound]: parseFloat(e.target.value) || 0 })}
+                  className="block w-24 bg-slate-700 rounded px-2 py-1"
+                  disabled={isRunning}
+                />
+              </label>
+            ))}
+            <label>
+              Langkah
+              <input
+                type="number"
+                min="1"
+                max="20"
+                value={axis.steps}
+                onChange={(e) => updateAxis(index, { steps: Math.min(20, Math.max(1, parseInt(e.target.value) || 1)) })}
+                className="block w-16 bg-slate-700 rounded px-2 py-1"
+                disabled={isRunning}
+              />
+            </label>
+            {index > 0 && !isRunning && (
+              <button onClick={() => setAxes(prev => prev.slice(0, 1))} className="p-1 text-gray-400 hover:text-red-400" title="Hapus parameter">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+        ))}
+        {axes.length === 1 && !isRunning && (
+          <button onClick={addAxis} className="text-xs text-blue-400 hover:text-blue-300 flex items-center gap-1">
+            <Plus className="w-3 h-3" />
+            Tambah parameter kedua (heatmap)
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3 mb-3 text-sm">
+        <label>
+          Replikasi/titik
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={replicates}
+            onChange={(e) => setReplicates(Math.max(1, parseInt(e.target.value) || 1))}
+            className="block w-20 bg-slate-700 rounded px-2 py-1"
+            disabled={isRunning}
+          />
+        </label>
+        <label>
+          Durasi maks (s)
+          <input
+            type="number"
+            min="5"
+            value={maxDuration}
+            onChange={(e) => setMaxDuration(Math.max(5, parseInt(e.target.value) || 5))}
+            className="block w-20 bg-slate-700 rounded px-2 py-1"
+            disabled={isRunning}
+          />
+        </label>
+        {isRunning ? (
+          <button
+            onClick={onCancel}
+            className="py-1 px-3 bg-red-600 hover:bg-red-700 rounded font-semibold flex items-center gap-1 transition"
+          >
+            <X className="w-4 h-4" />
+            Batal ({progress.done}/{progress.total})
+          </button>
+        ) : (
+          <button
+            onClick={() => onRun({ axes, replicates, maxDuration: maxDuration * 1000 })}
+            className="py-1 px-3 bg-green-600 hover:bg-green-700 rounded font-semibold transition"
+          >
+            Jalankan {gridSize * replicates} simulasi
+          </button>
+        )}
+      </div>
+
+      {isRunning && (
+        <div className="w-full bg-slate-700 rounded h-2 mb-3">
+          <div className="bg-green-500 h-2 rounded" style={{ width: `${(progress.done / progress.total) * 100}%` }} />
+        </div>
+      )}
+
+      {result && (
+        <>
+          <div className="flex items-center justify-between mb-2 text-sm">
+            <label className="flex items-center gap-2">
+              Metrik
+              <select value={metricKey} onChange={(e) => setMetricKey(e.target.value)} className="bg-slate-700 rounded px-2 py-1">
+                {OUTCOME_METRICS.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+              </select>
+            </label>
+            <button
+              onClick={() => downloadFile('sapuan-parameter.csv', sweepToCsv(result), 'text/csv')}
+              className="py-1 px-3 bg-slate-700 hover:bg-slate-600 rounded flex items-center gap-1 transition"
+            >
+              <Download className="w-4 h-4" />
+              Ekspor CSV
+            </button>
+          </div>
+          {result.axes.length === 1
+            ? <SweepLineChart result={result} metric={metric} />
+            : <SweepHeatmap result={result} metric={metric} />}
+          <p className="text-xs text-gray-400 mt-2">
+            {result.points.length} titik × {result.replicates} replikasi; nilai = median.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SweepPanel;
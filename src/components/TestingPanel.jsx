@@ -0,0 +1,118 @@
+import React from 'react';
+
+// Controls for testing and contact tracing; `settings` holds the engine
+// params of the same names and onChange receives a partial update.
+// `dayLength` is the schedule's day, which the test capacity is counted in.
+const TestingPanel = ({ settings, onChange, stats, dayLength }) => {
+  const {
+    testingEnabled,
+    testCapacity,
+    testSensitivity,
+    tracingSuccess,
+    tracingQuarantine,
+    contactMemory
+  } = settings;
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-4 shadow-2xl">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold">🧪 Tes & Pelacakan Kontak</h3>
+        <input
+          type="checkbox"
+          checked={testingEnabled}
+          onChange={(e) => onChange({ testingEnabled: e.target.checked })}
+          className="h-4 w-4"
+        />
+      </div>
+      {testingEnabled && (
+        <div className="space-y-3">
+          <div>
+            <label className="block text-sm mb-1">
+              Kapasitas Tes: {testCapacity} tes/hari
+            </label>
+            <input
+              type="range"
+              min="0"
+              max="100"
+              step="1"
+              value={testCapacity}
+              onChange={(e) => onChange({ testCapacity: parseInt(e.target.value) })}
+              className="w-full"
+            />
+            <p className="text-xs text-gray-400">1 hari = {(dayLength / 1000).toFixed(1)} detik simulasi</p>
+          </div>
+
+          <div>
+            <label className="block text-sm mb-1">
+              Sensitivitas Tes: {(testSensitivity * 100).toFixed(0)}%
+            </label>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={testSensitivity}
+              onChange={(e) => onChange({ testSensitivity: parseFloat(e.target.value) })}
+              className="w-full"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm mb-1">
+              Keberhasilan Pelacakan: {(tracingSuccess * 100).toFixed(0)}%
+            </label>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={tracingSuccess}
+              onChange={(e) => onChange({ tracingSuccess: parseFloat(e.target.value) })}
+              className="w-full"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm mb-1">
+              Lama Karantina Kontak: {(tracingQuarantine / 1000).toFixed(1)}s
+            </label>
+            <input
+              type="range"
+              min="500"
+              max="15000"
+              step="500"
+              value={tracingQuarantine}
+              onChange={(e) => onChange({ tracingQuarantine: parseInt(e.target.value) })}
+              className="w-full"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm mb-1">
+              Kontak Diingat Selama: {(contactMemory / 1000).toFixed(1)}s
+            </label>
+            <input
+              type="range"
+              min="500"
+              max="10000"
+              step="500"
+              value={contactMemory}
+              onChange={(e) => onChange({ contactMemory: parseInt(e.target.value) })}
+              className="w-full"
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs text-gray-300">
+            <span>Tes terpakai: <strong>{stats.testsUsed}</strong></span>
+            <span>Kasus ditemukan: <strong>{stats.casesFound}</strong></span>
+            <span>Kontak dikarantina: <strong>{stats.contactsQuarantined}</strong></span>
+            <span>…yang ternyata terinfeksi: <strong>{stats.tracedInfected}</strong></span>
+            <span>Sedang dikarantina: <strong>{stats.isolated}</strong></span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TestingPanel;
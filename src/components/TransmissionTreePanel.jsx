@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { Network, RefreshCw } from 'lucide-react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { AGE_GROUPS, AGE_GROUP_LABELS } from '../simulation/ageProfiles';
+import { STATUS_COLORS, STATUS_LABELS, AGE_GROUP_COLORS } from './theme';
+
+const ROW_HEIGHT = 8; // px per node row
+const TREE_WIDTH = 600;
+const MARGIN = 12;
+
+// Time-scaled layout: x from infection time, one row per node in depth-first
+// order so every subtree occupies a contiguous block below its root
+const layoutTree = (nodes) => {
+  const children = nodes.map(() => []);
+  const roots = [];
+  nodes.forEach((node, index) => {
+    if (node.parent === null || node.parent >= nodes.length) roots.push(index);
+    else children[node.parent].push(index);
+  });
+  const rows = new Array(nodes.length);
+  let row = 0;
+  const stack = [...roots].reverse();
+  while (stack.length) {
+    const index = stack.pop();
+    rows[index] = row++;
+    for (let c = children[index].length - 1; c >= 0; c--) stack.push(children[index][c]);
+  }
+  return rows;
+};
+
+const formatK = (k) => {
+  if (k === null) return '-';
+  if (k === Infinity) return '∞ (Poisson)';
+  return k.toFixed(2);
+};
+
+// Who infected whom, from the initial cases onwards, with superspreading
+// statistics. Clicking a node highlights the agent on the canvas.
+const TransmissionTreePanel = ({ tree, onRefresh, highlightedId, onSelect }) => {
+  const [colorBy, setColorBy] = useState('outcome');
+
+  const nodeColor = (node) => (colorBy === 'outcome' ? STATUS_COLORS[node.outcome] : AGE_GROUP_COLORS[node.ageGroup]);
+
+  const renderTree = () => {
+    const { nodes } = tree;
+    const rows = layoutTree(nodes);
+    const maxTime = Math.max(1, ...nodes.map(node => node.time));
+    const xOf = (node) => MARGIN + (node.time / maxTime) * (TREE_WIDTH - 2 * MARGIN);
+    const yOf = (index) => MARGIN + rows[index] * ROW_HEIGHT;
+    const height = 2 * MARGIN + nodes.length * ROW_HEIGHT;
+
+    return (
+      <svg width="100%" viewBox={`0 0 ${TREE_WIDTH} ${height}`} style={{ minHeight: Math.min(height, 320) }}>
+        {/* Elbow edges: down from the infector's time, then across to the case */}
+        <path
+          d={nodes.map((node, index) => {
+            if (node.parent === null || node.parent >= nodes.length) return '';
+            const parent = nodes[node.parent];
+            return `M${xOf(parent)},${yOf(node.parent)}V${yOf(index)}H${xOf(node)}`;
+          }).join('')}
+          fill="none"
+          stroke="#475569"
+          strokeWidth={1}
+        />
+        {nodes.map((node, index) => (
+          <circle
+            key={index}
+            cx={xOf(node)}
+            cy={yOf(index)}
+            r={node.id === highlightedId ? 5 : 3}
+            fill={nodeColor(node)}
+            stroke={node.id === highlightedId ? '#ffffff' : 'none'}
+            strokeWidth={2}
+            className="cursor-pointer"
+            onClick={() => onSelect(node.id === highlightedId ? null : node.id)}
+          >
+            <title>{`Agen #${node.id} · t=${node.time.toFixed(1)}s · ${AGE_GROUP_LABELS[node.ageGroup]} · ${STATUS_LABELS[node.outcome]} · menularkan ${node.offspring}`}</title>
+          </circle>
+        ))}
+      </svg>
+    );
+  };
+
+  const legend = colorBy === 'outcome'
+    ? ['exposed', 'asymptomatic', 'infected', 'quarantined', 'recovered', 'dead'].map(key => [STATUS_LABELS[key], STATUS_COLORS[key]])
+    : AGE_GROUPS.map(group => [AGE_GROUP_LABELS[group], AGE_GROUP_COLORS[group]]);
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-4 shadow-2xl">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold flex items-center">
+          <Network className="w-5 h-5 mr-2" />
+          Pohon Penularan
+        </h3>
+        <div className="flex items-center gap-2 text-sm">
+          <select value={colorBy} onChange={(e) => setColorBy(e.target.value)} className="bg-slate-700 rounded px-2 py-1">
+            <option value="outcome">Warna: hasil</option>
+            <option value="age">Warna: usia</option>
+          </select>
+          <button
+            onClick={onRefresh}
+            className="py-1 px-3 bg-slate-700 hover:bg-slate-600 rounded flex items-center gap-1 transition"
+          >
+            <RefreshCw className="w-4 h-4" />
+            {tree ? 'Perbarui' : 'Tampilkan'}
+          </button>
+        </div>
+      </div>
+
+      {tree && (
+        <>
+          <div className="flex flex-wrap gap-x-4 gap-y-1 mb-2 text-xs text-gray-300">
+            {legend.map(([label, color]) => (
+              <span key={label} className="flex items-center gap-1">
+                <span className="w-3 h-3 rounded-full inline-block" style={{ backgroundColor: color }} />
+                {label}
+              </span>
+            ))}
+          </div>
+          <div className="max-h-80 overflow-y-auto bg-slate-900 rounded">
+            {renderTree()}
+          </div>
+          {tree.nodes.length < tree.totalEpisodes && (
+            <p className="text-xs text-gray-400 mt-1">
+              Menampilkan {tree.nodes.length} dari {tree.totalEpisodes} infeksi paling awal.
+            </p>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-3">
+            <div>
+              <p className="text-sm text-gray-300 mb-1">Distribusi jumlah penularan ({tree.completed} kasus selesai)</p>
+              <ResponsiveContainer width="100%" height={160}>
+                <BarChart data={tree.histogram} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                  <XAxis dataKey="offspring" stroke="#94a3b8" />
+                  <YAxis stroke="#94a3b8" allowDecimals={false} />
+                  <Tooltip
+                    contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155' }}
+                    labelStyle={{ color: '#94a3b8' }}
+                    labelFormatter={(n) => `Menularkan ${n} orang`}
+                  />
+                  <Bar dataKey="cases" name="Kasus" fill="#f59e0b" isAnimationActive={false} />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+            <div className="space-y-2 text-sm self-center">
+              <div className="flex justify-between">
+                <span>Rata-rata penularan</span>
+                <span className="font-bold">{tree.meanOffspring === null ? '-' : tree.meanOffspring.toFixed(2)}</span>
+              </div>
+              <div className="flex justify-between" title="Parameter dispersi binomial negatif; makin kecil, makin kuat superspreading">
+                <span>Dispersi k</span>
+                <span className="font-bold">{formatK(tree.k)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span>Penularan oleh 20% teratas</span>
+                <span className="font-bold">{tree.topShare === null ? '-' : `${(tree.topShare * 100).toFixed(0)}%`}</span>
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TransmissionTreePanel;
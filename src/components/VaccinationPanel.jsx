@@ -0,0 +1,130 @@
+import React from 'react';
+import { VACCINATION_STRATEGIES } from '../simulation/vaccination';
+
+// Controls for the vaccination campaign; `settings` holds the engine params
+// of the same names and onChange receives a partial update.
+const VaccinationPanel = ({ settings, onChange, stats }) => {
+  const {
+    vaccinationRate,
+    vaccinationStrategy,
+    vaccinationStart,
+    vaccineEfficacyInfection,
+    vaccineEfficacyDeath,
+    secondDoseEnabled,
+    secondDoseDelay
+  } = settings;
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-4 shadow-2xl">
+      <h3 className="text-lg font-semibold mb-3">💉 Vaksinasi</h3>
+      <div className="space-y-3">
+        <div>
+          <label className="block text-sm mb-1">
+            Laju Vaksinasi: {vaccinationRate} dosis/detik
+          </label>
+          <input
+            type="range"
+            min="0"
+            max="50"
+            step="1"
+            value={vaccinationRate}
+            onChange={(e) => onChange({ vaccinationRate: parseInt(e.target.value) })}
+            className="w-full"
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm mb-1">Strategi</label>
+          <select
+            value={vaccinationStrategy}
+            onChange={(e) => onChange({ vaccinationStrategy: e.target.value })}
+            className="w-full bg-slate-700 rounded px-2 py-1 text-sm"
+          >
+            {Object.entries(VACCINATION_STRATEGIES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm mb-1">
+            Mulai: {(vaccinationStart / 1000).toFixed(0)}s
+          </label>
+          <input
+            type="range"
+            min="0"
+            max="60000"
+            step="1000"
+            value={vaccinationStart}
+            onChange={(e) => onChange({ vaccinationStart: parseInt(e.target.value) })}
+            className="w-full"
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm mb-1">
+            Efikasi vs Infeksi: {(vaccineEfficacyInfection * 100).toFixed(0)}%
+          </label>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={vaccineEfficacyInfection}
+            onChange={(e) => onChange({ vaccineEfficacyInfection: parseFloat(e.target.value) })}
+            className="w-full"
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm mb-1">
+            Efikasi vs Kematian: {(vaccineEfficacyDeath * 100).toFixed(0)}%
+          </label>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={vaccineEfficacyDeath}
+            onChange={(e) => onChange({ vaccineEfficacyDeath: parseFloat(e.target.value) })}
+            className="w-full"
+          />
+        </div>
+
+        <div className="flex items-center justify-between">
+          <label className="block text-sm mb-1">Dosis kedua</label>
+          <input
+            type="checkbox"
+            checked={secondDoseEnabled}
+            onChange={(e) => onChange({ secondDoseEnabled: e.target.checked })}
+            className="h-4 w-4"
+          />
+        </div>
+
+        {secondDoseEnabled && (
+          <div>
+            <label className="block text-sm mb-1">
+              Jarak dosis: {(secondDoseDelay / 1000).toFixed(0)}s
+            </label>
+            <input
+              type="range"
+              min="1000"
+              max="30000"
+              step="1000"
+              value={secondDoseDelay}
+              onChange={(e) => onChange({ secondDoseDelay: parseInt(e.target.value) })}
+              className="w-full"
+            />
+          </div>
+        )}
+
+        <div className="flex justify-between text-xs text-gray-300">
+          <span>Dosis diberikan: <strong>{stats.dosesGiven}</strong></span>
+          <span>Vaksin lengkap: <strong>{stats.fullyVaccinated}</strong></span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VaccinationPanel;
@@ -0,0 +1,10 @@
+// Save generated content as a file through a temporary object URL.
+export const downloadFile = (filename, content, type = 'text/plain') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,59 @@
+// Colours and Indonesian labels for each compartment, shared by canvas and charts.
+
+export const STATUS_COLORS = {
+  healthy: '#22c55e',
+  vaccinated: '#14b8a6', // teal
+  exposed: '#f59e0b', // orange
+  infected: '#ef4444',
+  asymptomatic: '#fb7185', // rose
+  quarantined: '#eab308', // amber
+  recovered: '#3b82f6',
+  dead: '#64748b',
+  hospitalized: '#e879f9' // fuchsia; a flag, not a status
+};
+
+export const STATUS_LABELS = {
+  healthy: 'Sehat',
+  vaccinated: 'Divaksin',
+  exposed: 'Terpapar',
+  infected: 'Terinfeksi',
+  asymptomatic: 'Asimtomatik',
+  quarantined: 'Karantina',
+  recovered: 'Sembuh',
+  dead: 'Meninggal',
+  hospitalized: 'Dirawat (RS)'
+};
+
+export const AGE_GROUP_COLORS = {
+  child: '#facc15',
+  adult: '#38bdf8',
+  senior: '#c084fc'
+};
+
+// One colour per community in multi-region layouts
+export const REGION_COLORS = ['#f97316', '#22d3ee', '#a3e635', '#f472b6', '#facc15', '#818cf8'];
+
+// Outcome metrics of a replicate (see replicateOutcome), with display formats
+export const OUTCOME_METRICS = [
+  { key: 'peakInfections', label: 'Puncak infeksi', format: (v) => v.toFixed(0) },
+  { key: 'timeToPeak', label: 'Waktu ke puncak', format: (v) => `${v.toFixed(1)}s` },
+  { key: 'attackRate', label: 'Attack rate akhir', format: (v) => `${(v * 100).toFixed(1)}%` },
+  { key: 'deaths', label: 'Kematian', format: (v) => v.toFixed(0) },
+  { key: 'r0', label: 'R₀', format: (v) => v.toFixed(2) }
+];
+
+// Where an infection happened, see households.js
+export const SETTING_LABELS = {
+  home: 'Rumah',
+  work: 'Kerja/sekolah',
+  community: 'Komunitas'
+};
+
+export const SETTING_COLORS = {
+  home: '#f472b6',
+  work: '#38bdf8',
+  community: '#a3e635'
+};
+
+// One colour per configuration in the comparison view
+export const RUN_COLORS = ['#38bdf8', '#f97316', '#a3e635', '#e879f9'];
@@ -0,0 +1,53 @@
+// Age-structured disease profiles. Each group sets its population share and
+// multipliers for susceptibility, contact (mobility) and recovery time, plus
+// its per-case mortality.
+
+export const AGE_GROUPS = ['child', 'adult', 'senior'];
+
+export const AGE_GROUP_LABELS = {
+  child: 'Anak',
+  adult: 'Dewasa',
+  senior: 'Lansia'
+};
+
+export const AGE_PROFILE_PRESETS = {
+  classic: {
+    label: 'Bawaan',
+    groups: {
+      child: { share: 0.25, susceptibility: 1, contact: 1, mortality: 0.2, recovery: 1 },
+      adult: { share: 0.55, susceptibility: 1, contact: 1, mortality: 0.05, recovery: 1 },
+      senior: { share: 0.2, susceptibility: 1, contact: 1, mortality: 0.2, recovery: 1 }
+    }
+  },
+  covid: {
+    label: 'Mirip COVID-19',
+    groups: {
+      child: { share: 0.25, susceptibility: 0.5, contact: 1.3, mortality: 0.001, recovery: 0.8 },
+      adult: { share: 0.55, susceptibility: 1, contact: 1, mortality: 0.01, recovery: 1 },
+      senior: { share: 0.2, susceptibility: 1.2, contact: 0.6, mortality: 0.1, recovery: 1.4 }
+    }
+  },
+  influenza: {
+    label: 'Mirip influenza',
+    groups: {
+      child: { share: 0.25, susceptibility: 1.5, contact: 1.3, mortality: 0.0005, recovery: 0.9 },
+      adult: { share: 0.55, susceptibility: 1, contact: 1, mortality: 0.001, recovery: 1 },
+      senior: { share: 0.2, susceptibility: 1.1, contact: 0.6, mortality: 0.02, recovery: 1.2 }
+    }
+  }
+};
+
+export const DEFAULT_AGE_PROFILE = AGE_PROFILE_PRESETS.classic.groups;
+
+// Draw an age group according to the profile's (not necessarily normalised) shares
+export const drawAgeGroup = (profile, random) => {
+  const total = AGE_GROUPS.reduce((sum, group) => sum + profile[group].share, 0);
+  let r = random() * total;
+  for (const group of AGE_GROUPS) {
+    r -= profile[group].share;
+    if (r < 0) return group;
+  }
+  return AGE_GROUPS[AGE_GROUPS.length - 1];
+};
+
+export const emptyAgeCounts = () => Object.fromEntries(AGE_GROUPS.map(group => [group, 0]));
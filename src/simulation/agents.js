@@ -0,0 +1,43 @@
+// Agent storage: the fields every step reads and writes for every agent
+// (position, velocity and status) live in typed arrays indexed by agent id,
+// so movement, the spatial hash, stats and snapshots run over flat memory.
+// Person objects expose them as properties backed by those arrays; the
+// rest of an agent's state stays on the object.
+
+// Every compartment an agent can be in, in the order of their status codes
+export const STATUSES = ['healthy', 'vaccinated', 'exposed', 'infected', 'asymptomatic', 'quarantined', 'recovered', 'dead'];
+
+const STATUS_CODE = Object.fromEntries(STATUSES.map((status, code) => [status, code]));
+
+export const statusCode = (status) => STATUS_CODE[status];
+
+export const AGENT_FIELDS = ['x', 'y', 'vx', 'vy', 'status'];
+
+export const createAgents = (count) => ({
+  x: new Float64Array(count),
+  y: new Float64Array(count),
+  vx: new Float64Array(count),
+  vy: new Float64Array(count),
+  status: new Uint8Array(count)
+});
+
+const arrayProperty = (array) => ({
+  get() { return array[this.id]; },
+  set(value) { array[this.id] = value; }
+});
+
+// Prototype for the people of one simulation: x, y, vx, vy and status read
+// and write `agents` at the person's id
+export const agentPrototype = (agents) => Object.defineProperties({}, {
+  x: arrayProperty(agents.x),
+  y: arrayProperty(agents.y),
+  vx: arrayProperty(agents.vx),
+  vy: arrayProperty(agents.vy),
+  status: {
+    get() { return STATUSES[agents.status[this.id]]; },
+    set(value) {
+      if (!(value in STATUS_CODE)) throw new Error(`Unknown agent status ${value}`);
+      agents.status[this.id] = STATUS_CODE[value];
+    }
+  }
+});
@@ -0,0 +1,104 @@
+// Headless Monte Carlo replicates: the same parameters run under many seeds,
+// summarised as median and 5-95% bands per compartment plus outcome
+// distributions.
+import { createSimulation, runSimulation, SAMPLE_INTERVAL } from './engine';
+import { summarize, quantile } from './statistics';
+
+export const BAND_COMPARTMENTS = ['healthy', 'vaccinated', 'exposed', 'asymptomatic', 'infected', 'quarantined', 'recovered', 'dead', 'hospitalized'];
+
+const CHECK_INTERVAL = 1000; // ms of simulated time between end-of-epidemic checks
+
+const activeCases = (stats) => stats.exposed + stats.infected + stats.asymptomatic + stats.quarantined;
+
+// Run one replicate until the epidemic dies out or maxDuration passes
+export const runReplicate = (params, maxDuration) => {
+  const sim = createSimulation(params);
+  while (sim.time < maxDuration && activeCases(sim.stats) > 0) {
+    runSimulation(sim, Math.min(CHECK_INTERVAL, maxDuration - sim.time));
+  }
+  return sim;
+};
+
+// Highest number of active infections in a series and when it occurred
+export const seriesPeak = (series) => {
+  let peak = 0;
+  let peakTime = 0;
+  series.forEach(sample => {
+    const active = sample.infected + sample.asymptomatic + sample.quarantined;
+    if (active > peak) {
+      peak = active;
+      peakTime = sample.time;
+    }
+  });
+  return { peak, peakTime };
+};
+
+// Outcome metrics of a finished replicate
+export const replicateOutcome = (sim) => {
+  const { peak, peakTime } = seriesPeak(sim.series);
+  const everInfected = sim.people.filter(p => p.exposedTime !== null || p.infectedTime !== null).length;
+  return {
+    peakInfections: peak,
+    timeToPeak: peakTime,
+    attackRate: everInfected / sim.people.length,
+    deaths: sim.stats.dead,
+    r0: sim.stats.r0Value
+  };
+};
+
+// Pad a series to `length` samples by repeating its last sample
+const padSeries = (series, length) => {
+  const padded = series.slice(0, length);
+  const last = series[series.length - 1];
+  for (let i = padded.length; i < length; i++) {
+    padded.push({ ...last, time: Math.round((i * SAMPLE_INTERVAL) / 100) / 10 });
+  }
+  return padded;
+};
+
+// Per-sample median and [p5, p95] for each compartment across replicates
+export const computeBands = (seriesList) => {
+  const length = Math.max(...seriesList.map(series => series.length));
+  const padded = seriesList.map(series => padSeries(series, length));
+  const bands = [];
+  for (let i = 0; i < length; i++) {
+    const point = { time: padded[0][i].time };
+    BAND_COMPARTMENTS.forEach(key => {
+      const values = padded.map(series => series[i][key]).sort((a, b) => a - b);
+      point[key] = quantile(values, 0.5);
+      point[`${key}Band`] = [quantile(values, 0.05), quantile(values, 0.95)];
+    });
+    bands.push(point);
+  }
+  return bands;
+};
+
+export const summarizeOutcomes = (outcomes) =>
+  Object.fromEntries(Object.keys(outcomes[0]).map(key => [key, summarize(outcomes.map(o => o[key]))]));
+
+// Run `replicates` seeds (params.seed, params.seed + 1, ...). Yields between
+// replicates so the caller stays responsive; shouldStop() aborts early.
+export const runBatch = async (params, {
+  replicates = 100,
+  maxDuration = 60000,
+  onProgress,
+  shouldStop = () => false,
+  yieldControl = () => new Promise(resolve => setTimeout(resolve, 0))
+} = {}) => {
+  const seriesList = [];
+  const outcomes = [];
+  for (let i = 0; i < replicates && !shouldStop(); i++) {
+    const sim = runReplicate({ ...params, seed: (params.seed || 0) + i }, maxDuration);
+    seriesList.push(sim.series);
+    outcomes.push(replicateOutcome(sim));
+    if (onProgress) onProgress(i + 1, replicates);
+    await yieldControl();
+  }
+  if (outcomes.length === 0) return null;
+  return {
+    replicates: outcomes.length,
+    bands: computeBands(seriesList),
+    outcomes,
+    summary: summarizeOutcomes(outcomes)
+  };
+};
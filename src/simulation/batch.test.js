@@ -0,0 +1,57 @@
+import { runBatch, computeBands } from './batch';
+import { quantile, summarize } from './statistics';
+
+const small = { populationSize: 60, width: 150, height: 150, infectionRate: 0.6, seed: 7 };
+const noYield = () => Promise.resolve();
+
+test('quantiles interpolate between sorted values', () => {
+  expect(quantile([1, 2, 3, 4, 5], 0.5)).toBe(3);
+  expect(quantile([0, 10], 0.25)).toBe(2.5);
+  const { median, p5, p95 } = summarize([5, 1, 3, 2, 4]);
+  expect(median).toBe(3);
+  expect(p5).toBeLessThan(median);
+  expect(p95).toBeGreaterThan(median);
+});
+
+test('bands cover the longest replicate and bracket the median', () => {
+  const sample = (time, infected) => ({ time, healthy: 0, vaccinated: 0, exposed: 0, asymptomatic: 0, infected, quarantined: 0, recovered: 0, dead: 0, hospitalized: 0 });
+  const bands = computeBands([
+    [sample(0, 1), sample(0.5, 4)],
+    [sample(0, 2), sample(0.5, 6), sample(1, 3)],
+    [sample(0, 3)]
+  ]);
+  expect(bands).toHaveLength(3);
+  expect(bands[2].time).toBe(1);
+  bands.forEach(point => {
+    expect(point.infectedBand[0]).toBeLessThanOrEqual(point.infected);
+    expect(point.infectedBand[1]).toBeGreaterThanOrEqual(point.infected);
+  });
+});
+
+test('runs replicates deterministically and summarises outcomes', async () => {
+  const progress = [];
+  const options = { replicates: 3, maxDuration: 3000, yieldControl: noYield };
+  const a = await runBatch(small, { ...options, onProgress: (done) => progress.push(done) });
+  const b = await runBatch(small, options);
+  expect(progress).toEqual([1, 2, 3]);
+  expect(a.replicates).toBe(3);
+  expect(a.outcomes).toEqual(b.outcomes);
+  expect(Object.keys(a.summary)).toEqual(['peakInfections', 'timeToPeak', 'attackRate', 'deaths', 'r0']);
+  a.outcomes.forEach(outcome => {
+    expect(outcome.attackRate).toBeGreaterThan(0);
+    expect(outcome.attackRate).toBeLessThanOrEqual(1);
+  });
+});
+
+test('stops early when cancelled', async () => {
+  let done = 0;
+  const result = await runBatch(small, {
+    replicates: 10,
+    maxDuration: 1000,
+    onProgress: (n) => { done = n; },
+    shouldStop: () => done >= 2,
+    yieldControl: noYield
+  });
+  expect(result.replicates).toBe(2);
+  expect(await runBatch(small, { replicates: 5, shouldStop: () => true, yieldControl: noYield })).toBeNull();
+});
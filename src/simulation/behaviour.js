@@ -0,0 +1,62 @@
+// Adaptive behaviour: agents cut their mobility and put on masks as the
+// risk they perceive rises. Perceived risk is the visible prevalence
+// (symptomatic and quarantined cases) plus a weight on recent deaths. Each
+// agent complies to a different degree, and fatigue builds up while they
+// hold back, so caution fades over a long epidemic.
+
+const FATIGUE_RECOVERY_RATIO = 0.25; // fatigue wears off at this fraction of fatigueRate
+
+export const createBehaviourState = () => ({
+  active: false, // agents currently carry a response, see resetBehaviour
+  recentDeaths: 0, // deaths, decaying with time constant deathMemory
+  perceivedRisk: 0
+});
+
+export const perceivedRisk = (sim) => {
+  const { stats, params, behaviour } = sim;
+  const alive = Math.max(1, sim.people.length - stats.dead);
+  const prevalence = (stats.infected + stats.quarantined) / alive;
+  return prevalence + (params.deathWeight * behaviour.recentDeaths) / sim.people.length;
+};
+
+export const recordDeath = (sim) => {
+  sim.behaviour.recentDeaths++;
+};
+
+// Everyone back to normal mobility and no voluntary masks
+const resetBehaviour = (sim) => {
+  sim.people.forEach(person => {
+    person.mobilityFactor = 1;
+    person.maskProbability = 0;
+  });
+  sim.behaviour.active = false;
+  sim.behaviour.perceivedRisk = 0;
+};
+
+// Update every agent's response to the current perceived risk
+export const updateBehaviour = (sim, deltaTime) => {
+  const { params, behaviour } = sim;
+  if (!params.adaptiveBehaviour) {
+    if (behaviour.active) resetBehaviour(sim);
+    return;
+  }
+  behaviour.active = true;
+  behaviour.recentDeaths *= Math.exp(-deltaTime / params.deathMemory);
+  const risk = perceivedRisk(sim);
+  behaviour.perceivedRisk = risk;
+  const pressure = 1 - Math.exp(-params.riskSensitivity * risk);
+  const seconds = deltaTime / 1000;
+
+  sim.people.forEach(person => {
+    if (person.status === 'dead') return;
+    // Compliance draws happen on first use so runs without the model
+    // consume the same random numbers as before
+    if (person.complianceDraw === null) person.complianceDraw = sim.random();
+    const compliance = 1 - params.complianceSpread * person.complianceDraw;
+    const response = compliance * (1 - person.fatigue) * pressure;
+    person.fatigue = Math.min(1, Math.max(0, person.fatigue +
+      params.fatigueRate * seconds * (response - FATIGUE_RECOVERY_RATIO * (1 - response))));
+    person.mobilityFactor = 1 - response;
+    person.maskProbability = response;
+  });
+};
@@ -0,0 +1,63 @@
+import { createSimulation, runSimulation, stepSimulation } from './engine';
+import { perceivedRisk, updateBehaviour } from './behaviour';
+
+// A sim whose stats report a fixed share of visible cases
+const withPrevalence = (params, cases) => {
+  const sim = createSimulation({ populationSize: 100, initialInfected: 0, adaptiveBehaviour: true, ...params });
+  sim.stats = { ...sim.stats, infected: cases };
+  return sim;
+};
+
+test('perceived risk combines visible prevalence and recent deaths', () => {
+  const sim = withPrevalence({ deathWeight: 10 }, 10);
+  expect(perceivedRisk(sim)).toBeCloseTo(0.1);
+  sim.behaviour.recentDeaths = 2;
+  expect(perceivedRisk(sim)).toBeCloseTo(0.1 + 0.2);
+});
+
+test('agents cut mobility and wear masks as risk rises, to a degree set by their compliance', () => {
+  const uniform = withPrevalence({ complianceSpread: 0, fatigueRate: 0 }, 10);
+  updateBehaviour(uniform, 16);
+  const factors = new Set(uniform.people.map(p => p.mobilityFactor.toFixed(6)));
+  expect(factors.size).toBe(1);
+  expect(uniform.people[0].mobilityFactor).toBeCloseTo(Math.exp(-20 * 0.1));
+  expect(uniform.people[0].maskProbability).toBeCloseTo(1 - Math.exp(-20 * 0.1));
+
+  const varied = withPrevalence({ complianceSpread: 1, fatigueRate: 0 }, 10);
+  updateBehaviour(varied, 16);
+  const mobility = varied.people.map(p => p.mobilityFactor);
+  expect(Math.max(...mobility) - Math.min(...mobility)).toBeGreaterThan(0.5);
+});
+
+test('fatigue erodes the response while risk stays high', () => {
+  const sim = withPrevalence({ complianceSpread: 0, fatigueRate: 0.2 }, 20);
+  updateBehaviour(sim, 16);
+  const early = sim.people[0].mobilityFactor;
+  for (let i = 0; i < 300; i++) updateBehaviour(sim, 16);
+  expect(sim.people[0].fatigue).toBeGreaterThan(0.3);
+  expect(sim.people[0].mobilityFactor).toBeGreaterThan(early + 0.2);
+});
+
+test('switching the model off restores normal behaviour', () => {
+  const sim = withPrevalence({}, 20);
+  updateBehaviour(sim, 16);
+  expect(sim.people[0].mobilityFactor).toBeLessThan(1);
+  sim.params.adaptiveBehaviour = false;
+  updateBehaviour(sim, 16);
+  expect(sim.people.every(p => p.mobilityFactor === 1 && p.maskProbability === 0)).toBe(true);
+});
+
+test('voluntary caution lowers mobility and flattens the epidemic', () => {
+  const params = { populationSize: 300, seed: 3 };
+  const baseline = runSimulation(createSimulation(params), 30000);
+  const adaptive = runSimulation(createSimulation({ ...params, adaptiveBehaviour: true }), 30000);
+  expect(baseline.series.every(sample => sample.mobility === 0.5)).toBe(true);
+  expect(Math.min(...adaptive.series.map(sample => sample.mobility))).toBeLessThan(0.4);
+  expect(adaptive.infections.length).toBeLessThan(baseline.infections.length);
+});
+
+test('runs without the model draw no compliance values', () => {
+  const sim = createSimulation({ seed: 1 });
+  for (let i = 0; i < 50; i++) stepSimulation(sim);
+  expect(sim.people.every(p => p.complianceDraw === null)).toBe(true);
+});
@@ -0,0 +1,33 @@
+// Measures engine throughput (steps per second) at several population sizes.
+import { createSimulation, stepSimulation } from './engine';
+
+export const BENCHMARK_SIZES = [1000, 5000, 10000, 20000, 50000];
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+// Step a fresh simulation of `populationSize` agents for about `duration` ms
+export const benchmarkPopulation = (populationSize, { duration = 1000, seed = 1 } = {}) => {
+  const sim = createSimulation({ populationSize, initialInfected: 10, seed });
+  const start = now();
+  let steps = 0;
+  let elapsed = 0;
+  while (elapsed < duration) {
+    stepSimulation(sim);
+    steps++;
+    elapsed = now() - start;
+  }
+  return { populationSize, steps, stepsPerSecond: (steps * 1000) / elapsed };
+};
+
+// Benchmark each size in turn, yielding to the event loop between sizes so a
+// page stays responsive. Resolves with one result row per size.
+export const runBenchmark = async (sizes = BENCHMARK_SIZES, { duration, onResult } = {}) => {
+  const results = [];
+  for (const size of sizes) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const result = benchmarkPopulation(size, { duration });
+    results.push(result);
+    if (onResult) onResult(result);
+  }
+  return results;
+};
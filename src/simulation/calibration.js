@@ -0,0 +1,163 @@
+// Calibration: fit infectionRate and recoveryTime to observed daily cases or
+// deaths. The ODE model stands in for the agent model here; it is
+// deterministic and cheap enough to solve a few hundred times. A coarse grid
+// picks the starting point and Nelder–Mead refines it, minimising the squared
+// error between the model's daily counts and the data.
+import { DEFAULT_PARAMS } from './engine';
+import { solveOde } from './ode';
+import { AGE_GROUPS } from './ageProfiles';
+import { PARAM_RANGES } from './scenarios';
+
+// The search stays within the controls' ranges and results are rounded to
+// their slider steps, so a fit can always be applied as it is
+export const FIT_BOUNDS = {
+  infectionRate: PARAM_RANGES.infectionRate,
+  recoveryTime: PARAM_RANGES.recoveryTime // ms
+};
+const GRID_STEPS = 5;
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+// Share of cases that end in death, averaged over the age profile. Shares
+// need not add up to 1; like drawAgeGroup, they are weighed relative to
+// their total.
+export const infectionFatality = (ageProfile) => {
+  const groups = AGE_GROUPS.map(group => ageProfile[group]);
+  const total = groups.reduce((sum, group) => sum + group.share, 0);
+  return total > 0 ? groups.reduce((sum, group) => sum + group.share * group.mortality, 0) / total : 0;
+};
+
+// Model counts per data day for `days` days, in agents. Cases are new
+// infections (the drop in S); deaths are the fatal share of removals.
+export const modelDaily = (params, days, { kind, secondsPerDay }) => {
+  const merged = { ...DEFAULT_PARAMS, ...params };
+  const points = solveOde(merged, days * secondsPerDay + 1);
+  const interval = points.length > 1 ? points[1].time : 1;
+  const fatality = infectionFatality(merged.ageProfile);
+  const cumulative = (point) => (kind === 'deaths'
+    ? fatality * (point.odeR - points[0].odeR)
+    : points[0].odeS - point.odeS);
+  // Linear interpolation between chart samples
+  const at = (time) => {
+    const position = Math.min(time / interval, points.length - 1);
+    const i = Math.floor(position);
+    const next = points[Math.min(i + 1, points.length - 1)];
+    return cumulative(points[i]) + (cumulative(next) - cumulative(points[i])) * (position - i);
+  };
+  return Array.from({ length: days }, (_, day) => at((day + 1) * secondsPerDay) - at(day * secondsPerDay));
+};
+
+// Root-mean-square error and coefficient of determination of a fit
+export const goodnessOfFit = (observed, predicted) => {
+  const mean = observed.reduce((sum, value) => sum + value, 0) / observed.length;
+  let residual = 0;
+  let total = 0;
+  observed.forEach((value, i) => {
+    residual += (value - predicted[i]) ** 2;
+    total += (value - mean) ** 2;
+  });
+  return {
+    rmse: Math.sqrt(residual / observed.length),
+    r2: total > 0 ? 1 - residual / total : (residual === 0 ? 1 : 0)
+  };
+};
+
+// Minimise f over R^n from x0 with the Nelder–Mead simplex method
+export const nelderMead = (f, x0, { step = x0.map(() => 0.1), maxIterations = 200, tolerance = 1e-8 } = {}) => {
+  const n = x0.length;
+  let simplex = [x0, ...x0.map((_, j) => x0.map((value, k) => (k === j ? value + step[j] : value)))]
+    .map(x => ({ x, value: f(x) }));
+  const combine = (a, b, t) => a.map((value, j) => value + t * (b[j] - value));
+  const centroidOf = (vertices) => x0.map((_, j) => vertices.reduce((sum, vertex) => sum + vertex.x[j], 0) / vertices.length);
+  let iterations = 0;
+  for (; iterations < maxIterations; iterations++) {
+    simplex.sort((a, b) => a.value - b.value);
+    const best = simplex[0];
+    const worst = simplex[n];
+    if (Math.abs(worst.value - best.value) <= tolerance * (Math.abs(best.value) + tolerance)) break;
+
+    const centroid = centroidOf(simplex.slice(0, n));
+    const reflected = combine(centroid, worst.x, -1);
+    const reflectedValue = f(reflected);
+    if (reflectedValue < best.value) {
+      const expanded = combine(centroid, worst.x, -2);
+      const expandedValue = f(expanded);
+      simplex[n] = expandedValue < reflectedValue ? { x: expanded, value: expandedValue } : { x: reflected, value: reflectedValue };
+    } else if (reflectedValue < simplex[n - 1].value) {
+      simplex[n] = { x: reflected, value: reflectedValue };
+    } else {
+      const contracted = combine(centroid, worst.x, reflectedValue < worst.value ? -0.5 : 0.5);
+      const contractedValue = f(contracted);
+      if (contractedValue < Math.min(reflectedValue, worst.value)) {
+        simplex[n] = { x: contracted, value: contractedValue };
+      } else {
+        simplex = simplex.map((vertex, i) => {
+          if (i === 0) return vertex;
+          const x = combine(best.x, vertex.x, 0.5);
+          return { x, value: f(x) };
+        });
+      }
+    }
+  }
+  simplex.sort((a, b) => a.value - b.value);
+  return { x: simplex[0].x, value: simplex[0].value, iterations };
+};
+
+// Best-fitting infectionRate and recoveryTime for `points` ([{ day, value }])
+// under the other params. Fit quality and the fitted daily counts are in
+// the data's units.
+export const calibrate = (params, points, { kind, secondsPerDay, scale }) => {
+  const days = points[points.length - 1].day + 1;
+  const observed = points.map(({ value }) => value * scale);
+  // Search on infectionRate and log recoveryTime, clamped to FIT_BOUNDS
+  const toParams = ([rate, logRecovery]) => ({
+    infectionRate: clamp(rate, FIT_BOUNDS.infectionRate),
+    recoveryTime: clamp(Math.exp(logRecovery), FIT_BOUNDS.recoveryTime)
+  });
+  const predict = (x) => {
+    const daily = modelDaily({ ...params, ...toParams(x) }, days, { kind, secondsPerDay });
+    return points.map(({ day }) => daily[day]);
+  };
+  let evaluations = 0;
+  const error = (x) => {
+    evaluations++;
+    const predicted = predict(x);
+    return observed.reduce((sum, value, i) => sum + (value - predicted[i]) ** 2, 0);
+  };
+
+  const [minRate, maxRate] = FIT_BOUNDS.infectionRate;
+  const [minLog, maxLog] = FIT_BOUNDS.recoveryTime.map(Math.log);
+  let start = null;
+  for (let i = 0; i < GRID_STEPS; i++) {
+    for (let j = 0; j < GRID_STEPS; j++) {
+      const x = [
+        minRate + ((maxRate - minRate) * i) / (GRID_STEPS - 1),
+        minLog + ((maxLog - minLog) * j) / (GRID_STEPS - 1)
+      ];
+      const value = error(x);
+      if (!start || value < start.value) start = { x, value };
+    }
+  }
+  // Step inwards so a start on a bound does not collapse the simplex
+  const inwards = (value, min, max, size) => (value > (min + max) / 2 ? -size : size);
+  const step = [inwards(start.x[0], minRate, maxRate, 0.1), inwards(start.x[1], minLog, maxLog, 0.3)];
+  const { x, iterations } = nelderMead(error, start.x, { step });
+
+  const fitted = toParams(x);
+  const result = {
+    infectionRate: Math.round(fitted.infectionRate * 100) / 100,
+    recoveryTime: Math.round(fitted.recoveryTime / 100) * 100
+  };
+  const daily = modelDaily({ ...params, ...result }, days, { kind, secondsPerDay });
+  const predicted = points.map(({ day }) => daily[day] / scale);
+  const onBound = (value, [min, max]) => value <= min || value >= max;
+  return {
+    ...result,
+    ...goodnessOfFit(points.map(({ value }) => value), predicted),
+    // The best fit lies outside FIT_BOUNDS, usually a time scaling mismatch
+    atBound: onBound(fitted.infectionRate, FIT_BOUNDS.infectionRate) || onBound(fitted.recoveryTime, FIT_BOUNDS.recoveryTime),
+    iterations,
+    evaluations,
+    fitted: points.map(({ day }, i) => ({ day, value: predicted[i] }))
+  };
+};
@@ -0,0 +1,73 @@
+import { modelDaily, goodnessOfFit, nelderMead, calibrate, infectionFatality } from './calibration';
+import { DEFAULT_AGE_PROFILE } from './ageProfiles';
+import { PARAM_RANGES } from './scenarios';
+
+const params = { populationSize: 500, initialInfected: 3, mobilityRate: 0.8, incubationMin: 0, incubationMax: 0 };
+
+test('Nelder–Mead finds the minimum of a quadratic', () => {
+  const { x } = nelderMead(([a, b]) => (a - 2) ** 2 + 3 * (b + 1) ** 2, [0, 0]);
+  expect(x[0]).toBeCloseTo(2, 3);
+  expect(x[1]).toBeCloseTo(-1, 3);
+});
+
+test('goodness of fit is perfect for an exact fit and zero for the mean', () => {
+  expect(goodnessOfFit([1, 2, 3], [1, 2, 3])).toEqual({ rmse: 0, r2: 1 });
+  const { rmse, r2 } = goodnessOfFit([1, 2, 3], [2, 2, 2]);
+  expect(r2).toBeCloseTo(0);
+  expect(rmse).toBeCloseTo(Math.sqrt(2 / 3));
+});
+
+test('daily model counts add up to the ODE totals', () => {
+  const cases = modelDaily(params, 60, { kind: 'cases', secondsPerDay: 2 });
+  const deaths = modelDaily(params, 60, { kind: 'deaths', secondsPerDay: 2 });
+  const total = cases.reduce((sum, value) => sum + value, 0);
+  expect(total).toBeGreaterThan(100);
+  expect(total).toBeLessThan(500);
+  // Every case, the initial ones included, dies with the average fatality
+  const removedDeaths = deaths.reduce((sum, value) => sum + value, 0);
+  expect(removedDeaths).toBeGreaterThan(0);
+  expect(removedDeaths).toBeLessThan((total + params.initialInfected) * infectionFatality(DEFAULT_AGE_PROFILE));
+});
+
+test('fatality weighs age groups relative to their total share', () => {
+  const doubled = Object.fromEntries(Object.entries(DEFAULT_AGE_PROFILE).map(([group, profile]) => [group, { ...profile, share: profile.share * 2 }]));
+  expect(infectionFatality(doubled)).toBeCloseTo(infectionFatality(DEFAULT_AGE_PROFILE));
+  const adultsOnly = { ...DEFAULT_AGE_PROFILE, child: { ...DEFAULT_AGE_PROFILE.child, share: 0 }, senior: { ...DEFAULT_AGE_PROFILE.senior, share: 0 } };
+  expect(infectionFatality({ ...adultsOnly, adult: { ...adultsOnly.adult, share: 3 } })).toBeCloseTo(DEFAULT_AGE_PROFILE.adult.mortality);
+});
+
+test('recovers the parameters that generated the data', () => {
+  const truth = { infectionRate: 0.4, recoveryTime: 6000 };
+  const options = { kind: 'cases', secondsPerDay: 2, scale: 0.5 };
+  // Reported counts are agents / scale
+  const daily = modelDaily({ ...params, ...truth }, 40, options);
+  const points = daily.map((value, day) => ({ day, value: value / options.scale }));
+  const fit = calibrate(params, points, options);
+  expect(fit.infectionRate).toBeCloseTo(0.4, 1);
+  expect(Math.abs(fit.recoveryTime - 6000)).toBeLessThan(300);
+  expect(fit.r2).toBeGreaterThan(0.99);
+  expect(fit.atBound).toBe(false);
+  expect(fit.fitted).toHaveLength(40);
+  expect(fit.evaluations).toBeGreaterThan(25);
+});
+
+test('flags a fit that runs into the search bounds', () => {
+  // Far faster growth than the model can reach at any infection rate
+  const points = [0, 50, 200, 50, 0].map((value, day) => ({ day, value }));
+  const fit = calibrate(params, points, { kind: 'cases', secondsPerDay: 0.2, scale: 1 });
+  expect(fit.atBound).toBe(true);
+  expect(fit.infectionRate).toBe(PARAM_RANGES.infectionRate[1]);
+});
+
+test('fits stay within the control ranges and on their slider steps', () => {
+  const points = [0, 2, 5, 9, 12, 10, 6, 3, 1].map((value, day) => ({ day, value }));
+  const fit = calibrate(params, points, { kind: 'cases', secondsPerDay: 3, scale: 1 });
+  const [minRate, maxRate] = PARAM_RANGES.infectionRate;
+  const [minRecovery, maxRecovery] = PARAM_RANGES.recoveryTime;
+  expect(fit.infectionRate).toBeGreaterThanOrEqual(minRate);
+  expect(fit.infectionRate).toBeLessThanOrEqual(maxRate);
+  expect(fit.recoveryTime).toBeGreaterThanOrEqual(minRecovery);
+  expect(fit.recoveryTime).toBeLessThanOrEqual(maxRecovery);
+  expect(Math.round(fit.infectionRate * 100) / 100).toBe(fit.infectionRate);
+  expect(fit.recoveryTime % 100).toBe(0);
+});
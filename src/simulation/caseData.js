@@ -0,0 +1,67 @@
+// Real outbreak data: a CSV with one row per day and a column of daily cases
+// or deaths. The first column (or one named date/tanggal/day/hari) gives the
+// day, either as ISO dates or day numbers; both become days since the first
+// row. Rows may come in any order.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_COLUMN = /^(date|tanggal|day|hari|time|waktu)$/i;
+const KIND_COLUMNS = { deaths: /death|kematian|meninggal/i, cases: /case|kasus/i };
+
+export const CASE_KINDS = { cases: 'Kasus harian', deaths: 'Kematian harian' };
+
+const splitLine = (line) => line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+
+const isNumber = (text) => text !== '' && !Number.isNaN(Number(text));
+
+// Days since the first row, from day numbers or ISO dates
+const toDays = (cells) => {
+  if (cells.every(isNumber)) {
+    const days = cells.map(Number);
+    const first = Math.min(...days);
+    return days.map(day => day - first);
+  }
+  const times = cells.map(cell => Date.parse(cell));
+  const bad = cells.find((cell, i) => Number.isNaN(times[i]));
+  if (bad !== undefined) throw new Error(`Invalid case data: cannot read date "${bad}"`);
+  const first = Math.min(...times);
+  return times.map(time => Math.round((time - first) / DAY_MS));
+};
+
+// { kind: 'cases' | 'deaths', column, points: [{ day, value }] }, sorted by day
+export const parseCaseCsv = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) throw new Error('Invalid case data: the file is empty');
+  const rows = lines.map(splitLine);
+  const hasHeader = !rows[0].slice(1).every(isNumber);
+  const header = hasHeader ? rows[0] : rows[0].map((_, i) => (i === 0 ? 'day' : 'cases'));
+  const body = hasHeader ? rows.slice(1) : rows;
+  if (body.length === 0) throw new Error('Invalid case data: no rows after the header');
+
+  const timeIndex = Math.max(0, header.findIndex(name => TIME_COLUMN.test(name)));
+  const kindIndex = (kind) => header.findIndex((name, i) => i !== timeIndex && KIND_COLUMNS[kind].test(name));
+  const kind = kindIndex('cases') < 0 && kindIndex('deaths') >= 0 ? 'deaths' : 'cases';
+  const found = kindIndex(kind);
+  const valueIndex = found >= 0 ? found : header.findIndex((_, i) => i !== timeIndex);
+  if (valueIndex < 0) throw new Error('Invalid case data: expected a day column and a count column');
+
+  body.forEach((row, i) => {
+    const value = row[valueIndex];
+    if (!isNumber(value) || Number(value) < 0) {
+      throw new Error(`Invalid case data: row ${i + 1} has count "${value === undefined ? '' : value}"`);
+    }
+  });
+  const days = toDays(body.map(row => row[timeIndex]));
+  const points = body
+    .map((row, i) => ({ day: days[i], value: Number(row[valueIndex]) }))
+    .sort((a, b) => a.day - b.day);
+  return { kind, column: header[valueIndex], points };
+};
+
+// Chart points { time, [key] } in simulated seconds and agents:
+// `secondsPerDay` stretches the data over the run, `scale` converts reported
+// counts to agents
+export const alignCaseData = (points, { secondsPerDay, scale }, key = 'observed') =>
+  points.map(({ day, value }) => ({
+    time: Math.round(day * secondsPerDay * 100) / 100,
+    [key]: value * scale
+  }));
@@ -0,0 +1,27 @@
+import { parseCaseCsv, alignCaseData } from './caseData';
+
+test('reads dated daily cases into days since the first row', () => {
+  const { kind, column, points } = parseCaseCsv('tanggal,kasus_baru\n2020-03-03,4\n2020-03-01,1\n"2020-03-02","2"\n');
+  expect(kind).toBe('cases');
+  expect(column).toBe('kasus_baru');
+  expect(points).toEqual([{ day: 0, value: 1 }, { day: 1, value: 2 }, { day: 2, value: 4 }]);
+});
+
+test('picks the deaths column and accepts day numbers without a header', () => {
+  const parsed = parseCaseCsv('day;population;deaths\r\n5;1000;0\r\n6;1000;3\r\n');
+  expect(parsed.kind).toBe('deaths');
+  expect(parsed.points).toEqual([{ day: 0, value: 0 }, { day: 1, value: 3 }]);
+  expect(parseCaseCsv('1,10\n2,20').points).toEqual([{ day: 0, value: 10 }, { day: 1, value: 20 }]);
+});
+
+test('rejects unreadable data', () => {
+  expect(() => parseCaseCsv('')).toThrow('Invalid case data');
+  expect(() => parseCaseCsv('date,cases\n')).toThrow('no rows');
+  expect(() => parseCaseCsv('date,cases\nkemarin,4')).toThrow('cannot read date "kemarin"');
+  expect(() => parseCaseCsv('day,cases\n1,-2')).toThrow('row 1');
+});
+
+test('stretches days over simulated seconds and scales counts to agents', () => {
+  expect(alignCaseData([{ day: 0, value: 10 }, { day: 3, value: 20 }], { secondsPerDay: 1.5, scale: 0.1 }))
+    .toEqual([{ time: 0, observed: 1 }, { time: 4.5, observed: 2 }]);
+});
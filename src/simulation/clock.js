@@ -0,0 +1,63 @@
+// Fixed-timestep simulation clock. Real frame time is accumulated and paid out
+// in whole engine steps, so the display refresh rate never changes the model:
+// speed means more sub-steps per frame, never bigger steps.
+import { FRAME_TIME } from './engine';
+
+export const MAX_SPEED = 'max'; // run as many steps as fit in the frame budget
+export const SPEED_OPTIONS = [0.5, 1, 2, 3, 5, 10, 20, MAX_SPEED];
+
+const MAX_FRAME_GAP = 250; // ms; longer gaps (throttled tab, breakpoint) are clamped
+const FRAME_BUDGET = 12; // ms of real time spent stepping per frame in max mode
+
+export const createClock = ({ step = FRAME_TIME, maxSubSteps = 400, now } = {}) => ({
+  step,
+  maxSubSteps,
+  now: now || (() => performance.now()),
+  accumulator: 0,
+  lastTime: null
+});
+
+// Forget the previous frame so a pause is not paid out as one huge catch-up
+export const resetClock = (clock) => {
+  clock.accumulator = 0;
+  clock.lastTime = null;
+};
+
+// Number of fixed steps owed for a frame rendered at `time` (ms)
+export const tickClock = (clock, time, speed) => {
+  if (clock.lastTime === null) {
+    clock.lastTime = time;
+    return 0;
+  }
+  const elapsed = Math.min(Math.max(time - clock.lastTime, 0), MAX_FRAME_GAP);
+  clock.lastTime = time;
+  clock.accumulator += elapsed * speed;
+
+  let steps = Math.floor(clock.accumulator / clock.step);
+  clock.accumulator -= steps * clock.step;
+  if (steps > clock.maxSubSteps) {
+    // Too slow to keep up: drop the backlog instead of spiralling
+    steps = clock.maxSubSteps;
+    clock.accumulator = 0;
+  }
+  return steps;
+};
+
+// Advance one animation frame, calling step() once per fixed step.
+// Returns the number of steps taken.
+export const runFrame = (clock, time, speed, step) => {
+  if (speed === MAX_SPEED) {
+    clock.lastTime = time;
+    const start = clock.now();
+    let steps = 0;
+    do {
+      step(clock.step);
+      steps++;
+    } while (clock.now() - start < FRAME_BUDGET && steps < clock.maxSubSteps * 10);
+    return steps;
+  }
+
+  const steps = tickClock(clock, time, speed);
+  for (let i = 0; i < steps; i++) step(clock.step);
+  return steps;
+};
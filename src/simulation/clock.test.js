@@ -0,0 +1,46 @@
+import { createClock, tickClock, runFrame, MAX_SPEED } from './clock';
+import { createSimulation, stepSimulation } from './engine';
+
+const runAtRefreshRate = (hz, seconds, speed) => {
+  const sim = createSimulation({ populationSize: 60, seed: 99 });
+  const clock = createClock();
+  const frame = 1000 / hz;
+  for (let t = 0; t <= seconds * 1000 + 1e-6; t += frame) {
+    runFrame(clock, t, speed, (dt) => stepSimulation(sim, dt));
+  }
+  return sim;
+};
+
+test('the same wall-clock time yields the same run at any refresh rate', () => {
+  const runs = [30, 60, 144].map(hz => runAtRefreshRate(hz, 2, 1));
+  const latest = Math.max(...runs.map(sim => sim.time));
+  runs.forEach(sim => {
+    // Frame boundaries may leave at most one step in the accumulator
+    expect(latest - sim.time).toBeLessThanOrEqual(16);
+    while (sim.time < latest) stepSimulation(sim);
+  });
+  expect(runs[0].agents).toEqual(runs[2].agents);
+  expect(runs[1].agents).toEqual(runs[2].agents);
+  expect(runs[0].people).toEqual(runs[2].people);
+  expect(runs[1].people).toEqual(runs[2].people);
+});
+
+test('speed adds sub-steps instead of enlarging them', () => {
+  const clock = createClock();
+  tickClock(clock, 0, 5);
+  expect(tickClock(clock, 160, 5)).toBe(50);
+});
+
+test('clamps long gaps and caps catch-up steps', () => {
+  const clock = createClock({ maxSubSteps: 10 });
+  tickClock(clock, 0, 1);
+  expect(tickClock(clock, 10000, 1)).toBe(10);
+  expect(clock.accumulator).toBe(0);
+});
+
+test('max speed steps until the frame budget is spent', () => {
+  let now = 0;
+  const clock = createClock({ now: () => now });
+  const steps = runFrame(clock, 0, MAX_SPEED, () => { now += 1; });
+  expect(steps).toBe(12);
+});
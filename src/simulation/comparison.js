@@ -0,0 +1,58 @@
+// Side-by-side comparison: several configurations that differ only in
+// parameters a policy could change, so every run starts from the same seed
+// and the same initial population and diverges only through those changes.
+import { POLICY_ACTIONS, describeAction } from './policies';
+import { seriesPeak } from './batch';
+
+export const MAX_VARIANTS = 4;
+
+// Base params with a variant's overrides; anything that would change the
+// initial population is ignored
+export const variantParams = (base, overrides) => {
+  const params = { ...base };
+  Object.entries(overrides).forEach(([param, value]) => {
+    if (param in POLICY_ACTIONS) params[param] = value;
+  });
+  return params;
+};
+
+export const describeVariant = (overrides) => {
+  const entries = Object.entries(overrides);
+  if (entries.length === 0) return 'Dasar';
+  return entries.map(([param, value]) => describeAction({ param, value })).join(', ');
+};
+
+// Outcome of a (possibly unfinished) run from its samples and latest stats
+export const runSummary = ({ series, stats }) => {
+  const { peak, peakTime } = seriesPeak(series);
+  return {
+    peakInfections: peak,
+    timeToPeak: peakTime,
+    totalInfected: Object.values(stats.casesByAge).reduce((sum, cases) => sum + cases, 0),
+    deaths: stats.dead
+  };
+};
+
+// One row per metric with every run's value and its difference from the first
+export const compareRuns = (runs) => {
+  const summaries = runs.map(runSummary);
+  return Object.keys(summaries[0]).map(metric => {
+    const values = summaries.map(summary => summary[metric]);
+    return { metric, values, deltas: values.map(value => value - values[0]) };
+  });
+};
+
+// Chart rows { time, run0, run1, ... } with one compartment per run, cut to
+// the shortest series so every row has all runs
+export const overlaySeries = (seriesList, key) => {
+  const length = Math.min(...seriesList.map(series => series.length));
+  return Array.from({ length }, (_, i) => {
+    const row = { time: seriesList[0][i].time };
+    seriesList.forEach((series, run) => {
+      row[`run${run}`] = key === 'active'
+        ? series[i].infected + series[i].asymptomatic + series[i].quarantined
+        : series[i][key];
+    });
+    return row;
+  });
+};
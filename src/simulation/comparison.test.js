@@ -0,0 +1,48 @@
+import { createSimulation, runSimulation } from './engine';
+import { variantParams, describeVariant, compareRuns, overlaySeries } from './comparison';
+
+const base = { populationSize: 80, width: 200, height: 200, infectionRate: 0.6, seed: 11 };
+
+test('variants start from the same population and ignore non-policy overrides', () => {
+  const params = variantParams(base, { maskEnabled: true, populationSize: 500, seed: 3 });
+  expect(params.maskEnabled).toBe(true);
+  expect(params.populationSize).toBe(80);
+  expect(params.seed).toBe(11);
+
+  const a = createSimulation(base);
+  const b = createSimulation(params);
+  expect(b.people.map(p => [p.x, p.y, p.status])).toEqual(a.people.map(p => [p.x, p.y, p.status]));
+});
+
+test('describes a variant by its changes', () => {
+  expect(describeVariant({})).toBe('Dasar');
+  expect(describeVariant({ maskEnabled: true })).toContain('Masker');
+});
+
+test('compares runs against the first one', () => {
+  const runs = [base, variantParams(base, { mobilityRate: 0.1 })].map(params => {
+    const sim = runSimulation(createSimulation(params), 4000);
+    return { series: sim.series, stats: sim.stats };
+  });
+  const rows = compareRuns(runs);
+  expect(rows.map(row => row.metric)).toEqual(['peakInfections', 'timeToPeak', 'totalInfected', 'deaths']);
+  rows.forEach(({ values, deltas }) => {
+    expect(values).toHaveLength(2);
+    expect(deltas[0]).toBe(0);
+    expect(deltas[1]).toBeCloseTo(values[1] - values[0]);
+  });
+  expect(rows[2].values[0]).toBeGreaterThan(0);
+});
+
+test('overlays one compartment per run, cut to the shortest series', () => {
+  const sample = (time, infected) => ({ time, infected, asymptomatic: 1, quarantined: 2, recovered: 5 });
+  const rows = overlaySeries([
+    [sample(0, 1), sample(0.5, 3), sample(1, 4)],
+    [sample(0, 1), sample(0.5, 2)]
+  ], 'active');
+  expect(rows).toEqual([
+    { time: 0, run0: 4, run1: 4 },
+    { time: 0.5, run0: 6, run1: 5 }
+  ]);
+  expect(overlaySeries([[sample(0, 1)], [sample(0, 2)]], 'recovered')).toEqual([{ time: 0, run0: 5, run1: 5 }]);
+});
@@ -0,0 +1,5 @@
+// Webpack bundles the worker from this `new URL(..., import.meta.url)` form.
+// Jest cannot parse import.meta, so the runner only loads this module lazily.
+const createWorker = () => new Worker(new URL('./simulation.worker.js', import.meta.url));
+
+export default createWorker;
@@ -0,0 +1,12 @@
+// Minimal CSV writer: a header row from `columns` (the first row's keys by
+// default), then one line per row. Values with commas, quotes or newlines
+// are quoted; null and undefined become empty cells.
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows, columns = rows.length ? Object.keys(rows[0]) : []) =>
+  [columns.join(','), ...rows.map(row => columns.map(column => formatCell(row[column])).join(','))].join('\n');
@@ -0,0 +1,519 @@
+// Headless epidemic engine: plain state object + step function, no React or DOM.
+import { createRng } from './random';
+import { STATUSES, statusCode, createAgents, agentPrototype } from './agents';
+import { createSpatialHash, rebuildSpatialHash, forEachNearbyPair } from './spatialHash';
+import { createVaccinationState, vaccinate, infectionProtection, deathProtection } from './vaccination';
+import { DEFAULT_AGE_PROFILE, drawAgeGroup, emptyAgeCounts } from './ageProfiles';
+import { duePolicies, describePolicy, lockedParams } from './policies';
+import { createReproductionState, updateReproduction } from './reproduction';
+import { createTestingState, testAndTrace, recordContact, isIsolated } from './testing';
+import { createRegions, placeInRegion, confineToRegion, travel, updateVisit, regionSample } from './regions';
+import { createBehaviourState, updateBehaviour, recordDeath } from './behaviour';
+import { updateMasks, maskFactor, maskPair, emptyMaskCounts } from './masks';
+import { assignLocations, relocate, followSchedule, forEachSettingContact, emptySettingCounts } from './households';
+
+export const DEFAULT_PARAMS = {
+  populationSize: 200,
+  infectionRate: 0.3,
+  recoveryTime: 5000,
+  mobilityRate: 0.5,
+  initialInfected: 3,
+  quarantineDelay: 3000, // ms after infection
+  maskEnabled: false, // NPI: mask mandate, see masks.js
+  maskAdherence: 0.8, // share of agents who follow the mandate
+  maskSourceEfficacy: 0.5, // reduction when the infector wears a mask
+  maskWearerEfficacy: 0.3, // reduction when the contact wears a mask
+  healthcareCapacity: 30, // hospital beds
+  hospitalizationRate: 0.2, // share of symptomatic cases that need a bed
+  overloadMortalityFactor: 1.5, // mortality multiplier for bed-needing cases once beds run out
+  vaccinationRate: 0, // doses per second
+  vaccinationStrategy: 'random', // see VACCINATION_STRATEGIES
+  vaccinationStart: 0, // ms before the campaign begins
+  vaccineEfficacyInfection: 0.7, // full-course reduction in infection risk
+  vaccineEfficacyDeath: 0.9, // full-course reduction in mortality
+  secondDoseEnabled: false,
+  secondDoseDelay: 5000, // ms between doses
+  testingEnabled: false,
+  testCapacity: 10, // tests per simulated day (dayLength)
+  testSensitivity: 0.8, // chance an infectious agent tests positive
+  tracingSuccess: 0.6, // chance each remembered contact of a case is reached
+  tracingQuarantine: 5000, // ms traced contacts stay home
+  contactMemory: 3000, // ms a close contact stays traceable
+  layout: 'single', // see LAYOUTS in regions.js
+  seedFirstRegion: true, // start every initial case in the first community
+  travelProbability: 0.01, // chance per agent per second of moving to another community
+  bordersClosed: false,
+  hotspotsEnabled: false,
+  hotspotVisitRate: 0.1, // chance per agent per second of heading to the hotspot
+  hotspotStay: 1500, // ms spent at the hotspot
+  structuredContacts: false, // households, workplaces and a daily schedule, see households.js
+  householdSize: 4,
+  workplaceSize: 20, // members per workplace or school
+  dayLength: 4000, // ms per simulated day, for the schedule and the testing budget
+  homeInfectionRate: 0.2, // per second per infectious-susceptible pair at home
+  workInfectionRate: 0.02, // per second per pair at work
+  adaptiveBehaviour: false, // agents respond to perceived risk, see behaviour.js
+  riskSensitivity: 20, // how strongly perceived risk drives the response
+  deathWeight: 10, // weight of recent deaths (share of population) in perceived risk
+  deathMemory: 5000, // ms over which deaths are remembered
+  complianceSpread: 0.5, // 0 = everyone complies fully, 1 = compliance uniform in [0, 1]
+  fatigueRate: 0.05, // fatigue gained per second of full response
+  immunityDuration: 15000, // ms before waning; 0 = lifelong immunity
+  incubationMin: 1000, // ms exposed before becoming infectious
+  incubationMax: 3000,
+  asymptomaticFraction: 0.4, // share of cases that never show symptoms
+  ageProfile: DEFAULT_AGE_PROFILE, // per age group: share, susceptibility, contact, mortality, recovery
+  policies: [], // scheduled interventions, see policies.js
+  seed: 12345, // same seed + params => same epidemic
+  width: 700,
+  height: 500
+};
+
+export const FRAME_TIME = 16; // ms of simulated time per step at 1x speed
+export const SAMPLE_INTERVAL = 500; // ms between chart samples
+
+const COLLISION_DISTANCE = 10;
+const DEAD = statusCode('dead');
+
+// Contact distance shrinks in crowded worlds so large populations still fit;
+// it stays at COLLISION_DISTANCE up to roughly a thousand agents on 700x500.
+export const contactDistanceFor = ({ width, height, populationSize }) =>
+  Math.min(COLLISION_DISTANCE, Math.sqrt((width * height) / Math.max(1, populationSize)) * 0.6);
+
+// Recovery time for a person: the global recovery time scaled by their
+// age group's multiplier and their own 0.7x - 1.3x jitter
+const personalRecoveryTime = (params, person) =>
+  params.recoveryTime * params.ageProfile[person.ageGroup].recovery * person.recoveryJitter;
+
+// `prototype` stores position, velocity and status in sim.agents. A literal
+// keeps the person a fast object, unlike adding its fields one by one.
+const createPerson = (id, params, random, prototype) => {
+  const infected = id < params.initialInfected;
+  const x = random() * params.width;
+  const y = random() * params.height;
+  const vx = (random() - 0.5) * 2;
+  const vy = (random() - 0.5) * 2;
+  const person = {
+    __proto__: prototype,
+    id,
+    infectedTime: infected ? 0 : null,
+    ageGroup: drawAgeGroup(params.ageProfile, random),
+    exposedTime: null,
+    incubationPeriod: null, // drawn from the incubation range on exposure
+    asymptomatic: false,
+    infectionRadius: 8 + random() * 4, // 8-12 px
+    recoveryJitter: 0.7 + random() * 0.6, // 0.7x - 1.3x
+    personalRecovery: 0,
+    immunityEndTime: null,
+    hospitalized: infected && random() < params.hospitalizationRate,
+    doses: 0,
+    vaccinatedTime: null,
+    infectedBy: null,
+    infectionsSpread: 0,
+    contacts: new Map(), // recent close contacts, id -> last time met, oldest first
+    isolatedUntil: 0, // traced-contact quarantine end, ms
+    lastTestTime: null,
+    region: 0, // index into sim.regions
+    visiting: 0, // hotspot visit phase, see regions.js
+    visitEnd: 0,
+    household: -1, // indices into sim.households / sim.workplaces
+    workplace: -1,
+    placed: null, // 'home' or 'work' while the schedule holds the person there
+    complianceDraw: null, // uniform draw behind the agent's compliance
+    fatigue: 0, // 0-1, erodes the agent's response
+    mobilityFactor: 1, // voluntary reduction of their movement
+    maskProbability: 0, // chance of wearing a mask voluntarily
+    maskDraw: null, // uniform draw compared against mask coverage
+    masked: false
+  };
+  person.x = x;
+  person.y = y;
+  person.vx = vx;
+  person.vy = vy;
+  person.status = infected ? 'infected' : 'healthy';
+  person.personalRecovery = personalRecoveryTime(params, person);
+  return person;
+};
+
+// Initialize population. `options.random` plugs in a custom [0, 1) generator;
+// otherwise one is seeded from params.seed.
+export const createSimulation = (params = {}, options = {}) => {
+  const merged = { ...DEFAULT_PARAMS, ...params };
+  const random = options.random || createRng(merged.seed);
+  const agents = createAgents(merged.populationSize);
+  const prototype = agentPrototype(agents);
+  const people = [];
+  const casesByAge = emptyAgeCounts();
+  const regions = createRegions(merged);
+  for (let i = 0; i < merged.populationSize; i++) {
+    const person = createPerson(i, merged, random, prototype);
+    if (person.status === 'infected') casesByAge[person.ageGroup]++;
+    if (regions.length > 1) {
+      const infected = person.status === 'infected';
+      person.region = infected && merged.seedFirstRegion ? 0 : Math.floor(random() * regions.length);
+      placeInRegion(person, regions[person.region], person.x / merged.width, person.y / merged.height);
+    }
+    people.push(person);
+  }
+
+  const contactDistance = contactDistanceFor(merged);
+
+  const sim = {
+    params: merged,
+    random,
+    contactDistance,
+    grid: createSpatialHash(merged.width, merged.height, contactDistance),
+    regions,
+    agents,
+    people,
+    time: 0,
+    infections: [],
+    indexCases: people.filter(p => p.status === 'infected').map(p => p.id),
+    reproduction: createReproductionState(),
+    stats: null,
+    deathsOverCapacity: 0, // deaths while occupied beds exceeded capacity
+    vaccination: createVaccinationState(),
+    testing: createTestingState(),
+    travels: 0, // moves between communities
+    households: [],
+    workplaces: [],
+    infectionsBySetting: emptySettingCounts(),
+    behaviour: createBehaviourState(),
+    infectionsByMask: emptyMaskCounts(),
+    casesByAge, // every infection, reinfections included
+    deathsByAge: emptyAgeCounts(),
+    firedPolicies: new Set(),
+    policyOverrides: {}, // param -> value set by the latest fired policy
+    policyLog: [], // { id, time, label, param, value } per fired policy
+    series: [],
+    rtSeries: [], // Cori R_t per incidence bin, see reproduction.js
+    regionSeries: [], // active infections per community, multi-region layouts only
+    nextSampleTime: SAMPLE_INTERVAL
+  };
+  updateMasks(sim);
+  if (merged.structuredContacts) {
+    assignLocations(sim);
+    people.forEach(person => followSchedule(sim, person));
+  }
+  sim.stats = computeStats(sim);
+  // Seed initial chart point so the graph is visible immediately
+  sim.series.push(toSample(sim, sim.stats));
+  if (regions.length > 1) sim.regionSeries.push(regionSample(sim));
+  return sim;
+};
+
+// A deleted policy no longer counts as fired and stops pinning its
+// parameter; overrides are rebuilt from the remaining fired policies
+const forgetRemovedPolicies = (sim, policies) => {
+  const ids = new Set(policies.map(policy => policy.id));
+  sim.firedPolicies.forEach(id => {
+    if (!ids.has(id)) sim.firedPolicies.delete(id);
+  });
+  sim.policyOverrides = lockedParams(sim.policyLog, policies);
+};
+
+// Update simulation parameters without changing positions. Values set by
+// fired policies keep precedence over later manual changes.
+export const setSimulationParams = (sim, params) => {
+  if (params.policies) forgetRemovedPolicies(sim, params.policies);
+  sim.params = { ...sim.params, ...params, ...sim.policyOverrides };
+
+  // Rescale recovery times, keeping each person's jitter
+  sim.people.forEach(person => {
+    person.personalRecovery = personalRecoveryTime(sim.params, person);
+  });
+};
+
+// Monte Carlo: Check if infection occurs. `rate` is the per-contact chance
+// before modifiers; `setting` labels the log entry.
+export const attemptInfection = (sim, person1, person2, rate = sim.params.infectionRate, setting = 'community') => {
+  // Quarantined or isolated individuals neither infect nor get infected
+  if (person1.status === 'quarantined' || person2.status === 'quarantined') return false;
+  if (isIsolated(sim, person1) || isIsolated(sim, person2)) return false;
+  const infectious = person1.status === 'infected' || person1.status === 'asymptomatic';
+  const susceptible = person2.status === 'healthy' || person2.status === 'vaccinated';
+  if (infectious && susceptible) {
+    const vaccineFactor = 1 - infectionProtection(person2, sim.params);
+    const masks = maskFactor(sim.params, person1, person2);
+    const asympFactor = person1.status === 'asymptomatic' ? 0.5 : 1; // asymptomatic less infectious
+    const susceptibility = sim.params.ageProfile[person2.ageGroup].susceptibility;
+    const effectiveRate = rate * masks * asympFactor * vaccineFactor * susceptibility;
+    if (sim.random() < effectiveRate) {
+      const { incubationMin, incubationMax } = sim.params;
+      person2.status = 'exposed';
+      person2.exposedTime = sim.time;
+      person2.incubationPeriod = incubationMin + sim.random() * Math.max(0, incubationMax - incubationMin);
+      person2.infectedBy = person1.id;
+      person1.infectionsSpread++;
+      sim.casesByAge[person2.ageGroup]++;
+      sim.infectionsBySetting[setting]++;
+      sim.infectionsByMask[maskPair(person1, person2)]++;
+      sim.infections.push({
+        from: person1.id,
+        to: person2.id,
+        time: sim.time,
+        setting
+      });
+      return true;
+    }
+  }
+  return false;
+};
+
+// Beds are over capacity when more hospitalised cases are active than beds exist
+export const isOverCapacity = (sim) => sim.stats.hospitalized > sim.params.healthcareCapacity;
+
+// Monte Carlo: Determine outcome (recovery or death). Cases needing a bed die
+// more often while the hospital is overloaded.
+export const determineOutcome = (sim, person, overCapacity) => {
+  const baseMortality = sim.params.ageProfile[person.ageGroup].mortality;
+  const overloaded = overCapacity && person.hospitalized;
+  const mortalityRate = baseMortality *
+    (overloaded ? sim.params.overloadMortalityFactor : 1.0) *
+    (1 - deathProtection(person, sim.params));
+  person.hospitalized = false;
+  if (sim.random() < mortalityRate) {
+    person.status = 'dead';
+    person.vx = 0;
+    person.vy = 0;
+    sim.deathsByAge[person.ageGroup]++;
+    recordDeath(sim);
+    if (overCapacity) sim.deathsOverCapacity++;
+  } else {
+    const { immunityDuration } = sim.params;
+    person.status = 'recovered';
+    person.immunityEndTime = immunityDuration > 0 ? sim.time + immunityDuration : null;
+  }
+};
+
+const movePerson = (sim, person, deltaTime) => {
+  // The daily schedule holds people at home or work
+  if (sim.params.structuredContacts && followSchedule(sim, person)) return;
+  // Each age group moves more or less than the population-wide mobility
+  const mobilityRate = Math.min(1, sim.params.mobilityRate * sim.params.ageProfile[person.ageGroup].contact) * person.mobilityFactor;
+  // Quarantined and isolated individuals do not move
+  const isQuarantined = person.status === 'quarantined' || isIsolated(sim, person);
+  // Max speed proportional to mobility (keep small baseline)
+  const maxSpeed = 0.2 + 1.8 * mobilityRate; // 0.2 at 0, ~2 at 1
+
+  if (!isQuarantined && travel(sim, person, deltaTime) && sim.params.structuredContacts) relocate(sim, person);
+  const visiting = !isQuarantined && mobilityRate > 0 && updateVisit(sim, person, deltaTime, maxSpeed);
+
+  const { x, y, vx, vy } = sim.agents;
+  const i = person.id;
+
+  // Movement with Monte Carlo random walk scaled by mobilityRate
+  if (!isQuarantined && !visiting && mobilityRate > 0 && sim.random() < mobilityRate) {
+    const accelScale = mobilityRate; // scale acceleration by mobility
+    vx[i] += (sim.random() - 0.5) * 0.5 * accelScale;
+    vy[i] += (sim.random() - 0.5) * 0.5 * accelScale;
+
+    // Limit velocity
+    const currentSpeed = Math.sqrt(vx[i] ** 2 + vy[i] ** 2);
+    if (currentSpeed > maxSpeed) {
+      vx[i] = (vx[i] / currentSpeed) * maxSpeed;
+      vy[i] = (vy[i] / currentSpeed) * maxSpeed;
+    }
+  }
+
+  // Position update scaled by mobility: 0 => stop, 1 => normal
+  if (!isQuarantined) {
+    x[i] += vx[i] * mobilityRate;
+    y[i] += vy[i] * mobilityRate;
+  }
+
+  // Boundary collision with the walls of the person's community
+  confineToRegion(sim, person);
+};
+
+const progressDisease = (sim, person, overCapacity) => {
+  // Progress exposed -> infectious (infected or asymptomatic)
+  if (person.status === 'exposed' && sim.time - person.exposedTime > person.incubationPeriod) {
+    person.asymptomatic = sim.random() < sim.params.asymptomaticFraction;
+    person.status = person.asymptomatic ? 'asymptomatic' : 'infected';
+    person.infectedTime = sim.time;
+    // Some symptomatic cases need a hospital bed until their outcome
+    person.hospitalized = !person.asymptomatic && sim.random() < sim.params.hospitalizationRate;
+  }
+
+  // Move infected to quarantined after delay
+  if (person.status === 'infected' && sim.time - person.infectedTime > sim.params.quarantineDelay) {
+    person.status = 'quarantined';
+    // Reduce movement immediately
+    person.vx = 0;
+    person.vy = 0;
+  }
+
+  // Check recovery
+  const isInfectiousState = person.status === 'infected' || person.status === 'quarantined' || person.status === 'asymptomatic';
+  if (isInfectiousState && sim.time - person.infectedTime > person.personalRecovery) {
+    determineOutcome(sim, person, overCapacity);
+  }
+
+  // Waning immunity: recovered -> susceptible again (vaccine protection stays)
+  if (person.status === 'recovered' && person.immunityEndTime !== null && sim.time >= person.immunityEndTime) {
+    person.status = person.doses > 0 ? 'vaccinated' : 'healthy';
+    person.immunityEndTime = null;
+    person.asymptomatic = false;
+  }
+};
+
+const resolveContact = (sim, p1, p2) => {
+  // People at home or work only meet the others there, see transmitInSettings
+  if (p1.placed || p2.placed) return;
+  const { x, y } = sim.agents;
+  const a = p1.id;
+  const b = p2.id;
+  const dx = x[a] - x[b];
+  const dy = y[a] - y[b];
+  const distance = Math.sqrt(dx * dx + dy * dy);
+  if (distance >= sim.contactDistance) return;
+
+  // Collision response: separate particles
+  const angle = Math.atan2(dy, dx);
+  const sin = Math.sin(angle);
+  const cos = Math.cos(angle);
+  const overlap = sim.contactDistance - distance;
+  x[a] += cos * overlap / 2;
+  y[a] += sin * overlap / 2;
+  x[b] -= cos * overlap / 2;
+  y[b] -= sin * overlap / 2;
+
+  recordContact(sim, p1, p2);
+
+  // Monte Carlo: Attempt infection
+  attemptInfection(sim, p1, p2);
+  attemptInfection(sim, p2, p1);
+};
+
+// Household and workplace transmission among the people placed together,
+// who are also remembered as close contacts for tracing
+const transmitInSettings = (sim, deltaTime) => {
+  if (!sim.params.structuredContacts) return;
+  const { homeInfectionRate, workInfectionRate } = sim.params;
+  forEachSettingContact(sim, (source, other, setting) => {
+    const rate = setting === 'home' ? homeInfectionRate : workInfectionRate;
+    recordContact(sim, source, other);
+    attemptInfection(sim, source, other, (rate * deltaTime) / 1000, setting);
+  });
+};
+
+export const computeStats = (sim) => {
+  const { people } = sim;
+  const { status } = sim.agents;
+
+  const counts = new Array(STATUSES.length).fill(0); // per status code, in STATUSES order
+  let hospitalized = 0, isolated = 0, mobility = 0;
+  for (let i = 0; i < people.length; i++) {
+    const p = people[i];
+    counts[status[i]]++;
+    if (p.hospitalized) hospitalized++;
+    if (p.isolatedUntil > sim.time) isolated++;
+    if (status[i] !== DEAD) mobility += p.mobilityFactor;
+  }
+  const [healthy, vaccinated, exposed, infected, asymptomatic, quarantined, recovered, dead] = counts;
+  const alive = people.length - dead;
+
+  return {
+    healthy,
+    vaccinated,
+    exposed,
+    asymptomatic,
+    infected,
+    quarantined,
+    recovered,
+    dead,
+    hospitalized,
+    deathsOverCapacity: sim.deathsOverCapacity,
+    dosesGiven: sim.vaccination.dosesGiven,
+    fullyVaccinated: sim.vaccination.fullyVaccinated,
+    isolated, // traced contacts currently in quarantine
+    testsUsed: sim.testing.testsUsed,
+    casesFound: sim.testing.casesFound,
+    contactsQuarantined: sim.testing.contactsQuarantined,
+    tracedInfected: sim.testing.tracedInfected,
+    travels: sim.travels,
+    meanMobility: alive > 0 ? (sim.params.mobilityRate * mobility) / alive : 0,
+    perceivedRisk: sim.behaviour.perceivedRisk,
+    infectionsBySetting: { ...sim.infectionsBySetting },
+    infectionsByMask: { ...sim.infectionsByMask },
+    casesByAge: { ...sim.casesByAge },
+    deathsByAge: { ...sim.deathsByAge },
+    // Refreshed from the infection log at every chart sample
+    r0Value: sim.reproduction.r0,
+    rtValue: sim.reproduction.rt
+  };
+};
+
+const toSample = (sim, stats) => ({
+  time: Math.round(sim.time / 100) / 10, // seconds, one decimal
+  healthy: stats.healthy,
+  vaccinated: stats.vaccinated,
+  exposed: stats.exposed,
+  asymptomatic: stats.asymptomatic,
+  infected: stats.infected,
+  quarantined: stats.quarantined,
+  recovered: stats.recovered,
+  dead: stats.dead,
+  hospitalized: stats.hospitalized,
+  mobility: Math.round(stats.meanMobility * 1000) / 1000
+});
+
+// Advance the model by deltaTime ms of simulated time
+export const stepSimulation = (sim, deltaTime = FRAME_TIME) => {
+  sim.time += deltaTime;
+  const { people } = sim;
+  const { status } = sim.agents;
+  // Bed occupancy as of the previous step decides this step's outcomes
+  const overCapacity = isOverCapacity(sim);
+  updateBehaviour(sim, deltaTime);
+  updateMasks(sim);
+
+  // Update each person
+  people.forEach(person => {
+    if (status[person.id] === DEAD) return;
+    movePerson(sim, person, deltaTime);
+    progressDisease(sim, person, overCapacity);
+  });
+
+  // Check collisions and infections among nearby pairs only
+  rebuildSpatialHash(sim.grid, sim.agents.x, sim.agents.y);
+  forEachNearbyPair(sim.grid, people, (p1, p2) => resolveContact(sim, p1, p2));
+  transmitInSettings(sim, deltaTime);
+
+  vaccinate(sim, deltaTime);
+  testAndTrace(sim, deltaTime);
+
+  const sampleDue = sim.time >= sim.nextSampleTime;
+  if (sampleDue) updateReproduction(sim);
+  const stats = computeStats(sim);
+  sim.stats = stats;
+
+  // Fire scheduled interventions whose trigger is now met
+  duePolicies(sim).forEach(policy => {
+    sim.firedPolicies.add(policy.id);
+    sim.policyOverrides[policy.action.param] = policy.action.value;
+    setSimulationParams(sim, {});
+    sim.policyLog.push({
+      id: policy.id,
+      time: sim.time,
+      label: describePolicy(policy),
+      ...policy.action
+    });
+  });
+
+  // Record a chart sample every SAMPLE_INTERVAL ms
+  if (sampleDue) {
+    sim.nextSampleTime = (Math.floor(sim.time / SAMPLE_INTERVAL) + 1) * SAMPLE_INTERVAL;
+    sim.series.push(toSample(sim, stats));
+    if (sim.regions.length > 1) sim.regionSeries.push(regionSample(sim));
+  }
+  return sim;
+};
+
+// Run the model headlessly until `duration` ms have elapsed
+export const runSimulation = (sim, duration, deltaTime = FRAME_TIME) => {
+  const end = sim.time + duration;
+  while (sim.time < end) stepSimulation(sim, deltaTime);
+  return sim;
+};
@@ -0,0 +1,167 @@
+import { createSimulation, stepSimulation, runSimulation, setSimulationParams, computeStats, SAMPLE_INTERVAL } from './engine';
+
+const total = (stats) =>
+  stats.healthy + stats.vaccinated + stats.exposed + stats.asymptomatic + stats.infected +
+  stats.quarantined + stats.recovered + stats.dead;
+
+test('creates the requested population with initial infections', () => {
+  const sim = createSimulation({ populationSize: 50, initialInfected: 4 });
+  expect(sim.people).toHaveLength(50);
+  expect(sim.stats.infected).toBe(4);
+  expect(sim.stats.healthy).toBe(46);
+  expect(sim.series).toHaveLength(1);
+});
+
+test('people read and write position and status in the agent arrays', () => {
+  const sim = createSimulation({ populationSize: 10, initialInfected: 1 });
+  const { x, status } = sim.agents;
+  expect(x).toBeInstanceOf(Float64Array);
+  expect(sim.people[3].x).toBe(x[3]);
+  sim.people[3].x = 42;
+  expect(x[3]).toBe(42);
+  sim.people[3].status = 'dead';
+  expect(status[3]).toBe(7);
+  expect(computeStats(sim).dead).toBe(1);
+  expect(() => { sim.people[3].status = 'zombie'; }).toThrow(/status/);
+});
+
+test('advances time and keeps the population constant', () => {
+  const sim = createSimulation({ populationSize: 100 });
+  runSimulation(sim, 3000);
+  expect(sim.time).toBeGreaterThanOrEqual(3000);
+  expect(total(computeStats(sim))).toBe(100);
+  expect(sim.series.length).toBeGreaterThanOrEqual(3000 / SAMPLE_INTERVAL);
+});
+
+test('logs every transmission with its source and target', () => {
+  const sim = createSimulation({ populationSize: 150, infectionRate: 0.8, width: 150, height: 150 });
+  runSimulation(sim, 2000);
+  expect(sim.infections.length).toBeGreaterThan(0);
+  sim.infections.forEach(({ from, to }) => {
+    expect(sim.people[to].infectedBy).toBe(from);
+  });
+});
+
+test('rescales personal recovery times when recoveryTime changes', () => {
+  const sim = createSimulation({ recoveryTime: 5000 });
+  const before = sim.people.map(p => p.personalRecovery);
+  setSimulationParams(sim, { recoveryTime: 10000 });
+  sim.people.forEach((p, i) => expect(p.personalRecovery).toBeCloseTo(before[i] * 2));
+});
+
+test('keeps people inside the world bounds', () => {
+  const sim = createSimulation({ populationSize: 80, mobilityRate: 1 });
+  for (let i = 0; i < 200; i++) stepSimulation(sim);
+  sim.people.forEach(p => {
+    expect(p.x).toBeGreaterThanOrEqual(0);
+    expect(p.x).toBeLessThanOrEqual(sim.params.width);
+    expect(p.y).toBeGreaterThanOrEqual(0);
+    expect(p.y).toBeLessThanOrEqual(sim.params.height);
+  });
+});
+
+test('same seed and parameters reproduce the same epidemic', () => {
+  const params = { populationSize: 120, seed: 2024 };
+  const a = runSimulation(createSimulation(params), 4000);
+  const b = runSimulation(createSimulation(params), 4000);
+  expect(b.series).toEqual(a.series);
+  expect(b.infections).toEqual(a.infections);
+
+  const c = runSimulation(createSimulation({ ...params, seed: 7 }), 4000);
+  expect(c.people.map(p => p.x)).not.toEqual(a.people.map(p => p.x));
+});
+
+test('new infections pass through the exposed compartment before becoming infectious', () => {
+  const sim = createSimulation({ populationSize: 150, infectionRate: 0.8, width: 150, height: 150, seed: 3 });
+  while (sim.infections.length === 0) stepSimulation(sim);
+  const target = sim.people[sim.infections[0].to];
+  expect(target.status).toBe('exposed');
+  expect(target.incubationPeriod).toBeGreaterThanOrEqual(sim.params.incubationMin);
+  expect(target.incubationPeriod).toBeLessThanOrEqual(sim.params.incubationMax);
+  runSimulation(sim, sim.params.incubationMax + 100);
+  expect(['infected', 'asymptomatic', 'quarantined']).toContain(target.status);
+});
+
+test('asymptomatic fraction decides the infectious branch', () => {
+  const run = (asymptomaticFraction) => {
+    const sim = createSimulation({ populationSize: 150, infectionRate: 0.8, width: 150, height: 150, asymptomaticFraction, seed: 4 });
+    let asymptomatic = 0;
+    for (let i = 0; i < 300; i++) {
+      stepSimulation(sim);
+      asymptomatic = Math.max(asymptomatic, sim.stats.asymptomatic);
+    }
+    return asymptomatic;
+  };
+  expect(run(0)).toBe(0);
+  expect(run(1)).toBeGreaterThan(0);
+});
+
+test('immunity wanes back to susceptible unless it is lifelong', () => {
+  const recoverAll = (immunityDuration) => {
+    const sim = createSimulation({ populationSize: 5, initialInfected: 5, recoveryTime: 1000, immunityDuration, seed: 8 });
+    sim.people.forEach(p => { p.ageGroup = 'adult'; });
+    return runSimulation(sim, 2000);
+  };
+
+  const waning = recoverAll(1000);
+  const recovered = waning.people.filter(p => p.status === 'recovered');
+  expect(recovered.length).toBeGreaterThan(0);
+  runSimulation(waning, 1100);
+  recovered.forEach(p => expect(p.status).toBe('healthy'));
+
+  const lifelong = recoverAll(0);
+  const immune = lifelong.people.filter(p => p.status === 'recovered');
+  expect(immune.length).toBeGreaterThan(0);
+  runSimulation(lifelong, 5000);
+  immune.forEach(p => expect(p.status).toBe('recovered'));
+});
+
+test('overloaded hospitals raise mortality for cases that need a bed', () => {
+  const outcomes = (healthcareCapacity) => {
+    const totals = { dead: 0, deathsOverCapacity: 0 };
+    for (let seed = 1; seed <= 20; seed++) {
+      const sim = createSimulation({
+        populationSize: 40, initialInfected: 40, hospitalizationRate: 1,
+        overloadMortalityFactor: 5, healthcareCapacity, recoveryTime: 1000, seed
+      });
+      runSimulation(sim, 2000);
+      totals.dead += sim.stats.dead;
+      totals.deathsOverCapacity += sim.stats.deathsOverCapacity;
+    }
+    return totals;
+  };
+
+  const overloaded = outcomes(0);
+  const ample = outcomes(100);
+  expect(overloaded.dead).toBeGreaterThan(ample.dead * 2);
+  expect(overloaded.deathsOverCapacity).toBe(overloaded.dead);
+  expect(ample.deathsOverCapacity).toBe(0);
+});
+
+test('age profile shares, susceptibility and mortality shape the epidemic', () => {
+  const ageProfile = {
+    child: { share: 1, susceptibility: 0, contact: 1, mortality: 0, recovery: 1 },
+    adult: { share: 0, susceptibility: 1, contact: 1, mortality: 1, recovery: 1 },
+    senior: { share: 0, susceptibility: 1, contact: 1, mortality: 1, recovery: 1 }
+  };
+  const sim = createSimulation({ populationSize: 150, infectionRate: 0.8, width: 150, height: 150, ageProfile, seed: 6 });
+  sim.people.forEach(p => expect(p.ageGroup).toBe('child'));
+  runSimulation(sim, 8000);
+  // Children cannot be infected, so only the initial cases count, and none die
+  expect(sim.infections).toHaveLength(0);
+  expect(sim.stats.casesByAge.child).toBe(3);
+  expect(sim.stats.deathsByAge.child).toBe(0);
+});
+
+test('age recovery multiplier scales personal recovery time', () => {
+  const ageProfile = {
+    child: { share: 0, susceptibility: 1, contact: 1, mortality: 0, recovery: 1 },
+    adult: { share: 1, susceptibility: 1, contact: 1, mortality: 0, recovery: 2 },
+    senior: { share: 0, susceptibility: 1, contact: 1, mortality: 0, recovery: 1 }
+  };
+  const sim = createSimulation({ recoveryTime: 1000, ageProfile });
+  sim.people.forEach(p => {
+    expect(p.personalRecovery).toBeGreaterThanOrEqual(1400);
+    expect(p.personalRecovery).toBeLessThanOrEqual(2600);
+  });
+});
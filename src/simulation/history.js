@@ -0,0 +1,281 @@
+// Time travel: compact checkpoints taken every so often while the model
+// runs, so the viewer can scrub back to an earlier moment and branch a new
+// run from it. The agent arrays of agents.js are copied, the remaining
+// agent fields are packed field by field into typed arrays, and a field
+// unchanged since the previous checkpoint shares its arrays with it.
+// The append-only logs (infections, chart series, policy log) are kept as
+// lengths only, as the live run still holds them; the remaining state is
+// small and deep-copied. Older checkpoints are thinned out to stay within a
+// byte budget.
+import { createRng } from './random';
+import { AGENT_FIELDS, agentPrototype } from './agents';
+import { createSpatialHash } from './spatialHash';
+
+export const HISTORY_INTERVAL = 1000; // ms of simulated time between checkpoints
+export const HISTORY_BYTES = 64 * 1024 * 1024; // typed-array storage across all checkpoints
+const MAX_CHECKPOINTS = 240;
+
+const LOG_KEYS = ['infections', 'series', 'rtSeries', 'regionSeries', 'policyLog'];
+// Never changed in place once built, so checkpoints keep a reference
+const SHARED_KEYS = ['params', 'regions', 'indexCases'];
+// Stored in their own form below, or rebuilt on restore
+const OWN_KEYS = ['agents', 'people', 'households', 'workplaces', 'random', 'grid', 'vaccination'];
+const COPIED_KEYS = new Set([...LOG_KEYS, ...SHARED_KEYS, ...OWN_KEYS]);
+
+const NULL_FLAG = 2; // a null in a boolean field
+
+// Deep copy of plain data: objects, arrays, typed arrays, Sets and Maps
+export const cloneState = (value) => {
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(cloneState);
+  if (ArrayBuffer.isView(value)) return value.slice();
+  if (value instanceof Set) return new Set(value);
+  if (value instanceof Map) return new Map([...value].map(([key, item]) => [key, cloneState(item)]));
+  const copy = {};
+  Object.keys(value).forEach(key => {
+    copy[key] = cloneState(value[key]);
+  });
+  return copy;
+};
+
+const fieldKind = (people, key) => {
+  const person = people.find(p => p[key] !== null);
+  if (!person) return 'null';
+  return person[key] instanceof Map ? 'map' : typeof person[key];
+};
+
+// Numbers as Float64 (NaN for null), booleans and strings as byte codes,
+// Maps of numbers as flat key and value arrays with per-agent offsets
+const encodeField = (people, key) => {
+  const count = people.length;
+  const kind = fieldKind(people, key);
+  if (kind === 'null') return { key, kind, arrays: {} };
+  if (kind === 'number') {
+    const data = new Float64Array(count);
+    for (let i = 0; i < count; i++) data[i] = people[i][key] === null ? NaN : people[i][key];
+    return { key, kind, arrays: { data } };
+  }
+  if (kind === 'boolean') {
+    const data = new Uint8Array(count);
+    for (let i = 0; i < count; i++) data[i] = people[i][key] === null ? NULL_FLAG : Number(people[i][key]);
+    return { key, kind, arrays: { data } };
+  }
+  if (kind === 'string') {
+    const values = [null];
+    const codes = new Map([[null, 0]]);
+    const data = new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+      const value = people[i][key];
+      if (!codes.has(value)) {
+        codes.set(value, values.length);
+        values.push(value);
+      }
+      data[i] = codes.get(value);
+    }
+    return { key, kind, values, arrays: { data } };
+  }
+  if (kind === 'map') {
+    const offsets = new Uint32Array(count + 1);
+    for (let i = 0; i < count; i++) offsets[i + 1] = offsets[i] + people[i][key].size;
+    const keys = new Float64Array(offsets[count]);
+    const values = new Float64Array(offsets[count]);
+    for (let i = 0; i < count; i++) {
+      let j = offsets[i];
+      people[i][key].forEach((value, mapKey) => {
+        keys[j] = mapKey;
+        values[j] = value;
+        j++;
+      });
+    }
+    return { key, kind, arrays: { offsets, keys, values } };
+  }
+  throw new Error(`Cannot checkpoint agent field ${key} of type ${kind}`);
+};
+
+const decodeValue = (field, i) => {
+  const { kind, arrays } = field;
+  if (kind === 'null') return null;
+  if (kind === 'number') return Number.isNaN(arrays.data[i]) ? null : arrays.data[i];
+  if (kind === 'boolean') return arrays.data[i] === NULL_FLAG ? null : arrays.data[i] === 1;
+  if (kind === 'string') return field.values[arrays.data[i]];
+  const map = new Map();
+  for (let j = arrays.offsets[i]; j < arrays.offsets[i + 1]; j++) map.set(arrays.keys[j], arrays.values[j]);
+  return map;
+};
+
+const sameArray = (a, b) => {
+  if (!b || a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i] && !(Number.isNaN(a[i]) && Number.isNaN(b[i]))) return false;
+  }
+  return true;
+};
+
+const sameField = (field, previous) =>
+  previous !== undefined &&
+  previous.kind === field.kind &&
+  (field.kind !== 'string' || sameArray(field.values, previous.values)) &&
+  Object.keys(field.arrays).every(name => sameArray(field.arrays[name], previous.arrays[name]));
+
+const encodePeople = (people, previous) => {
+  const previousFields = new Map(previous ? previous.people.fields.map(field => [field.key, field]) : []);
+  const keys = people.length > 0 ? Object.keys(people[0]) : [];
+  const fields = keys.map(key => {
+    const field = encodeField(people, key);
+    return sameField(field, previousFields.get(key)) ? previousFields.get(key) : field;
+  });
+  return { count: people.length, fields };
+};
+
+// People backed by the agent arrays behind `prototype`
+const decodePeople = ({ count, fields }, prototype) => {
+  const people = [];
+  for (let i = 0; i < count; i++) {
+    const person = Object.create(prototype);
+    fields.forEach(field => {
+      person[field.key] = decodeValue(field, i);
+    });
+    people.push(person);
+  }
+  return people;
+};
+
+const copyAgents = (agents, previous) =>
+  Object.fromEntries(AGENT_FIELDS.map(field => [
+    field,
+    previous && sameArray(agents[field], previous[field]) ? previous[field] : agents[field].slice()
+  ]));
+
+// Households or workplaces: { region, x, y, members } per location
+const encodeLocations = (locations) => {
+  const count = locations.length;
+  const region = new Int32Array(count);
+  const x = new Float64Array(count);
+  const y = new Float64Array(count);
+  const offsets = new Uint32Array(count + 1);
+  locations.forEach((location, i) => {
+    region[i] = location.region;
+    x[i] = location.x;
+    y[i] = location.y;
+    offsets[i + 1] = offsets[i] + location.members.length;
+  });
+  const members = new Int32Array(offsets[count]);
+  locations.forEach((location, i) => members.set(location.members, offsets[i]));
+  return { region, x, y, offsets, members };
+};
+
+// Unchanged locations keep the previous checkpoint's arrays
+const shareLocations = (encoded, previous) =>
+  (previous && Object.keys(encoded).every(name => sameArray(encoded[name], previous[name])) ? previous : encoded);
+
+const decodeLocations = ({ region, x, y, offsets, members }) =>
+  Array.from(region, (_, i) => ({
+    region: region[i],
+    x: x[i],
+    y: y[i],
+    members: Array.from(members.subarray(offsets[i], offsets[i + 1]))
+  }));
+
+// Every typed array a checkpoint holds
+const checkpointArrays = (checkpoint) => [
+  ...Object.values(checkpoint.agents),
+  ...checkpoint.people.fields.flatMap(field => Object.values(field.arrays)),
+  ...Object.values(checkpoint.households),
+  ...Object.values(checkpoint.workplaces)
+];
+
+// Bytes held by the checkpoints, counting shared arrays once
+export const historyBytes = (checkpoints) => {
+  const arrays = new Set(checkpoints.flatMap(checkpointArrays));
+  let bytes = 0;
+  arrays.forEach(array => {
+    bytes += array.byteLength;
+  });
+  return bytes;
+};
+
+// A frozen copy of the simulation at its current time. Agent fields and
+// locations that have not changed since `previous` share its arrays.
+export const checkpointSimulation = (sim, previous) => {
+  const state = {};
+  Object.keys(sim).forEach(key => {
+    if (!COPIED_KEYS.has(key)) state[key] = cloneState(sim[key]);
+  });
+  const { queue, ...vaccination } = sim.vaccination; // the queue is replaced, never edited
+  return {
+    time: sim.time,
+    state,
+    shared: Object.fromEntries(SHARED_KEYS.map(key => [key, sim[key]])),
+    vaccination: cloneState(vaccination),
+    vaccinationQueue: queue,
+    logs: Object.fromEntries(LOG_KEYS.map(key => [key, sim[key].length])),
+    agents: copyAgents(sim.agents, previous && previous.agents),
+    people: encodePeople(sim.people, previous),
+    households: shareLocations(encodeLocations(sim.households), previous && previous.households),
+    workplaces: shareLocations(encodeLocations(sim.workplaces), previous && previous.workplaces),
+    randomState: typeof sim.random.getState === 'function' ? sim.random.getState() : null
+  };
+};
+
+// A live simulation from a checkpoint of the run `live` belongs to, which
+// stays untouched. The logs are cut back from `live`; generators without a
+// saved position keep drawing from `live.random`.
+export const restoreSimulation = (checkpoint, live) => {
+  let { random } = live;
+  if (checkpoint.randomState !== null) {
+    random = createRng(0);
+    random.setState(checkpoint.randomState);
+  }
+  const { params } = checkpoint.shared;
+  const agents = copyAgents(checkpoint.agents);
+  const sim = {
+    ...cloneState(checkpoint.state),
+    ...checkpoint.shared,
+    random,
+    grid: createSpatialHash(params.width, params.height, checkpoint.state.contactDistance),
+    agents,
+    people: decodePeople(checkpoint.people, agentPrototype(agents)),
+    households: decodeLocations(checkpoint.households),
+    workplaces: decodeLocations(checkpoint.workplaces),
+    vaccination: { ...cloneState(checkpoint.vaccination), queue: checkpoint.vaccinationQueue }
+  };
+  LOG_KEYS.forEach(key => {
+    sim[key] = live[key].slice(0, checkpoint.logs[key]);
+  });
+  return sim;
+};
+
+export const createHistory = ({ budget = HISTORY_BYTES } = {}) => ({
+  checkpoints: [],
+  interval: HISTORY_INTERVAL,
+  budget,
+  bytes: 0,
+  nextTime: 0
+});
+
+// Take a checkpoint if one is due. Over the budget every other one is
+// dropped and the interval doubles, so the whole run stays covered.
+export const recordHistory = (history, sim) => {
+  if (sim.time < history.nextTime) return false;
+  const { checkpoints } = history;
+  checkpoints.push(checkpointSimulation(sim, checkpoints[checkpoints.length - 1]));
+  history.bytes = historyBytes(history.checkpoints);
+  while (history.checkpoints.length > 2 &&
+    (history.checkpoints.length > MAX_CHECKPOINTS || history.bytes > history.budget)) {
+    history.checkpoints = history.checkpoints.filter((_, i) => i % 2 === 0);
+    history.interval *= 2;
+    history.bytes = historyBytes(history.checkpoints);
+  }
+  history.nextTime = (Math.floor(sim.time / history.interval) + 1) * history.interval;
+  return true;
+};
+
+// Forget everything after checkpoint `index`, before a branch from it
+export const truncateHistory = (history, index) => {
+  history.checkpoints.length = index + 1;
+  history.bytes = historyBytes(history.checkpoints);
+  history.nextTime = history.checkpoints[index].time + history.interval;
+};
+
+// Checkpoint times in seconds, for the timeline
+export const historyTimes = (history) => history.checkpoints.map(({ time }) => time / 1000);
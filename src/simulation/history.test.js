@@ -0,0 +1,104 @@
+import { createSimulation, runSimulation, stepSimulation } from './engine';
+import {
+  HISTORY_INTERVAL,
+  cloneState,
+  checkpointSimulation,
+  restoreSimulation,
+  createHistory,
+  recordHistory,
+  truncateHistory,
+  historyTimes,
+  historyBytes
+} from './history';
+
+const params = {
+  populationSize: 80,
+  width: 200,
+  height: 200,
+  infectionRate: 0.6,
+  seed: 5,
+  structuredContacts: true,
+  testingEnabled: true,
+  vaccinationRate: 5
+};
+
+const state = (sim) => ({
+  time: sim.time,
+  agents: sim.agents,
+  people: sim.people,
+  households: sim.households,
+  series: sim.series,
+  infections: sim.infections,
+  stats: sim.stats
+});
+
+test('clones nested data without sharing it', () => {
+  const original = { list: [{ a: 1 }], ids: new Set([1]), buffer: new Int32Array([1, 2]), fn: Math.max };
+  const copy = cloneState(original);
+  copy.list[0].a = 2;
+  copy.ids.add(2);
+  copy.buffer[0] = 9;
+  expect(original).toEqual({ list: [{ a: 1 }], ids: new Set([1]), buffer: new Int32Array([1, 2]), fn: Math.max });
+  expect(copy.fn).toBe(Math.max);
+});
+
+test('a restored checkpoint continues exactly like the original run', () => {
+  const sim = runSimulation(createSimulation(params), 3000);
+  const checkpoint = checkpointSimulation(sim);
+  runSimulation(sim, 3000);
+
+  const first = runSimulation(restoreSimulation(checkpoint, sim), 3000);
+  expect(state(first)).toEqual(state(sim));
+  // The checkpoint itself is left as it was
+  const second = runSimulation(restoreSimulation(checkpoint, sim), 3000);
+  expect(state(second)).toEqual(state(sim));
+  expect(checkpoint.time).toBeCloseTo(3008);
+});
+
+test('checkpoints pack agents into typed arrays and share unchanged fields', () => {
+  const sim = createSimulation({ ...params, populationSize: 2000, width: 700, height: 500 });
+  const first = checkpointSimulation(sim);
+  expect(historyBytes([first])).toBeLessThan(2000 * 250);
+  first.people.fields.forEach(({ arrays }) => {
+    Object.values(arrays).forEach(array => expect(ArrayBuffer.isView(array)).toBe(true));
+  });
+
+  runSimulation(sim, HISTORY_INTERVAL);
+  const second = checkpointSimulation(sim, first);
+  const field = (checkpoint, key) => checkpoint.people.fields.find(f => f.key === key);
+  expect(field(second, 'recoveryJitter')).toBe(field(first, 'recoveryJitter'));
+  expect(second.agents.x).not.toBe(first.agents.x);
+  expect(second.households).toBe(first.households);
+  expect(historyBytes([first, second])).toBeLessThan(2 * historyBytes([first]));
+});
+
+test('a custom generator without state keeps drawing from the fallback', () => {
+  const random = () => 0.5;
+  const sim = createSimulation(params, { random });
+  const restored = restoreSimulation(checkpointSimulation(sim), sim);
+  expect(restored.random).toBe(random);
+  stepSimulation(restored);
+});
+
+test('thins old checkpoints to stay within the budget', () => {
+  const sim = createSimulation(params);
+  const budget = 8 * historyBytes([checkpointSimulation(sim)]);
+  const history = createHistory({ budget });
+  recordHistory(history, sim);
+  for (let i = 0; i < 20; i++) {
+    runSimulation(sim, HISTORY_INTERVAL);
+    recordHistory(history, sim);
+  }
+  expect(history.bytes).toBeLessThanOrEqual(budget);
+  expect(history.checkpoints.length).toBeGreaterThan(2);
+  expect(history.interval).toBeGreaterThan(HISTORY_INTERVAL);
+  const times = historyTimes(history);
+  expect(times[0]).toBe(0);
+  expect(times[times.length - 1]).toBeGreaterThan(10);
+  times.slice(1).forEach((time, i) => expect(time).toBeGreaterThan(times[i]));
+
+  truncateHistory(history, 2);
+  expect(history.checkpoints).toHaveLength(3);
+  expect(recordHistory(history, sim)).toBe(true);
+  expect(history.checkpoints).toHaveLength(4);
+});
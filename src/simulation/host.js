@@ -0,0 +1,232 @@
+// Owns the engine on whichever thread it runs on. It takes control messages,
+// steps the model on the fixed-step clock and posts back typed-array
+// snapshots every tick plus throttled chart samples and stats. Checkpoints
+// taken along the way let the viewer seek back and branch, see history.js.
+import { createSimulation, setSimulationParams, stepSimulation } from './engine';
+import { createClock, resetClock, runFrame } from './clock';
+import { createSnapshot, snapshotTransferables } from './snapshot';
+import { runBenchmark } from './benchmark';
+import { runBatch } from './batch';
+import { runSweep } from './sweep';
+import { calibrate } from './calibration';
+import { buildTransmissionTree } from './transmission';
+import { EXPORT_FORMATS } from './runExport';
+import { createHistory, recordHistory, restoreSimulation, truncateHistory, historyTimes } from './history';
+
+const TICK_INTERVAL = 16; // ms between engine ticks
+const SAMPLE_THROTTLE = 250; // ms of real time between samples messages
+const POOL_SIZE = 3; // recycled snapshot buffers kept for reuse
+
+export const createSimulationHost = (post, {
+  now = () => performance.now(),
+  setTimer = setTimeout,
+  clearTimer = clearTimeout
+} = {}) => {
+  const clock = createClock({ now });
+  const pool = [];
+  let sim = null;
+  let history = null;
+  let speed = 1;
+  let running = false;
+  let timer = null;
+  let lastSamplesAt = -Infinity;
+  let sentSeries = 0;
+  let sentRtSeries = 0;
+  let sentPolicyLog = 0;
+  let sentRegionSeries = 0;
+  let jobCancelled = false; // set to stop a running batch or sweep
+
+  const postSnapshot = () => {
+    const snapshot = createSnapshot(sim, pool.pop());
+    post({ type: 'snapshot', snapshot }, snapshotTransferables(snapshot));
+  };
+
+  // Send chart samples recorded since the last message (all of them on reset)
+  const postSamples = (reset = false) => {
+    if (reset) sentSeries = sentRtSeries = sentPolicyLog = sentRegionSeries = 0;
+    post({
+      type: 'samples',
+      reset,
+      stats: sim.stats,
+      series: sim.series.slice(sentSeries),
+      rtSeries: sim.rtSeries.slice(sentRtSeries),
+      caseRt: sim.reproduction.caseRt, // cohorts complete late, so always sent whole
+      policyLog: sim.policyLog.slice(sentPolicyLog),
+      regionSeries: sim.regionSeries.slice(sentRegionSeries),
+      history: history ? historyTimes(history) : []
+    });
+    sentSeries = sim.series.length;
+    sentRtSeries = sim.rtSeries.length;
+    sentPolicyLog = sim.policyLog.length;
+    sentRegionSeries = sim.regionSeries.length;
+    lastSamplesAt = now();
+  };
+
+  const stop = () => {
+    running = false;
+    if (timer !== null) clearTimer(timer);
+    timer = null;
+  };
+
+  const tick = () => {
+    timer = null;
+    if (!running || !sim) return;
+    const steps = runFrame(clock, now(), speed, (dt) => stepSimulation(sim, dt));
+    if (steps > 0) {
+      if (history) recordHistory(history, sim);
+      postSnapshot();
+      if (now() - lastSamplesAt >= SAMPLE_THROTTLE) postSamples();
+    }
+    timer = setTimer(tick, TICK_INTERVAL);
+  };
+
+  const start = () => {
+    if (running || !sim) return;
+    running = true;
+    resetClock(clock);
+    tick();
+  };
+
+  const pause = () => {
+    stop();
+    if (sim) postSamples();
+  };
+
+  const benchmark = async () => {
+    pause();
+    await runBenchmark(undefined, {
+      onResult: (result) => post({ type: 'benchmarkResult', result })
+    });
+    post({ type: 'benchmarkDone' });
+  };
+
+  const batch = async ({ params, replicates, maxDuration }) => {
+    pause();
+    jobCancelled = false;
+    const result = await runBatch(params, {
+      replicates,
+      maxDuration,
+      onProgress: (done, total) => post({ type: 'batchProgress', done, total }),
+      shouldStop: () => jobCancelled,
+      yieldControl: () => new Promise(resolve => setTimer(resolve, 0))
+    });
+    post({ type: 'batchResult', result });
+  };
+
+  const sweep = async ({ params, axes, replicates, maxDuration }) => {
+    pause();
+    jobCancelled = false;
+    const result = await runSweep(params, {
+      axes,
+      replicates,
+      maxDuration,
+      onProgress: (done, total) => post({ type: 'sweepProgress', done, total }),
+      shouldStop: () => jobCancelled,
+      yieldControl: () => new Promise(resolve => setTimer(resolve, 0))
+    });
+    post({ type: 'sweepResult', result });
+  };
+
+  // A fit that fails on bad data or params still answers, with the reason
+  const runCalibration = ({ id, params, points, options }) => {
+    let result;
+    try {
+      result = calibrate(params, points, options);
+    } catch (error) {
+      post({ type: 'calibrationResult', id, error: error.message });
+      return;
+    }
+    post({ type: 'calibrationResult', id, result });
+  };
+
+  // Show checkpoint `index`, or the live state again for null. Indices the
+  // viewer got before a branch may no longer exist and are ignored.
+  const seek = (index) => {
+    if (index !== null && !(history && history.checkpoints[index])) return;
+    const shown = index === null ? sim : restoreSimulation(history.checkpoints[index], sim);
+    stop();
+    const snapshot = createSnapshot(shown, pool.pop());
+    post({ type: 'snapshot', snapshot }, snapshotTransferables(snapshot));
+    post({ type: 'historyFrame', index, time: shown.time, stats: shown.stats });
+  };
+
+  // Continue from checkpoint `index` with new params; later checkpoints go
+  const branch = (index, params) => {
+    if (!(history && history.checkpoints[index])) return;
+    stop();
+    sim = restoreSimulation(history.checkpoints[index], sim);
+    setSimulationParams(sim, params);
+    truncateHistory(history, index);
+    postSnapshot();
+    postSamples(true);
+  };
+
+  const handleMessage = (message) => {
+    switch (message.type) {
+      case 'init':
+        stop();
+        sim = createSimulation(message.params);
+        // Hosts that only run alongside the main view keep no history
+        history = message.history === false ? null : createHistory();
+        if (history) recordHistory(history, sim);
+        postSnapshot();
+        postSamples(true);
+        break;
+      case 'setParams':
+        if (sim) setSimulationParams(sim, message.params);
+        break;
+      case 'setSpeed':
+        speed = message.speed;
+        break;
+      case 'start':
+        start();
+        break;
+      case 'pause':
+        pause();
+        break;
+      case 'seek':
+        if (sim) seek(message.index);
+        break;
+      case 'branch':
+        if (sim) branch(message.index, message.params);
+        break;
+      case 'recycle':
+        if (pool.length < POOL_SIZE) pool.push(message.buffers);
+        break;
+      case 'benchmark':
+        benchmark();
+        break;
+      case 'requestTree':
+        if (sim) post({ type: 'transmissionTree', tree: buildTransmissionTree(sim) });
+        break;
+      case 'requestExport': {
+        if (!sim) break;
+        const { build, type } = EXPORT_FORMATS[message.format];
+        post({ type: 'exportData', filename: message.filename, mimeType: type, content: build(sim) });
+        break;
+      }
+      case 'runBatch':
+        batch(message);
+        break;
+      case 'runSweep':
+        sweep(message);
+        break;
+      case 'runCalibration':
+        runCalibration(message);
+        break;
+      case 'cancelBatch':
+      case 'cancelSweep':
+        jobCancelled = true;
+        break;
+      default:
+        throw new Error(`Unknown simulation message: ${message.type}`);
+    }
+  };
+
+  return {
+    handleMessage,
+    tick,
+    terminate: stop,
+    getSimulation: () => sim
+  };
+};
@@ -0,0 +1,141 @@
+import { createSimulationHost } from './host';
+import { createSimulationRunner } from './runner';
+import { STATUSES } from './agents';
+
+const createTestHost = () => {
+  const messages = [];
+  let time = 0;
+  const timers = [];
+  const host = createSimulationHost((message) => messages.push(message), {
+    now: () => time,
+    setTimer: (callback) => timers.push(callback),
+    clearTimer: () => timers.splice(0)
+  });
+  // Advance real time by one tick interval and run the pending tick
+  const advance = (ms = 16) => {
+    time += ms;
+    const pending = timers.splice(0);
+    pending.forEach(callback => callback());
+  };
+  return { host, messages, advance };
+};
+
+test('posts a typed-array snapshot and the full series on init', () => {
+  const { host, messages } = createTestHost();
+  host.handleMessage({ type: 'init', params: { populationSize: 40, initialInfected: 2 } });
+
+  const snapshot = messages.find(m => m.type === 'snapshot').snapshot;
+  expect(snapshot.count).toBe(40);
+  expect(snapshot.x).toBeInstanceOf(Float32Array);
+  expect(snapshot.status).toBeInstanceOf(Uint8Array);
+  expect(Array.from(snapshot.status).filter(code => STATUSES[code] === 'infected')).toHaveLength(2);
+
+  const samples = messages.find(m => m.type === 'samples');
+  expect(samples.reset).toBe(true);
+  expect(samples.series).toHaveLength(1);
+});
+
+test('steps only while running and throttles sample messages', () => {
+  const { host, messages, advance } = createTestHost();
+  host.handleMessage({ type: 'init', params: { populationSize: 40 } });
+  messages.length = 0;
+
+  host.handleMessage({ type: 'start' });
+  for (let i = 0; i < 60; i++) advance();
+  const snapshots = messages.filter(m => m.type === 'snapshot');
+  const samples = messages.filter(m => m.type === 'samples');
+  expect(snapshots.length).toBeGreaterThan(50);
+  expect(samples.length).toBeLessThanOrEqual(Math.ceil((60 * 16) / 250));
+
+  host.handleMessage({ type: 'pause' });
+  const time = host.getSimulation().time;
+  advance();
+  expect(host.getSimulation().time).toBe(time);
+});
+
+test('reuses recycled snapshot buffers', () => {
+  const { host, messages } = createTestHost();
+  host.handleMessage({ type: 'init', params: { populationSize: 10 } });
+  const first = messages.find(m => m.type === 'snapshot').snapshot;
+  host.handleMessage({ type: 'recycle', buffers: { x: first.x, y: first.y, radius: first.radius, status: first.status, flags: first.flags } });
+  host.handleMessage({ type: 'init', params: { populationSize: 10 } });
+  const second = messages.filter(m => m.type === 'snapshot')[1].snapshot;
+  expect(second.x).toBe(first.x);
+});
+
+test('runner falls back to an in-process host without Web Workers', async () => {
+  const received = [];
+  const runner = createSimulationRunner((message) => received.push(message), { useWorker: false });
+  runner.init({ populationSize: 20 });
+  await Promise.resolve();
+  expect(received.map(m => m.type)).toEqual(['snapshot', 'samples']);
+  runner.terminate();
+});
+
+test('fits case data off the main thread and tags the result with its request', () => {
+  const { host, messages } = createTestHost();
+  const points = [1, 3, 8, 15, 20, 16, 9, 4].map((value, day) => ({ day, value }));
+  const options = { kind: 'cases', secondsPerDay: 2, scale: 1 };
+  host.handleMessage({ type: 'runCalibration', id: 7, params: { populationSize: 300 }, points, options });
+  const { id, result } = messages.find(m => m.type === 'calibrationResult');
+  expect(id).toBe(7);
+  expect(result.fitted).toHaveLength(points.length);
+  expect(typeof result.infectionRate).toBe('number');
+});
+
+test('answers a failing fit with its error', () => {
+  const { host, messages } = createTestHost();
+  host.handleMessage({ type: 'runCalibration', id: 3, params: {}, points: [], options: { kind: 'cases', secondsPerDay: 1, scale: 1 } });
+  const message = messages.find(m => m.type === 'calibrationResult');
+  expect(message.id).toBe(3);
+  expect(message.result).toBeUndefined();
+  expect(typeof message.error).toBe('string');
+});
+
+test('seeks back through checkpoints and branches a new run from one', () => {
+  const { host, messages, advance } = createTestHost();
+  host.handleMessage({ type: 'init', params: { populationSize: 40, seed: 3 } });
+  host.handleMessage({ type: 'setSpeed', speed: 8 });
+  host.handleMessage({ type: 'start' });
+  for (let i = 0; i < 60; i++) advance();
+  host.handleMessage({ type: 'pause' });
+  const { history } = messages.filter(m => m.type === 'samples').pop();
+  expect(history[0]).toBe(0);
+  expect(history.length).toBeGreaterThan(3);
+
+  messages.length = 0;
+  host.handleMessage({ type: 'seek', index: 1 });
+  expect(messages.map(m => m.type)).toEqual(['snapshot', 'historyFrame']);
+  const frame = messages[1];
+  expect(frame.index).toBe(1);
+  expect(frame.time / 1000).toBeCloseTo(history[1]);
+  expect(messages[0].snapshot.time).toBe(frame.time);
+  expect(frame.stats.dead).toBeDefined();
+
+  messages.length = 0;
+  host.handleMessage({ type: 'seek', index: null });
+  expect(messages[1].time).toBe(host.getSimulation().time);
+
+  host.handleMessage({ type: 'branch', index: 1, params: { mobilityRate: 0 } });
+  const sim = host.getSimulation();
+  expect(sim.time).toBe(frame.time);
+  expect(sim.params.mobilityRate).toBe(0);
+  const samples = messages.filter(m => m.type === 'samples').pop();
+  expect(samples.reset).toBe(true);
+  expect(samples.history).toEqual(history.slice(0, 2));
+  expect(samples.series[samples.series.length - 1].time).toBeLessThanOrEqual(frame.time / 1000);
+});
+
+test('keeps no history when asked not to', () => {
+  const { host, messages, advance } = createTestHost();
+  host.handleMessage({ type: 'init', params: { populationSize: 40 }, history: false });
+  host.handleMessage({ type: 'start' });
+  for (let i = 0; i < 100; i++) advance();
+  host.handleMessage({ type: 'pause' });
+  expect(messages.filter(m => m.type === 'samples').pop().history).toEqual([]);
+
+  messages.length = 0;
+  host.handleMessage({ type: 'seek', index: 0 });
+  host.handleMessage({ type: 'branch', index: 0, params: {} });
+  expect(messages).toEqual([]);
+});
@@ -0,0 +1,135 @@
+// Structured contacts: every agent belongs to a household and a workplace
+// (or school) in their community. A daily schedule sends them to work, then
+// out into the community, then home for the night; while at a location
+// they transmit to the others there at a per-setting rate instead of
+// through collisions.
+import { isIsolated } from './testing';
+
+export const SETTINGS = ['home', 'work', 'community'];
+
+// Shares of the day, in order: work, community, then home until the day ends
+const WORK_SHARE = 0.4;
+const COMMUNITY_SHARE = 0.2;
+const LOCATION_MARGIN = 20; // px between a location and its region's walls
+
+export const emptySettingCounts = () => ({ home: 0, work: 0, community: 0 });
+
+const shuffle = (items, random) => {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+};
+
+const createLocation = (sim, region) => {
+  const { x0, y0, x1, y1 } = sim.regions[region];
+  return {
+    region,
+    x: x0 + LOCATION_MARGIN + sim.random() * Math.max(0, x1 - x0 - 2 * LOCATION_MARGIN),
+    y: y0 + LOCATION_MARGIN + sim.random() * Math.max(0, y1 - y0 - 2 * LOCATION_MARGIN),
+    members: [] // person ids
+  };
+};
+
+// Split a community's residents into consecutive groups of `size`
+const groupInto = (sim, ids, size, region, locations, field) => {
+  for (let start = 0; start < ids.length; start += size) {
+    const location = createLocation(sim, region);
+    ids.slice(start, start + size).forEach(id => {
+      location.members.push(id);
+      sim.people[id][field] = locations.length;
+    });
+    locations.push(location);
+  }
+};
+
+// Fill sim.households and sim.workplaces, community by community
+export const assignLocations = (sim) => {
+  const { householdSize, workplaceSize } = sim.params;
+  sim.households = [];
+  sim.workplaces = [];
+  sim.regions.forEach((region, index) => {
+    const residents = sim.people.filter(person => person.region === index).map(person => person.id);
+    groupInto(sim, shuffle([...residents], sim.random), Math.max(1, householdSize), index, sim.households, 'household');
+    groupInto(sim, shuffle([...residents], sim.random), Math.max(1, workplaceSize), index, sim.workplaces, 'workplace');
+  });
+};
+
+// After moving to another community a person joins a random household and
+// workplace there, founding new ones if the community has none
+const rejoin = (sim, person, locations, field) => {
+  const previous = locations[person[field]];
+  previous.members = previous.members.filter(id => id !== person.id);
+  const candidates = [];
+  locations.forEach((location, index) => {
+    if (location.region === person.region) candidates.push(index);
+  });
+  let index = candidates[Math.floor(sim.random() * candidates.length)];
+  if (index === undefined) {
+    index = locations.length;
+    locations.push(createLocation(sim, person.region));
+  }
+  locations[index].members.push(person.id);
+  person[field] = index;
+};
+
+export const relocate = (sim, person) => {
+  rejoin(sim, person, sim.households, 'household');
+  rejoin(sim, person, sim.workplaces, 'workplace');
+};
+
+// Where the schedule puts a person now: 'home', 'work', or null while out in
+// the community. Quarantined and isolated agents stay home.
+export const scheduledSetting = (sim, person) => {
+  if (person.status === 'quarantined' || isIsolated(sim, person)) return 'home';
+  const phase = (sim.time % sim.params.dayLength) / sim.params.dayLength;
+  if (phase < WORK_SHARE) return 'work';
+  if (phase < WORK_SHARE + COMMUNITY_SHARE) return null;
+  return 'home';
+};
+
+const locationOf = (sim, person, setting) =>
+  (setting === 'home' ? sim.households[person.household] : sim.workplaces[person.workplace]);
+
+// Move a person to their scheduled location. Returns true while they are
+// placed there, in which case they do not walk this step.
+export const followSchedule = (sim, person) => {
+  const setting = scheduledSetting(sim, person);
+  person.placed = setting;
+  if (!setting) return false;
+  // Members sit on a small spiral around the location point
+  const location = locationOf(sim, person, setting);
+  const angle = person.id * 2.39996; // golden angle
+  const radius = 3 + (person.id % 4) * 3;
+  person.x = location.x + Math.cos(angle) * radius;
+  person.y = location.y + Math.sin(angle) * radius;
+  person.vx = 0;
+  person.vy = 0;
+  person.visiting = 0;
+  return true;
+};
+
+// Call visit(source, other, setting) for every infectious person placed at
+// a location and each other member currently there
+export const forEachSettingContact = (sim, visit) => {
+  sim.people.forEach(source => {
+    const { placed, status } = source;
+    if (!placed || (status !== 'infected' && status !== 'asymptomatic')) return;
+    locationOf(sim, source, placed).members.forEach(id => {
+      const other = sim.people[id];
+      if (other !== source && other.placed === placed) visit(source, other, placed);
+    });
+  });
+};
+
+// Share of logged infections per setting, or null before the first one
+export const settingShares = (counts) => {
+  const total = SETTINGS.reduce((sum, setting) => sum + counts[setting], 0);
+  if (total === 0) return null;
+  const shares = {};
+  SETTINGS.forEach(setting => {
+    shares[setting] = counts[setting] / total;
+  });
+  return shares;
+};
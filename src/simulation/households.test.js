@@ -0,0 +1,66 @@
+import { createSimulation, runSimulation, stepSimulation } from './engine';
+import { scheduledSetting, settingShares } from './households';
+
+const structured = { structuredContacts: true, populationSize: 120, householdSize: 4, workplaceSize: 20, dayLength: 4000 };
+
+test('every agent gets a household and a workplace in their own community', () => {
+  const sim = createSimulation({ ...structured, layout: 'two', seed: 3 });
+  expect(sim.households).toHaveLength(sim.regions.reduce((sum, region, index) =>
+    sum + Math.ceil(sim.people.filter(p => p.region === index).length / 4), 0));
+  sim.people.forEach(p => {
+    expect(sim.households[p.household].members).toContain(p.id);
+    expect(sim.workplaces[p.workplace].members).toContain(p.id);
+    expect(sim.households[p.household].region).toBe(p.region);
+  });
+  expect(Math.max(...sim.households.map(h => h.members.length))).toBe(4);
+});
+
+test('the schedule moves agents from work to the community to home', () => {
+  const sim = createSimulation({ ...structured, initialInfected: 0, seed: 5 });
+  const person = sim.people[10];
+  expect(person.placed).toBe('work');
+  const work = sim.workplaces[person.workplace];
+  expect(Math.hypot(person.x - work.x, person.y - work.y)).toBeLessThan(15);
+
+  runSimulation(sim, 2000); // 50% of the day
+  expect(scheduledSetting(sim, person)).toBeNull();
+  expect(person.placed).toBeNull();
+
+  runSimulation(sim, 1000); // 75%
+  expect(person.placed).toBe('home');
+  const home = sim.households[person.household];
+  expect(Math.hypot(person.x - home.x, person.y - home.y)).toBeLessThan(15);
+});
+
+test('infections are logged with the setting where they happened', () => {
+  const sim = createSimulation({ ...structured, homeInfectionRate: 1, workInfectionRate: 0.1, seed: 9 });
+  runSimulation(sim, 12000);
+  expect(sim.infections.length).toBeGreaterThan(0);
+  const counts = { home: 0, work: 0, community: 0 };
+  sim.infections.forEach(({ setting }) => counts[setting]++);
+  sim.infections.filter(event => event.setting === 'home').forEach(({ from, to }) => {
+    expect(sim.people[to].household).toBe(sim.people[from].household);
+  });
+  expect(sim.stats.infectionsBySetting).toEqual(counts);
+  expect(counts.home).toBeGreaterThan(0);
+  const shares = settingShares(counts);
+  expect(shares.home + shares.work + shares.community).toBeCloseTo(1);
+});
+
+test('without structured contacts every infection happens in the community', () => {
+  const sim = createSimulation({ populationSize: 150, infectionRate: 0.6, seed: 2 });
+  runSimulation(sim, 5000);
+  expect(sim.infections.length).toBeGreaterThan(0);
+  expect(sim.infections.every(event => event.setting === 'community')).toBe(true);
+  expect(sim.people.every(p => p.placed === null)).toBe(true);
+  expect(settingShares({ home: 0, work: 0, community: 0 })).toBeNull();
+});
+
+test('quarantined agents stay home', () => {
+  const sim = createSimulation({ ...structured, quarantineDelay: 0, recoveryTime: 20000, seed: 4 });
+  stepSimulation(sim);
+  stepSimulation(sim);
+  const quarantined = sim.people.filter(p => p.status === 'quarantined');
+  expect(quarantined.length).toBeGreaterThan(0);
+  quarantined.forEach(p => expect(p.placed).toBe('home'));
+});
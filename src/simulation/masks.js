@@ -0,0 +1,40 @@
+// Per-agent mask wearing. Under a mask mandate a share `maskAdherence` of
+// agents wears one; adaptive behaviour can add voluntary wearers. A mask on
+// the infector cuts transmission by `maskSourceEfficacy` (source control)
+// and one on the contact by `maskWearerEfficacy`; both apply when both wear.
+
+// Who wore a mask in an infecting contact: infector / infected
+export const MASK_PAIRS = ['both', 'sourceOnly', 'targetOnly', 'neither'];
+
+export const emptyMaskCounts = () => ({ both: 0, sourceOnly: 0, targetOnly: 0, neither: 0 });
+
+// Chance that a person wears a mask: the mandate's adherence or their
+// voluntary probability, whichever is higher
+const maskCoverage = (params, person) =>
+  Math.max(params.maskEnabled ? params.maskAdherence : 0, person.maskProbability);
+
+// Agents with the lowest draws mask first, so the same people keep their
+// masks on as coverage changes
+export const updateMasks = (sim) => {
+  sim.people.forEach(person => {
+    const coverage = maskCoverage(sim.params, person);
+    // Drawn on first use so runs without masks consume the same random numbers
+    if (coverage > 0 && person.maskDraw === null) person.maskDraw = sim.random();
+    person.masked = coverage > 0 && person.maskDraw < coverage;
+  });
+};
+
+// Transmission multiplier for a contact from `source` to `target`
+export const maskFactor = (params, source, target) =>
+  (source.masked ? 1 - params.maskSourceEfficacy : 1) * (target.masked ? 1 - params.maskWearerEfficacy : 1);
+
+export const maskPair = (source, target) => {
+  if (source.masked) return target.masked ? 'both' : 'sourceOnly';
+  return target.masked ? 'targetOnly' : 'neither';
+};
+
+// Population-average multiplier under the mandate, for the ODE model
+export const expectedMaskFactor = (params) => {
+  const coverage = params.maskEnabled ? params.maskAdherence : 0;
+  return (1 - coverage * params.maskSourceEfficacy) * (1 - coverage * params.maskWearerEfficacy);
+};
@@ -0,0 +1,53 @@
+import { createSimulation, runSimulation, stepSimulation, attemptInfection } from './engine';
+import { maskFactor, maskPair, MASK_PAIRS } from './masks';
+
+const params = { maskSourceEfficacy: 0.5, maskWearerEfficacy: 0.3 };
+
+test('source control and wearer protection combine when both wear masks', () => {
+  const masked = { masked: true };
+  const bare = { masked: false };
+  expect(maskFactor(params, bare, bare)).toBe(1);
+  expect(maskFactor(params, masked, bare)).toBeCloseTo(0.5);
+  expect(maskFactor(params, bare, masked)).toBeCloseTo(0.7);
+  expect(maskFactor(params, masked, masked)).toBeCloseTo(0.35);
+  expect(maskPair(masked, bare)).toBe('sourceOnly');
+  expect(maskPair(bare, masked)).toBe('targetOnly');
+});
+
+test('a mandate masks roughly the adherent share of agents', () => {
+  const sim = createSimulation({ populationSize: 1000, maskEnabled: true, maskAdherence: 0.6, seed: 3 });
+  const share = sim.people.filter(p => p.masked).length / sim.people.length;
+  expect(share).toBeGreaterThan(0.55);
+  expect(share).toBeLessThan(0.65);
+  // Lifting the mandate takes the masks off
+  sim.params.maskEnabled = false;
+  stepSimulation(sim);
+  expect(sim.people.some(p => p.masked)).toBe(false);
+});
+
+test('fully effective masks on the infector block transmission', () => {
+  const sim = createSimulation({ populationSize: 2, initialInfected: 1, infectionRate: 1, maskEnabled: true, maskAdherence: 1, maskSourceEfficacy: 1, seed: 1 });
+  const [infector, contact] = sim.people;
+  expect(infector.masked).toBe(true);
+  expect(attemptInfection(sim, infector, contact)).toBe(false);
+  infector.masked = false;
+  contact.masked = true;
+  expect(attemptInfection(sim, infector, contact)).toBe(true);
+  expect(sim.infectionsByMask.targetOnly).toBe(1);
+});
+
+test('infections are counted by the mask status of both sides', () => {
+  const sim = createSimulation({ populationSize: 200, infectionRate: 0.6, maskEnabled: true, maskAdherence: 0.5, seed: 7 });
+  runSimulation(sim, 8000);
+  const counts = sim.stats.infectionsByMask;
+  expect(Object.keys(counts)).toEqual(MASK_PAIRS);
+  expect(MASK_PAIRS.reduce((sum, pair) => sum + counts[pair], 0)).toBe(sim.infections.length);
+  expect(counts.neither).toBeGreaterThan(counts.both);
+});
+
+test('a mandate with high adherence slows the epidemic', () => {
+  const base = { populationSize: 200, infectionRate: 0.4, seed: 11 };
+  const open = runSimulation(createSimulation(base), 10000);
+  const masked = runSimulation(createSimulation({ ...base, maskEnabled: true, maskAdherence: 1 }), 10000);
+  expect(masked.infections.length).toBeLessThan(open.infections.length);
+});
@@ -0,0 +1,66 @@
+// Deterministic compartmental (SIR / SEIR) counterpart of the agent model,
+// integrated with classical RK4, for comparison with the stochastic run.
+import { DEFAULT_PARAMS, FRAME_TIME, SAMPLE_INTERVAL, contactDistanceFor } from './engine';
+import { expectedMaskFactor } from './masks';
+
+const STEPS_PER_SECOND = 1000 / FRAME_TIME;
+const ODE_STEP = 0.05; // s
+
+// Expected contacts per agent per second from kinetic (mass-action) theory:
+// 2·d·v̄·n, with d the contact distance, n the agent density and v̄ the mean
+// relative speed of agents moving at the mobility-dependent speed cap.
+export const estimateContactRate = (params) => {
+  const { width, height, populationSize, mobilityRate } = { ...DEFAULT_PARAMS, ...params };
+  const density = populationSize / (width * height);
+  const speed = (0.2 + 1.8 * mobilityRate) * mobilityRate; // px per step, see movePerson
+  const relativeSpeed = (4 / Math.PI) * speed;
+  return 2 * contactDistanceFor({ width, height, populationSize }) * relativeSpeed * density * STEPS_PER_SECOND;
+};
+
+// β (per s), γ (per s), σ (per s, 0 = no latent stage) and R₀ = β/γ
+export const deriveOdeRates = (params) => {
+  const merged = { ...DEFAULT_PARAMS, ...params };
+  const beta = merged.infectionRate * expectedMaskFactor(merged) * estimateContactRate(merged);
+  const gamma = 1000 / merged.recoveryTime;
+  const meanIncubation = (merged.incubationMin + merged.incubationMax) / 2;
+  const sigma = meanIncubation > 0 ? 1000 / meanIncubation : 0;
+  return { beta, gamma, sigma, r0: beta / gamma };
+};
+
+// Frequency-dependent SEIR right-hand side on population fractions;
+// without a latent stage E stays empty and this is plain SIR
+const derivatives = ([s, e, i], { beta, gamma, sigma }) => {
+  const infection = beta * s * i;
+  const onset = sigma > 0 ? sigma * e : 0;
+  return sigma > 0
+    ? [-infection, infection - onset, onset - gamma * i, gamma * i]
+    : [-infection, 0, infection - gamma * i, gamma * i];
+};
+
+const rk4Step = (state, rates, h) => {
+  const add = (a, b, k) => a.map((value, j) => value + b[j] * k);
+  const k1 = derivatives(state, rates);
+  const k2 = derivatives(add(state, k1, h / 2), rates);
+  const k3 = derivatives(add(state, k2, h / 2), rates);
+  const k4 = derivatives(add(state, k3, h), rates);
+  return state.map((value, j) => value + (h / 6) * (k1[j] + 2 * k2[j] + 2 * k3[j] + k4[j]));
+};
+
+// Solve from the initial infected up to `duration` seconds. Returns one
+// point per chart sample, in agents: { time, odeS, odeE, odeI, odeR }
+export const solveOde = (params, duration) => {
+  const merged = { ...DEFAULT_PARAMS, ...params };
+  const rates = deriveOdeRates(merged);
+  const n = merged.populationSize;
+  const i0 = Math.min(merged.initialInfected, n) / n;
+  let state = [1 - i0, 0, i0, 0];
+  const interval = SAMPLE_INTERVAL / 1000;
+  const substeps = Math.round(interval / ODE_STEP);
+  const points = [];
+  for (let k = 0; k * interval <= duration; k++) {
+    const [s, e, i, r] = state;
+    points.push({ time: Math.round(k * interval * 10) / 10, odeS: s * n, odeE: e * n, odeI: i * n, odeR: r * n });
+    for (let j = 0; j < substeps; j++) state = rk4Step(state, rates, ODE_STEP);
+  }
+  return points;
+};
@@ -0,0 +1,42 @@
+import { deriveOdeRates, estimateContactRate, solveOde } from './ode';
+
+const sir = { incubationMin: 0, incubationMax: 0 };
+
+test('contact rate grows with mobility and density', () => {
+  expect(estimateContactRate({ mobilityRate: 0 })).toBe(0);
+  expect(estimateContactRate({ mobilityRate: 1 })).toBeGreaterThan(estimateContactRate({ mobilityRate: 0.5 }));
+  expect(estimateContactRate({ populationSize: 400 })).toBeGreaterThan(estimateContactRate({ populationSize: 200 }));
+});
+
+test('R₀ is β/γ and masks scale β by their expected effect', () => {
+  const rates = deriveOdeRates({ recoveryTime: 4000 });
+  expect(rates.gamma).toBeCloseTo(0.25);
+  expect(rates.r0).toBeCloseTo(rates.beta / rates.gamma);
+  const sourceOnly = { maskEnabled: true, maskAdherence: 1, maskSourceEfficacy: 0.5, maskWearerEfficacy: 0 };
+  expect(deriveOdeRates(sourceOnly).beta).toBeCloseTo(deriveOdeRates({}).beta / 2);
+  const partial = { maskEnabled: true, maskAdherence: 0.5, maskSourceEfficacy: 0.4, maskWearerEfficacy: 0.2 };
+  expect(deriveOdeRates(partial).beta).toBeCloseTo(deriveOdeRates({}).beta * 0.8 * 0.9);
+});
+
+test('conserves the population and matches the SIR final-size relation', () => {
+  const params = { ...sir, infectionRate: 1, mobilityRate: 0.8, populationSize: 1000, initialInfected: 1 };
+  const { r0 } = deriveOdeRates(params);
+  const points = solveOde(params, 300);
+  points.forEach(({ odeS, odeE, odeI, odeR }) => expect(odeS + odeE + odeI + odeR).toBeCloseTo(1000));
+  const last = points[points.length - 1];
+  expect(last.odeE).toBe(0);
+  expect(last.odeI).toBeLessThan(0.5);
+  // ln(S∞/S0) = -R₀ (1 - S∞) for a small seed
+  const sInf = last.odeS / 1000;
+  expect(Math.log(sInf)).toBeCloseTo(-r0 * (1 - sInf), 1);
+});
+
+test('dies out when R₀ is below one and delays the peak with a latent stage', () => {
+  const fading = solveOde({ ...sir, infectionRate: 0.05 }, 60);
+  expect(fading[fading.length - 1].odeI).toBeLessThan(fading[0].odeI);
+
+  const fast = { infectionRate: 1, mobilityRate: 1, populationSize: 500 };
+  const peakTime = (points) => points.reduce((best, p) => (p.odeI > best.odeI ? p : best)).time;
+  expect(peakTime(solveOde({ ...fast, incubationMin: 3000, incubationMax: 5000 }, 120)))
+    .toBeGreaterThan(peakTime(solveOde({ ...fast, ...sir }, 120)));
+});
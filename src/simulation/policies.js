@@ -0,0 +1,72 @@
+// Scheduled interventions. A policy fires once, when its trigger is met, and
+// sets one model parameter:
+//   { id, trigger: { type: 'time', at }, action: { param, value } }
+//   { id, trigger: { type: 'threshold', metric, comparator, value }, action }
+
+// Parameters a policy may change, with how the editor should present them
+export const POLICY_ACTIONS = {
+  maskEnabled: { label: 'Masker', type: 'boolean' },
+  maskAdherence: { label: 'Kepatuhan masker', type: 'number', min: 0, max: 1, step: 0.05 },
+  mobilityRate: { label: 'Mobilitas', type: 'number', min: 0, max: 1, step: 0.1 },
+  quarantineDelay: { label: 'Karantina setelah (ms)', type: 'number', min: 0, max: 25000, step: 500 },
+  infectionRate: { label: 'Tingkat infeksi', type: 'number', min: 0, max: 1, step: 0.05 },
+  vaccinationRate: { label: 'Laju vaksinasi', type: 'number', min: 0, max: 50, step: 1 },
+  bordersClosed: { label: 'Tutup perbatasan', type: 'boolean' },
+  travelProbability: { label: 'Peluang perjalanan', type: 'number', min: 0, max: 0.2, step: 0.01 }
+};
+
+export const POLICY_METRICS = {
+  activeCases: 'Kasus aktif',
+  hospitalized: 'Dirawat',
+  dead: 'Meninggal'
+};
+
+export const metricValue = (stats, metric) => {
+  switch (metric) {
+    case 'activeCases':
+      return stats.infected + stats.asymptomatic + stats.quarantined;
+    case 'hospitalized':
+      return stats.hospitalized;
+    case 'dead':
+      return stats.dead;
+    default:
+      throw new Error(`Unknown policy metric: ${metric}`);
+  }
+};
+
+const formatValue = (param, value) => {
+  if (POLICY_ACTIONS[param].type === 'boolean') return value ? 'aktif' : 'nonaktif';
+  return String(value);
+};
+
+// e.g. "Mobilitas → 0.2"
+export const describeAction = ({ param, value }) => `${POLICY_ACTIONS[param].label} → ${formatValue(param, value)}`;
+
+// Human-readable summary, e.g. "t=20s: Mobilitas → 0.2"
+export const describePolicy = ({ trigger, action }) => {
+  const when = trigger.type === 'time'
+    ? `t=${trigger.at / 1000}s`
+    : `${POLICY_METRICS[trigger.metric]} ${trigger.comparator === 'below' ? '<' : '>'} ${trigger.value}`;
+  return `${when}: ${describeAction(action)}`;
+};
+
+const isTriggered = (sim, trigger) => {
+  if (trigger.type === 'time') return sim.time >= trigger.at;
+  const value = metricValue(sim.stats, trigger.metric);
+  return trigger.comparator === 'below' ? value < trigger.value : value > trigger.value;
+};
+
+// Parameters pinned by fired policies that are still scheduled, with the
+// value of the latest one to fire: manual changes to them do not apply
+export const lockedParams = (policyLog, policies) => {
+  const ids = new Set(policies.map(policy => policy.id));
+  const locked = {};
+  policyLog.forEach(event => {
+    if (ids.has(event.id)) locked[event.param] = event.value;
+  });
+  return locked;
+};
+
+// Policies whose trigger is met this step and that have not fired yet
+export const duePolicies = (sim) =>
+  (sim.params.policies || []).filter(policy => !sim.firedPolicies.has(policy.id) && isTriggered(sim, policy.trigger));
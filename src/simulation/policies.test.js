@@ -0,0 +1,68 @@
+import { createSimulation, runSimulation, setSimulationParams } from './engine';
+import { describePolicy, lockedParams } from './policies';
+
+const lockdown = { id: 1, trigger: { type: 'time', at: 1000 }, action: { param: 'mobilityRate', value: 0.2 } };
+
+test('time-triggered policies fire once at their scheduled time', () => {
+  const sim = createSimulation({ policies: [lockdown] });
+  runSimulation(sim, 900);
+  expect(sim.params.mobilityRate).toBe(0.5);
+  runSimulation(sim, 200);
+  expect(sim.params.mobilityRate).toBe(0.2);
+  expect(sim.policyLog).toHaveLength(1);
+  expect(sim.policyLog[0].time).toBeGreaterThanOrEqual(1000);
+  runSimulation(sim, 1000);
+  expect(sim.policyLog).toHaveLength(1);
+});
+
+test('threshold policies fire when the metric crosses the value', () => {
+  const masks = { id: 2, trigger: { type: 'threshold', metric: 'activeCases', comparator: 'above', value: 3 }, action: { param: 'maskEnabled', value: true } };
+  const sim = createSimulation({ populationSize: 150, infectionRate: 0.8, width: 150, height: 150, policies: [masks], seed: 5 });
+  while (sim.policyLog.length === 0 && sim.time < 20000) runSimulation(sim, 16);
+  expect(sim.params.maskEnabled).toBe(true);
+  const { infected, asymptomatic, quarantined } = sim.stats;
+  expect(infected + asymptomatic + quarantined).toBeGreaterThan(3);
+});
+
+test('fired policies take precedence over later manual changes', () => {
+  const sim = createSimulation({ policies: [lockdown] });
+  runSimulation(sim, 1100);
+  setSimulationParams(sim, { mobilityRate: 0.9, infectionRate: 0.5 });
+  expect(sim.params.mobilityRate).toBe(0.2);
+  expect(sim.params.infectionRate).toBe(0.5);
+});
+
+test('describes policies for the timeline', () => {
+  expect(describePolicy(lockdown)).toBe('t=1s: Mobilitas → 0.2');
+});
+
+test('removing a fired policy releases its parameter and its id', () => {
+  const sim = createSimulation({ policies: [lockdown] });
+  runSimulation(sim, 1100);
+  setSimulationParams(sim, { policies: [], mobilityRate: 0.9 });
+  expect(sim.params.mobilityRate).toBe(0.9);
+  expect(sim.firedPolicies.has(lockdown.id)).toBe(false);
+
+  // The editor gives every new policy a fresh id, and it fires as usual
+  const reopen = { id: lockdown.id + 1, trigger: { type: 'time', at: 1500 }, action: { param: 'mobilityRate', value: 0.7 } };
+  setSimulationParams(sim, { policies: [reopen] });
+  runSimulation(sim, 500);
+  expect(sim.params.mobilityRate).toBe(0.7);
+});
+
+test('lists the parameters fired policies still pin', () => {
+  const masks = { id: 3, trigger: { type: 'time', at: 500 }, action: { param: 'maskEnabled', value: true } };
+  const sim = createSimulation({ policies: [lockdown, masks] });
+  runSimulation(sim, 1100);
+  expect(lockedParams(sim.policyLog, [lockdown, masks])).toEqual({ mobilityRate: 0.2, maskEnabled: true });
+  expect(lockedParams(sim.policyLog, [masks])).toEqual({ maskEnabled: true });
+});
+
+test('remaining fired policies keep their overrides', () => {
+  const masks = { id: 3, trigger: { type: 'time', at: 500 }, action: { param: 'maskEnabled', value: true } };
+  const sim = createSimulation({ policies: [lockdown, masks] });
+  runSimulation(sim, 1100);
+  setSimulationParams(sim, { policies: [masks], maskEnabled: false, mobilityRate: 0.4 });
+  expect(sim.params.maskEnabled).toBe(true);
+  expect(sim.params.mobilityRate).toBe(0.4);
+});
@@ -0,0 +1,46 @@
+// Seeded pseudo-random number generators. Every stochastic decision in the
+// engine draws from one of these so a seed fully determines a run.
+
+// Turn a number or string seed into an unsigned 32-bit integer
+export const normalizeSeed = (seed) => {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+  // FNV-1a hash for string seeds
+  const text = String(seed ?? '');
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Mulberry32: small, fast, good enough for Monte Carlo draws in [0, 1)
+export const mulberry32 = (seed) => {
+  let a = normalizeSeed(seed);
+  const random = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  // The generator's position, so a checkpointed run resumes the same draws
+  random.getState = () => a;
+  random.setState = (state) => {
+    a = state;
+  };
+  return random;
+};
+
+export const GENERATORS = {
+  mulberry32
+};
+
+// Create a random() function for `seed`; `generator` picks the algorithm
+export const createRng = (seed, generator = 'mulberry32') => {
+  const factory = typeof generator === 'function' ? generator : GENERATORS[generator];
+  if (!factory) throw new Error(`Unknown random generator: ${generator}`);
+  return factory(seed);
+};
+
+export const randomSeed = () => Math.floor(Math.random() * 1000000);
@@ -0,0 +1,32 @@
+import { createRng, normalizeSeed } from './random';
+
+test('generators with the same seed yield the same sequence in [0, 1)', () => {
+  const a = createRng(42);
+  const b = createRng(42);
+  for (let i = 0; i < 1000; i++) {
+    const value = a();
+    expect(value).toBe(b());
+    expect(value).toBeGreaterThanOrEqual(0);
+    expect(value).toBeLessThan(1);
+  }
+});
+
+test('string seeds are hashed deterministically', () => {
+  expect(normalizeSeed('flu')).toBe(normalizeSeed('flu'));
+  expect(normalizeSeed('flu')).not.toBe(normalizeSeed('measles'));
+});
+
+test('accepts a custom generator factory', () => {
+  const rng = createRng(3, (seed) => () => seed / 10);
+  expect(rng()).toBe(0.3);
+});
+
+test('a saved state replays the same draws', () => {
+  const rng = createRng(7);
+  rng();
+  const state = rng.getState();
+  const next = [rng(), rng(), rng()];
+  const other = createRng(99);
+  other.setState(state);
+  expect([other(), other(), other()]).toEqual(next);
+});
@@ -0,0 +1,132 @@
+// Spatial environments: the world split into a grid of communities kept
+// apart by walls, with occasional travel between them and a hotspot
+// (market, school) at the centre of each community that agents visit.
+
+export const LAYOUTS = {
+  single: { label: 'Satu wilayah', cols: 1, rows: 1 },
+  two: { label: '2 komunitas', cols: 2, rows: 1 },
+  four: { label: '4 komunitas (2×2)', cols: 2, rows: 2 },
+  six: { label: '6 komunitas (3×2)', cols: 3, rows: 2 }
+};
+
+export const WALL_GAP = 12; // px between communities, wider than any contact distance
+export const HOTSPOT_RADIUS = 25; // px
+const EDGE_MARGIN = 5; // agents bounce this far inside their region
+
+// Visit phases
+const HEADING = 1;
+const STAYING = 2;
+
+// Region rectangles with their hotspot, row by row
+export const createRegions = ({ layout, width, height }) => {
+  const { cols, rows } = LAYOUTS[layout] || LAYOUTS.single;
+  const cellWidth = (width - (cols - 1) * WALL_GAP) / cols;
+  const cellHeight = (height - (rows - 1) * WALL_GAP) / rows;
+  const regions = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const x0 = col * (cellWidth + WALL_GAP);
+      const y0 = row * (cellHeight + WALL_GAP);
+      regions.push({
+        x0,
+        y0,
+        x1: x0 + cellWidth,
+        y1: y0 + cellHeight,
+        hotspot: { x: x0 + cellWidth / 2, y: y0 + cellHeight / 2 }
+      });
+    }
+  }
+  return regions;
+};
+
+// Place a person at relative position (u, v) inside a region
+export const placeInRegion = (person, region, u, v) => {
+  person.x = region.x0 + EDGE_MARGIN + u * (region.x1 - region.x0 - 2 * EDGE_MARGIN);
+  person.y = region.y0 + EDGE_MARGIN + v * (region.y1 - region.y0 - 2 * EDGE_MARGIN);
+};
+
+// Bounce off the walls of the person's region
+export const confineToRegion = (sim, person) => {
+  const region = sim.regions[person.region];
+  const left = region.x0 + EDGE_MARGIN;
+  const right = region.x1 - EDGE_MARGIN;
+  const top = region.y0 + EDGE_MARGIN;
+  const bottom = region.y1 - EDGE_MARGIN;
+  if (person.x < left || person.x > right) {
+    person.vx *= -1;
+    person.x = Math.max(left, Math.min(right, person.x));
+  }
+  if (person.y < top || person.y > bottom) {
+    person.vy *= -1;
+    person.y = Math.max(top, Math.min(bottom, person.y));
+  }
+};
+
+// Move to a random spot in another community with probability
+// travelProbability per second, unless borders are closed. Returns true
+// when the person moved.
+export const travel = (sim, person, deltaTime) => {
+  const { regions } = sim;
+  const { travelProbability, bordersClosed } = sim.params;
+  if (regions.length < 2 || bordersClosed || travelProbability <= 0) return false;
+  if (sim.random() >= (travelProbability * deltaTime) / 1000) return false;
+  const target = (person.region + 1 + Math.floor(sim.random() * (regions.length - 1))) % regions.length;
+  person.region = target;
+  person.visiting = 0;
+  placeInRegion(person, regions[target], sim.random(), sim.random());
+  sim.travels++;
+  return true;
+};
+
+// Hotspot visits. Returns true while the visit steers the person, in which
+// case the random walk is skipped this step.
+export const updateVisit = (sim, person, deltaTime, maxSpeed) => {
+  const { hotspotsEnabled, hotspotVisitRate, hotspotStay } = sim.params;
+  if (!hotspotsEnabled) {
+    person.visiting = 0;
+    return false;
+  }
+  if (person.visiting === 0) {
+    if (sim.random() >= (hotspotVisitRate * deltaTime) / 1000) return false;
+    person.visiting = HEADING;
+  }
+
+  const { hotspot } = sim.regions[person.region];
+  const dx = hotspot.x - person.x;
+  const dy = hotspot.y - person.y;
+  const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+
+  if (person.visiting === HEADING && distance < HOTSPOT_RADIUS * 0.6) {
+    person.visiting = STAYING;
+    person.visitEnd = sim.time + hotspotStay;
+  }
+  if (person.visiting === STAYING && sim.time >= person.visitEnd) {
+    person.visiting = 0;
+    return false;
+  }
+
+  if (person.visiting === HEADING || distance > HOTSPOT_RADIUS) {
+    // Walk straight to the hotspot (or back into it)
+    person.vx = (dx / distance) * maxSpeed;
+    person.vy = (dy / distance) * maxSpeed;
+  } else {
+    // Mill about inside it
+    person.vx = (sim.random() - 0.5) * maxSpeed;
+    person.vy = (sim.random() - 0.5) * maxSpeed;
+  }
+  return true;
+};
+
+// Active infections per region, for the per-region curves
+export const regionSample = (sim) => {
+  const counts = sim.regions.map(() => 0);
+  sim.people.forEach(person => {
+    const { status } = person;
+    if (status === 'infected' || status === 'asymptomatic' || status === 'quarantined') counts[person.region]++;
+  });
+  const sample = { time: Math.round(sim.time / 100) / 10 };
+  counts.forEach((count, index) => {
+    sample[`region${index}`] = count;
+  });
+  return sample;
+};
@@ -0,0 +1,44 @@
+import { createSimulation, runSimulation } from './engine';
+import { createRegions, WALL_GAP } from './regions';
+
+const inside = (region, p) => p.x >= region.x0 && p.x <= region.x1 && p.y >= region.y0 && p.y <= region.y1;
+
+test('layouts split the world into communities separated by walls', () => {
+  const regions = createRegions({ layout: 'four', width: 700, height: 500 });
+  expect(regions).toHaveLength(4);
+  expect(regions[1].x0 - regions[0].x1).toBeCloseTo(WALL_GAP);
+  expect(regions[2].y0 - regions[0].y1).toBeCloseTo(WALL_GAP);
+  expect(regions[3].x1).toBeCloseTo(700);
+  expect(regions[0].hotspot).toEqual({ x: regions[0].x1 / 2, y: regions[0].y1 / 2 });
+});
+
+test('agents stay in their community while borders are closed', () => {
+  const sim = createSimulation({ layout: 'four', populationSize: 120, bordersClosed: true, travelProbability: 1, seed: 2 });
+  expect(sim.people.slice(0, 3).every(p => p.region === 0)).toBe(true);
+  runSimulation(sim, 3000);
+  expect(sim.travels).toBe(0);
+  sim.people.forEach(p => expect(inside(sim.regions[p.region], p)).toBe(true));
+  // Infection can only spread within the first community
+  sim.infections.forEach(({ to }) => expect(sim.people[to].region).toBe(0));
+  expect(sim.regionSeries.length).toBeGreaterThan(1);
+  expect(Object.keys(sim.regionSeries[0])).toEqual(['time', 'region0', 'region1', 'region2', 'region3']);
+});
+
+test('open borders let agents travel and import infection', () => {
+  const sim = createSimulation({ layout: 'two', populationSize: 150, travelProbability: 0.2, infectionRate: 0.6, seed: 8 });
+  runSimulation(sim, 10000);
+  expect(sim.travels).toBeGreaterThan(0);
+  expect(sim.regionSeries.some(sample => sample.region1 > 0)).toBe(true);
+  sim.people.forEach(p => expect(inside(sim.regions[p.region], p)).toBe(true));
+});
+
+test('hotspot visits draw agents to the centre', () => {
+  const meanDistance = (sim) => {
+    const { hotspot } = sim.regions[0];
+    return sim.people.reduce((sum, p) => sum + Math.hypot(p.x - hotspot.x, p.y - hotspot.y), 0) / sim.people.length;
+  };
+  const params = { populationSize: 100, initialInfected: 0, mobilityRate: 1, hotspotVisitRate: 0.5, hotspotStay: 3000, seed: 4 };
+  const visiting = runSimulation(createSimulation({ ...params, hotspotsEnabled: true }), 4000);
+  const wandering = runSimulation(createSimulation(params), 4000);
+  expect(meanDistance(visiting)).toBeLessThan(meanDistance(wandering));
+});
@@ -0,0 +1,168 @@
+// Reproduction-number estimators built on the infection log:
+//  - case reproduction number: mean secondary infections of the cases
+//    infected in each time window (a cohort is only reported once every
+//    case in it has finished transmitting)
+//  - Cori et al. (2013) instantaneous R_t: a sliding-window Bayesian
+//    estimate from incidence and the generation-time distribution
+
+export const CASE_RT_BIN = 2000; // ms per infection cohort
+export const CORI_BIN = 1000; // ms per incidence bin
+export const CORI_WINDOW = 4; // bins per sliding window
+const PRIOR_SHAPE = 1; // Gamma prior on R_t, as in EpiEstim
+const PRIOR_SCALE = 5;
+const MIN_INFECTIOUSNESS = 1; // skip windows with less total infection pressure
+const GRID = 40; // points per uniform when discretising the generation time
+
+const ACTIVE_STATUSES = new Set(['exposed', 'asymptomatic', 'infected', 'quarantined']);
+
+export const createReproductionState = () => ({
+  r0: 0, // mean offspring of completed index cases
+  rt: 0, // latest Cori estimate
+  caseRt: [], // { time, caseRt, cases } per completed cohort
+  incidence: [], // infections per CORI_BIN, index cases included
+  counted: 0, // infection events already binned
+  estimatedBins: 0 // incidence bins with a Cori estimate in sim.rtSeries
+});
+
+// One episode per infection: index cases at time 0, then every logged
+// event. Offspring go to the infector's latest episode, which becomes the
+// new episode's parent (null for index cases).
+export const infectionEpisodes = (sim) => {
+  const episodes = [];
+  const latest = new Map(); // person id -> index of their latest episode
+  const addEpisode = (id, time, parent) => {
+    latest.set(id, episodes.length);
+    episodes.push({ id, time, parent, offspring: 0, complete: true, latest: false });
+  };
+  sim.indexCases.forEach(id => addEpisode(id, 0, null));
+  sim.infections.forEach(({ from, to, time }) => {
+    const source = latest.get(from);
+    if (source !== undefined) episodes[source].offspring++;
+    addEpisode(to, time, source === undefined ? null : source);
+  });
+  // Only a person's latest episode can still be running
+  latest.forEach((index, id) => {
+    episodes[index].latest = true;
+    episodes[index].complete = !ACTIVE_STATUSES.has(sim.people[id].status);
+  });
+  return episodes;
+};
+
+export const caseReproductionNumbers = (episodes, bin = CASE_RT_BIN) => {
+  const cohorts = new Map();
+  episodes.forEach(episode => {
+    const key = Math.floor(episode.time / bin);
+    const cohort = cohorts.get(key) || { cases: 0, offspring: 0, complete: true };
+    cohort.cases++;
+    cohort.offspring += episode.offspring;
+    cohort.complete = cohort.complete && episode.complete;
+    cohorts.set(key, cohort);
+  });
+  return [...cohorts.entries()]
+    .filter(([, cohort]) => cohort.complete)
+    .sort(([a], [b]) => a - b)
+    .map(([key, cohort]) => ({
+      time: Math.round(((key + 0.5) * bin) / 100) / 10, // cohort midpoint, s
+      caseRt: cohort.offspring / cohort.cases,
+      cases: cohort.cases
+    }));
+};
+
+// Mean offspring of the initial cases whose first infection has ended
+const basicReproductionNumber = (episodes, indexCount) => {
+  let completed = 0;
+  let offspring = 0;
+  for (let i = 0; i < indexCount; i++) {
+    if (episodes[i].complete) {
+      completed++;
+      offspring += episodes[i].offspring;
+    }
+  }
+  return completed > 0 ? offspring / completed : 0;
+};
+
+// Discretised generation time w[k] = P(generation time ≈ k bins), k >= 1.
+// A case transmits uniformly over its infectious period after a uniform
+// incubation; symptomatic cases stop at quarantine and asymptomatic ones
+// are half as infectious, which sets each kind's share of transmissions.
+export const generationTimeWeights = (params, bin = CORI_BIN) => {
+  const { incubationMin, incubationMax, recoveryTime, quarantineDelay, asymptomaticFraction } = params;
+  const kinds = [
+    { duration: Math.min(recoveryTime, quarantineDelay), share: (1 - asymptomaticFraction) },
+    { duration: recoveryTime, share: asymptomaticFraction * 0.5 }
+  ].map(kind => ({ ...kind, share: kind.share * kind.duration }));
+  const totalShare = kinds.reduce((sum, kind) => sum + kind.share, 0) || 1;
+
+  const weights = [0];
+  const add = (time, mass) => {
+    const k = Math.max(1, Math.round(time / bin));
+    while (weights.length <= k) weights.push(0);
+    weights[k] += mass;
+  };
+  kinds.forEach(({ duration, share }) => {
+    const mass = share / totalShare / (GRID * GRID);
+    for (let i = 0; i < GRID; i++) {
+      const incubation = incubationMin + ((i + 0.5) / GRID) * (incubationMax - incubationMin);
+      for (let j = 0; j < GRID; j++) add(incubation + ((j + 0.5) / GRID) * duration, mass);
+    }
+  });
+  return weights;
+};
+
+// Gamma quantile via the Wilson–Hilferty approximation
+const gammaQuantile = (shape, scale, z) =>
+  Math.max(0, shape * (1 - 1 / (9 * shape) + z / (3 * Math.sqrt(shape))) ** 3) * scale;
+
+const Z_975 = 1.959964;
+
+// Posterior mean and 95% credible interval of R_t for the window ending at
+// incidence bin `t`, or null if there is too little infection pressure
+export const coriEstimate = (incidence, weights, t, window = CORI_WINDOW) => {
+  let cases = 0;
+  let infectiousness = 0;
+  for (let s = Math.max(1, t - window + 1); s <= t; s++) {
+    cases += incidence[s] || 0;
+    for (let k = 1; k < weights.length && k <= s; k++) infectiousness += (incidence[s - k] || 0) * weights[k];
+  }
+  if (infectiousness < MIN_INFECTIOUSNESS) return null;
+  const shape = PRIOR_SHAPE + cases;
+  const scale = 1 / (1 / PRIOR_SCALE + infectiousness);
+  return {
+    mean: shape * scale,
+    lower: gammaQuantile(shape, scale, -Z_975),
+    upper: gammaQuantile(shape, scale, Z_975)
+  };
+};
+
+// Refresh the estimates and append Cori estimates for newly completed bins
+// to sim.rtSeries
+export const updateReproduction = (sim) => {
+  const state = sim.reproduction;
+  if (state.incidence.length === 0) state.incidence.push(sim.indexCases.length);
+  for (; state.counted < sim.infections.length; state.counted++) {
+    const k = Math.floor(sim.infections[state.counted].time / CORI_BIN);
+    while (state.incidence.length <= k) state.incidence.push(0);
+    state.incidence[k]++;
+  }
+
+  const episodes = infectionEpisodes(sim);
+  state.r0 = basicReproductionNumber(episodes, sim.indexCases.length);
+  state.caseRt = caseReproductionNumbers(episodes);
+
+  const completedBins = Math.floor(sim.time / CORI_BIN);
+  if (completedBins <= state.estimatedBins) return;
+  while (state.incidence.length < completedBins) state.incidence.push(0);
+  const weights = generationTimeWeights(sim.params);
+  for (let t = state.estimatedBins; t < completedBins; t++) {
+    const estimate = coriEstimate(state.incidence, weights, t);
+    if (!estimate) continue;
+    state.rt = estimate.mean;
+    sim.rtSeries.push({
+      time: ((t + 1) * CORI_BIN) / 1000,
+      rt: estimate.mean,
+      rtBand: [estimate.lower, estimate.upper],
+      r0: state.r0
+    });
+  }
+  state.estimatedBins = completedBins;
+};
@@ -0,0 +1,52 @@
+import { createSimulation, runSimulation } from './engine';
+import { caseReproductionNumbers, coriEstimate, generationTimeWeights } from './reproduction';
+
+test('generation-time weights form a distribution over later bins', () => {
+  const weights = generationTimeWeights({ incubationMin: 1000, incubationMax: 3000, recoveryTime: 4000, quarantineDelay: 10000, asymptomaticFraction: 0 });
+  expect(weights[0]).toBe(0);
+  expect(weights.reduce((sum, w) => sum + w, 0)).toBeCloseTo(1);
+  // Incubation (mean 2 s) plus half the infectious period (2 s)
+  const mean = weights.reduce((sum, w, k) => sum + w * k, 0);
+  expect(mean).toBeCloseTo(4, 0);
+});
+
+test('Cori estimate recovers the growth factor with a one-bin generation time', () => {
+  const incidence = [10, 20, 40, 80, 160, 320];
+  const estimate = coriEstimate(incidence, [0, 1], 5);
+  expect(estimate.mean).toBeCloseTo(2, 1);
+  expect(estimate.lower).toBeLessThan(estimate.mean);
+  expect(estimate.upper).toBeGreaterThan(estimate.mean);
+  expect(coriEstimate([0, 0, 0], [0, 1], 2)).toBeNull();
+});
+
+test('case reproduction number groups offspring by infection cohort', () => {
+  const episodes = [
+    { time: 0, offspring: 3, complete: true },
+    { time: 500, offspring: 1, complete: true },
+    { time: 2500, offspring: 2, complete: true },
+    { time: 4500, offspring: 0, complete: false }
+  ];
+  expect(caseReproductionNumbers(episodes, 2000)).toEqual([
+    { time: 1, caseRt: 2, cases: 2 },
+    { time: 3, caseRt: 2, cases: 1 }
+  ]);
+});
+
+test('R₀ follows the index cases, not the lowest person ids', () => {
+  const sim = createSimulation({ populationSize: 80, width: 200, height: 200, infectionRate: 0.6, seed: 11 });
+  expect(sim.indexCases).toEqual([0, 1, 2]);
+  // Make someone else the only index case
+  sim.people.slice(0, 3).forEach(p => { p.status = 'healthy'; p.infectedTime = null; });
+  sim.people[50].status = 'infected';
+  sim.people[50].infectedTime = 0;
+  sim.indexCases = [50];
+  runSimulation(sim, 12000);
+
+  const offspring = sim.infections.filter(e => e.from === 50 && e.time < 12000).length;
+  expect(sim.people[50].status === 'recovered' || sim.people[50].status === 'dead').toBe(true);
+  expect(sim.stats.r0Value).toBe(offspring);
+  sim.rtSeries.forEach(({ rt, rtBand }) => {
+    expect(rtBand[0]).toBeLessThanOrEqual(rt);
+    expect(rtBand[1]).toBeGreaterThanOrEqual(rt);
+  });
+});
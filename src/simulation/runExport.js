@@ -0,0 +1,69 @@
+// Run data for download: the compartment series as CSV, a per-agent line
+// list, and the whole run (parameters, series, infection events, final
+// agent states) as JSON. Built on the host so large runs are serialised
+// off the UI thread.
+import { toCsv } from './csv';
+
+export const EXPORT_VERSION = 1;
+
+const seconds = (ms) => (ms === null ? null : Math.round(ms) / 1000);
+
+// One row per agent with their final state and infection history
+export const lineList = (sim) => {
+  const history = sim.people.map(() => ({ infections: 0, first: null, last: null, setting: null }));
+  const record = (id, time, setting) => {
+    const entry = history[id];
+    entry.infections++;
+    if (entry.first === null) entry.first = time;
+    entry.last = time;
+    entry.setting = setting;
+  };
+  sim.indexCases.forEach(id => record(id, 0, null));
+  sim.infections.forEach(({ to, time, setting }) => record(to, time, setting));
+
+  return sim.people.map(person => {
+    const entry = history[person.id];
+    return {
+      id: person.id,
+      ageGroup: person.ageGroup,
+      region: person.region,
+      household: person.household,
+      workplace: person.workplace,
+      status: person.status,
+      infections: entry.infections,
+      firstInfected: seconds(entry.first),
+      lastInfected: seconds(entry.last),
+      infectedBy: person.infectedBy,
+      infectionSetting: entry.setting,
+      infectionsSpread: person.infectionsSpread,
+      doses: person.doses,
+      masked: person.masked
+    };
+  });
+};
+
+export const seriesToCsv = (series) => toCsv(series);
+
+export const lineListToCsv = (sim) => toCsv(lineList(sim));
+
+export const buildRunExport = (sim) => ({
+  version: EXPORT_VERSION,
+  seed: sim.params.seed,
+  time: seconds(sim.time),
+  params: sim.params,
+  stats: sim.stats,
+  series: sim.series,
+  rtSeries: sim.rtSeries,
+  regionSeries: sim.regionSeries,
+  policyLog: sim.policyLog.map(entry => ({ ...entry, time: seconds(entry.time) })),
+  indexCases: sim.indexCases,
+  infections: sim.infections.map(event => ({ ...event, time: seconds(event.time) })),
+  agents: lineList(sim)
+});
+
+// Downloadable formats: file content and MIME type for the current run
+export const EXPORT_FORMATS = {
+  series: { build: (sim) => seriesToCsv(sim.series), type: 'text/csv' },
+  lineList: { build: lineListToCsv, type: 'text/csv' },
+  run: { build: (sim) => JSON.stringify(buildRunExport(sim)), type: 'application/json' }
+};
@@ -0,0 +1,54 @@
+import { createSimulation, runSimulation } from './engine';
+import { lineList, buildRunExport, seriesToCsv, EXPORT_FORMATS } from './runExport';
+import { toCsv } from './csv';
+import { createSimulationHost } from './host';
+
+const run = () => runSimulation(createSimulation({ populationSize: 100, infectionRate: 0.6, width: 300, height: 300, seed: 6 }), 6000);
+
+test('CSV cells with commas or quotes are quoted', () => {
+  expect(toCsv([{ a: 1, b: 'x,y' }, { a: null, b: 'say "hi"' }])).toBe('a,b\n1,"x,y"\n,"say ""hi"""');
+});
+
+test('series CSV has a header and one line per sample', () => {
+  const sim = run();
+  const lines = seriesToCsv(sim.series).split('\n');
+  expect(lines[0].split(',')).toEqual(Object.keys(sim.series[0]));
+  expect(lines).toHaveLength(sim.series.length + 1);
+});
+
+test('the line list has one row per agent with their infection history', () => {
+  const sim = run();
+  const rows = lineList(sim);
+  expect(rows).toHaveLength(100);
+  expect(sim.infections.length).toBeGreaterThan(0);
+  const infectedRows = rows.filter(row => row.infections > 0);
+  expect(infectedRows.reduce((sum, row) => sum + row.infections, 0)).toBe(sim.indexCases.length + sim.infections.length);
+  const event = sim.infections[0];
+  expect(rows[event.to].firstInfected).toBe(event.time / 1000);
+  expect(rows[event.to].infectedBy).not.toBeNull();
+  expect(rows[sim.indexCases[0]].firstInfected).toBe(0);
+});
+
+test('the run export round-trips through JSON with everything needed to rerun', () => {
+  const sim = run();
+  const data = JSON.parse(EXPORT_FORMATS.run.build(sim));
+  expect(data).toEqual(JSON.parse(JSON.stringify(buildRunExport(sim))));
+  expect(data.seed).toBe(6);
+  expect(data.params.populationSize).toBe(100);
+  expect(data.series).toHaveLength(sim.series.length);
+  expect(data.infections).toHaveLength(sim.infections.length);
+  expect(data.agents).toHaveLength(100);
+
+  const replay = runSimulation(createSimulation(data.params), 6000);
+  expect(replay.infections.length).toBe(sim.infections.length);
+});
+
+test('the host answers export requests with file content', () => {
+  const messages = [];
+  const host = createSimulationHost((message) => messages.push(message), { now: () => 0, setTimer: () => {}, clearTimer: () => {} });
+  host.handleMessage({ type: 'init', params: { populationSize: 20 } });
+  host.handleMessage({ type: 'requestExport', format: 'lineList', filename: 'agen.csv' });
+  const reply = messages.find(m => m.type === 'exportData');
+  expect(reply).toMatchObject({ filename: 'agen.csv', mimeType: 'text/csv' });
+  expect(reply.content.split('\n')).toHaveLength(21);
+});
@@ -0,0 +1,69 @@
+// Main-thread handle on the simulation host. Uses a Web Worker when the
+// environment has one and falls back to an in-process host (tests, old
+// browsers) behind the same message interface.
+import { createSimulationHost } from './host';
+import { snapshotBuffers, snapshotTransferables } from './snapshot';
+
+const createWorkerTransport = (onMessage) => {
+  let worker = null;
+  let terminated = false;
+  const queue = [];
+
+  import('./createWorker').then(({ default: createWorker }) => {
+    if (terminated) return;
+    worker = createWorker();
+    worker.onmessage = (event) => onMessage(event.data);
+    queue.splice(0).forEach(([message, transfer]) => worker.postMessage(message, transfer));
+  });
+
+  return {
+    post: (message, transfer = []) => {
+      if (worker) worker.postMessage(message, transfer);
+      else queue.push([message, transfer]);
+    },
+    terminate: () => {
+      terminated = true;
+      if (worker) worker.terminate();
+    }
+  };
+};
+
+const createLocalTransport = (onMessage) => {
+  // Deliver asynchronously, as a worker would
+  const host = createSimulationHost((message) => Promise.resolve().then(() => onMessage(message)));
+  return {
+    post: (message) => host.handleMessage(message),
+    terminate: () => host.terminate()
+  };
+};
+
+// `history: false` skips the checkpoints for seeking and branching
+export const createSimulationRunner = (onMessage, { useWorker = typeof Worker !== 'undefined', history = true } = {}) => {
+  const transport = useWorker ? createWorkerTransport(onMessage) : createLocalTransport(onMessage);
+  return {
+    init: (params) => transport.post({ type: 'init', params, history }),
+    setParams: (params) => transport.post({ type: 'setParams', params }),
+    setSpeed: (speed) => transport.post({ type: 'setSpeed', speed }),
+    start: () => transport.post({ type: 'start' }),
+    pause: () => transport.post({ type: 'pause' }),
+    benchmark: () => transport.post({ type: 'benchmark' }),
+    // Show a history checkpoint (null for the live state) or continue from one
+    seek: (index) => transport.post({ type: 'seek', index }),
+    branch: (index, params) => transport.post({ type: 'branch', index, params }),
+    requestTree: () => transport.post({ type: 'requestTree' }),
+    requestExport: (format, filename) => transport.post({ type: 'requestExport', format, filename }),
+    runBatch: (params, { replicates, maxDuration }) =>
+      transport.post({ type: 'runBatch', params, replicates, maxDuration }),
+    cancelBatch: () => transport.post({ type: 'cancelBatch' }),
+    runSweep: (params, { axes, replicates, maxDuration }) =>
+      transport.post({ type: 'runSweep', params, axes, replicates, maxDuration }),
+    cancelSweep: () => transport.post({ type: 'cancelSweep' }),
+    // Fit to case data (see calibration.js); the result comes back with `id`
+    runCalibration: (id, params, points, options) =>
+      transport.post({ type: 'runCalibration', id, params, points, options }),
+    // Hand a drawn snapshot's buffers back to the host for reuse
+    recycle: (snapshot) =>
+      transport.post({ type: 'recycle', buffers: snapshotBuffers(snapshot) }, snapshotTransferables(snapshot)),
+    terminate: () => transport.terminate()
+  };
+};
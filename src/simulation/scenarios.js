@@ -0,0 +1,245 @@
+// Named scenarios: every model parameter (seed included) under a name, so a
+// setup can be saved to localStorage, shared as a JSON file or a link, and
+// loaded back exactly. Canvas size is left out; it belongs to the viewer.
+import { DEFAULT_PARAMS } from './engine';
+import { AGE_GROUPS } from './ageProfiles';
+import { POLICY_ACTIONS, POLICY_METRICS } from './policies';
+import { LAYOUTS } from './regions';
+import { VACCINATION_STRATEGIES } from './vaccination';
+
+export const SCENARIO_VERSION = 1;
+const STORAGE_KEY = 'simulasi-epidemi:skenario';
+const HASH_KEY = 'skenario';
+const VIEW_PARAMS = new Set(['width', 'height']);
+
+const SCENARIO_KEYS = Object.keys(DEFAULT_PARAMS).filter(key => !VIEW_PARAMS.has(key));
+
+// Populations the size slider offers
+export const POPULATION_OPTIONS = [50, 100, 200, 300, 500, 1000, 2000, 5000, 10000, 20000, 50000];
+
+// Most hospital beds the capacity slider offers for a population
+export const healthcareCapacityMax = (populationSize) => Math.max(100, Math.round(populationSize / 2));
+
+// [min, max] of the numeric controls. A scenario outside them could not be
+// shown or edited, so it is rejected.
+export const PARAM_RANGES = {
+  infectionRate: [0.01, 1],
+  recoveryTime: [500, 30000],
+  mobilityRate: [0, 1],
+  initialInfected: [1, 10],
+  quarantineDelay: [0, 25000],
+  maskAdherence: [0, 1],
+  maskSourceEfficacy: [0, 1],
+  maskWearerEfficacy: [0, 1],
+  hospitalizationRate: [0, 1],
+  overloadMortalityFactor: [1, 5],
+  vaccinationRate: [0, 50],
+  vaccinationStart: [0, 60000],
+  vaccineEfficacyInfection: [0, 1],
+  vaccineEfficacyDeath: [0, 1],
+  secondDoseDelay: [1000, 30000],
+  testCapacity: [0, 100],
+  testSensitivity: [0, 1],
+  tracingSuccess: [0, 1],
+  tracingQuarantine: [500, 15000],
+  contactMemory: [500, 10000],
+  travelProbability: [0, 0.2],
+  hotspotVisitRate: [0, 0.5],
+  hotspotStay: [250, 5000],
+  householdSize: [1, 10],
+  workplaceSize: [2, 100],
+  dayLength: [1000, 10000],
+  homeInfectionRate: [0, 1],
+  workInfectionRate: [0, 0.2],
+  riskSensitivity: [0, 100],
+  deathWeight: [0, 50],
+  complianceSpread: [0, 1],
+  fatigueRate: [0, 0.3],
+  immunityDuration: [0, 60000],
+  incubationMin: [0, 10000],
+  incubationMax: [0, 10000],
+  asymptomaticFraction: [0, 1]
+};
+
+const AGE_FIELDS = ['share', 'susceptibility', 'contact', 'mortality', 'recovery'];
+const COMPARATORS = ['above', 'below'];
+
+// Built-in starting points, applied on top of the defaults
+export const PRESETS = {
+  measles: {
+    label: 'Mirip campak',
+    params: {
+      infectionRate: 0.9,
+      recoveryTime: 8000,
+      incubationMin: 3000,
+      incubationMax: 5000,
+      asymptomaticFraction: 0.05,
+      immunityDuration: 0,
+      quarantineDelay: 4000
+    }
+  },
+  flu: {
+    label: 'Mirip flu',
+    params: {
+      infectionRate: 0.25,
+      recoveryTime: 4000,
+      incubationMin: 500,
+      incubationMax: 1500,
+      asymptomaticFraction: 0.3,
+      immunityDuration: 20000
+    }
+  },
+  lockdown: {
+    label: 'Lockdown',
+    params: {
+      mobilityRate: 0.1,
+      maskEnabled: true,
+      maskAdherence: 0.9,
+      quarantineDelay: 1000,
+      testingEnabled: true,
+      bordersClosed: true,
+      hotspotsEnabled: false
+    }
+  }
+};
+
+const kindOf = (value) => {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+};
+
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const fail = (message) => {
+  throw new Error(`Invalid scenario: ${message}`);
+};
+
+const checkRange = (name, value, [min, max]) => {
+  if (!(value >= min && value <= max)) fail(`${name} should be between ${min} and ${max}`);
+};
+
+const checkAgeProfile = (profile) => {
+  AGE_GROUPS.forEach(group => {
+    if (kindOf(profile[group]) !== 'object') fail(`ageProfile is missing the ${group} group`);
+    AGE_FIELDS.forEach(field => {
+      const value = profile[group][field];
+      if (typeof value !== 'number' || value < 0) fail(`ageProfile.${group}.${field} should be a number of at least 0`);
+    });
+    checkRange(`ageProfile.${group}.mortality`, profile[group].mortality, [0, 1]);
+  });
+  if (AGE_GROUPS.every(group => profile[group].share === 0)) fail('ageProfile shares are all 0');
+};
+
+const checkPolicy = (policy, i) => {
+  const name = `policy ${i + 1}`;
+  if (kindOf(policy) !== 'object') fail(`${name} should be an object`);
+  const { id, trigger, action } = policy;
+  if (!Number.isInteger(id)) fail(`${name} needs an integer id`);
+  if (kindOf(trigger) !== 'object') fail(`${name} needs a trigger`);
+  if (trigger.type === 'time') {
+    if (typeof trigger.at !== 'number' || trigger.at < 0) fail(`${name} needs a time of at least 0`);
+  } else if (trigger.type === 'threshold') {
+    if (!has(POLICY_METRICS, trigger.metric)) fail(`${name} has an unknown metric ${trigger.metric}`);
+    if (!COMPARATORS.includes(trigger.comparator)) fail(`${name} should compare above or below`);
+    if (typeof trigger.value !== 'number') fail(`${name} needs a threshold value`);
+  } else {
+    fail(`${name} has an unknown trigger type ${trigger.type}`);
+  }
+  if (kindOf(action) !== 'object' || !has(POLICY_ACTIONS, action.param)) fail(`${name} changes an unknown parameter`);
+  const spec = POLICY_ACTIONS[action.param];
+  if (typeof action.value !== spec.type) fail(`${name} should set ${action.param} to a ${spec.type}`);
+  if (spec.type === 'number') checkRange(`${name} value`, action.value, [spec.min, spec.max]);
+};
+
+// Structure and ranges of complete scenario params
+const checkParams = (params) => {
+  if (!POPULATION_OPTIONS.includes(params.populationSize)) {
+    fail(`populationSize should be one of ${POPULATION_OPTIONS.join(', ')}`);
+  }
+  Object.entries(PARAM_RANGES).forEach(([key, range]) => checkRange(`parameter ${key}`, params[key], range));
+  checkRange('parameter healthcareCapacity', params.healthcareCapacity, [0, healthcareCapacityMax(params.populationSize)]);
+  if (params.incubationMin > params.incubationMax) fail('incubationMin is above incubationMax');
+  if (!has(LAYOUTS, params.layout)) fail(`unknown layout ${params.layout}`);
+  if (!has(VACCINATION_STRATEGIES, params.vaccinationStrategy)) fail(`unknown vaccinationStrategy ${params.vaccinationStrategy}`);
+  checkAgeProfile(params.ageProfile);
+  params.policies.forEach(checkPolicy);
+  if (new Set(params.policies.map(({ id }) => id)).size < params.policies.length) fail('policy ids should be unique');
+};
+
+// Only the scenario's own parameters, in a stable order
+export const scenarioParams = (params) =>
+  Object.fromEntries(SCENARIO_KEYS.map(key => [key, key in params ? params[key] : DEFAULT_PARAMS[key]]));
+
+export const createScenario = (name, params) => ({
+  version: SCENARIO_VERSION,
+  name,
+  params: scenarioParams(params)
+});
+
+export const presetScenario = (key) => createScenario(PRESETS[key].label, { ...DEFAULT_PARAMS, ...PRESETS[key].params });
+
+// Validate untrusted scenario data (a file, a link, localStorage). Unknown
+// parameters are dropped and missing ones take their defaults, so older
+// scenarios keep loading as parameters are added; anything the model or the
+// controls cannot take is rejected.
+export const parseScenario = (data) => {
+  if (kindOf(data) !== 'object' || kindOf(data.params) !== 'object') fail('expected an object with params');
+  if (data.version > SCENARIO_VERSION) fail(`unsupported version ${data.version}`);
+  SCENARIO_KEYS.forEach(key => {
+    if (key in data.params && kindOf(data.params[key]) !== kindOf(DEFAULT_PARAMS[key])) {
+      fail(`parameter ${key} should be ${kindOf(DEFAULT_PARAMS[key])}`);
+    }
+  });
+  const scenario = createScenario(typeof data.name === 'string' && data.name ? data.name : 'Tanpa nama', data.params);
+  checkParams(scenario.params);
+  return scenario;
+};
+
+// Links carry only the parameters that differ from the defaults
+export const scenarioToHash = (scenario) => {
+  const changed = {};
+  SCENARIO_KEYS.forEach(key => {
+    if (JSON.stringify(scenario.params[key]) !== JSON.stringify(DEFAULT_PARAMS[key])) changed[key] = scenario.params[key];
+  });
+  const payload = JSON.stringify({ version: SCENARIO_VERSION, name: scenario.name, params: changed });
+  return `#${HASH_KEY}=${encodeURIComponent(payload)}`;
+};
+
+// The scenario in a location hash, or null if it has none
+export const scenarioFromHash = (hash) => {
+  const encoded = new URLSearchParams(hash.replace(/^#/, '')).get(HASH_KEY);
+  if (encoded === null) return null;
+  return parseScenario(JSON.parse(encoded));
+};
+
+const parseOrNull = (data) => {
+  try {
+    return parseScenario(data);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Saved scenarios, skipping any entry that no longer parses
+export const loadScenarios = (storage) => {
+  let saved;
+  try {
+    saved = JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+  } catch (error) {
+    return [];
+  }
+  return Array.isArray(saved) ? saved.map(parseOrNull).filter(Boolean) : [];
+};
+
+// Save under the scenario's name, replacing one with the same name
+export const storeScenario = (storage, scenario) => {
+  const scenarios = [...loadScenarios(storage).filter(saved => saved.name !== scenario.name), scenario];
+  storage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+  return scenarios;
+};
+
+export const removeScenario = (storage, name) => {
+  const scenarios = loadScenarios(storage).filter(saved => saved.name !== name);
+  storage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+  return scenarios;
+};
@@ -0,0 +1,107 @@
+import { DEFAULT_PARAMS, createSimulation, runSimulation } from './engine';
+import {
+  PRESETS,
+  createScenario,
+  presetScenario,
+  parseScenario,
+  scenarioToHash,
+  scenarioFromHash,
+  loadScenarios,
+  storeScenario,
+  removeScenario
+} from './scenarios';
+import { deriveOdeRates } from './ode';
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+};
+
+test('a scenario holds every model parameter except the canvas size', () => {
+  const scenario = createScenario('Uji', { ...DEFAULT_PARAMS, healthcareCapacity: 12, immunityDuration: 0, width: 300 });
+  expect(scenario.params.healthcareCapacity).toBe(12);
+  expect(scenario.params.immunityDuration).toBe(0);
+  expect(scenario.params).not.toHaveProperty('width');
+  expect(Object.keys(scenario.params)).toHaveLength(Object.keys(DEFAULT_PARAMS).length - 2);
+});
+
+test('links round-trip a scenario and reproduce the same run', () => {
+  const policies = [{ id: 1, trigger: { type: 'time', at: 2000 }, action: { param: 'maskEnabled', value: true } }];
+  const scenario = createScenario('Bagikan', { ...DEFAULT_PARAMS, infectionRate: 0.55, seed: 99, policies });
+  const hash = scenarioToHash(scenario);
+  expect(hash.startsWith('#skenario=')).toBe(true);
+  expect(hash).not.toContain('recoveryTime'); // defaults are left out
+  const loaded = scenarioFromHash(hash);
+  expect(loaded).toEqual(scenario);
+
+  const a = runSimulation(createSimulation({ ...scenario.params, populationSize: 80 }), 3000);
+  const b = runSimulation(createSimulation({ ...loaded.params, populationSize: 80 }), 3000);
+  expect(b.infections).toEqual(a.infections);
+  expect(scenarioFromHash('')).toBeNull();
+});
+
+test('imports fill missing parameters and reject wrong types', () => {
+  const partial = parseScenario({ name: 'Lama', params: { infectionRate: 0.4, retiredParam: 1 } });
+  expect(partial.params.infectionRate).toBe(0.4);
+  expect(partial.params.recoveryTime).toBe(DEFAULT_PARAMS.recoveryTime);
+  expect(partial.params).not.toHaveProperty('retiredParam');
+
+  expect(() => parseScenario(null)).toThrow(/Invalid scenario/);
+  expect(() => parseScenario({ params: { infectionRate: 'high' } })).toThrow(/infectionRate/);
+  expect(() => parseScenario({ params: { policies: {} } })).toThrow(/policies/);
+  expect(() => parseScenario({ version: 99, params: {} })).toThrow(/version/);
+});
+
+test('imports reject structures and values the model or the controls cannot take', () => {
+  const reject = (params, pattern) => expect(() => parseScenario({ params })).toThrow(pattern);
+  reject({ ageProfile: {} }, /ageProfile is missing the child group/);
+  reject({ ageProfile: { ...DEFAULT_PARAMS.ageProfile, adult: { share: 1 } } }, /ageProfile.adult.susceptibility/);
+  reject({ ageProfile: { ...DEFAULT_PARAMS.ageProfile, senior: { ...DEFAULT_PARAMS.ageProfile.senior, mortality: 2 } } }, /mortality/);
+  reject({ ageProfile: null }, /ageProfile/);
+  reject({ policies: [1] }, /policy 1 should be an object/);
+  reject({ policies: [{ id: 1, trigger: { type: 'time', at: 0 }, action: { param: 'seed', value: 1 } }] }, /unknown parameter/);
+  reject({ policies: [{ id: 1, trigger: { type: 'threshold', metric: 'dead', comparator: 'above' }, action: { param: 'maskEnabled', value: true } }] }, /threshold value/);
+  reject({ policies: [{ id: 1, trigger: { type: 'time', at: 0 }, action: { param: 'mobilityRate', value: 3 } }] }, /between 0 and 1/);
+  const policy = { id: 1, trigger: { type: 'time', at: 0 }, action: { param: 'maskEnabled', value: true } };
+  reject({ policies: [policy, policy] }, /unique/);
+  reject({ populationSize: -5 }, /populationSize/);
+  reject({ populationSize: 1e9 }, /populationSize/);
+  reject({ populationSize: 250 }, /populationSize/);
+  reject({ infectionRate: 5 }, /infectionRate should be between/);
+  reject({ dayLength: 0 }, /dayLength/);
+  reject({ incubationMin: 5000, incubationMax: 1000 }, /incubationMin/);
+  reject({ layout: 'nine' }, /layout/);
+  reject({ vaccinationStrategy: 'fastest' }, /vaccinationStrategy/);
+  // Beds are bounded by the scenario's own population, as on the slider
+  reject({ populationSize: 50, healthcareCapacity: 101 }, /healthcareCapacity should be between 0 and 100/);
+  reject({ populationSize: 1000, healthcareCapacity: 501 }, /healthcareCapacity should be between 0 and 500/);
+  expect(parseScenario({ params: { populationSize: 1000, healthcareCapacity: 500 } }).params.healthcareCapacity).toBe(500);
+
+  // Everything accepted builds a simulation
+  const params = { populationSize: 50, infectionRate: 1, policies: [{ ...policy, id: 7 }] };
+  expect(() => createSimulation(parseScenario({ params }).params)).not.toThrow();
+});
+
+test('saved scenarios are replaced by name and survive bad entries', () => {
+  const storage = memoryStorage();
+  expect(loadScenarios(storage)).toEqual([]);
+  storeScenario(storage, createScenario('A', { infectionRate: 0.1 }));
+  storeScenario(storage, createScenario('B', { infectionRate: 0.2 }));
+  storeScenario(storage, createScenario('A', { infectionRate: 0.3 }));
+  expect(loadScenarios(storage).map(s => [s.name, s.params.infectionRate])).toEqual([['B', 0.2], ['A', 0.3]]);
+  expect(removeScenario(storage, 'B').map(s => s.name)).toEqual(['A']);
+
+  storage.setItem('simulasi-epidemi:skenario', JSON.stringify([{ name: 'rusak' }, createScenario('C', {})]));
+  expect(loadScenarios(storage).map(s => s.name)).toEqual(['C']);
+  storage.setItem('simulasi-epidemi:skenario', '{not json');
+  expect(loadScenarios(storage)).toEqual([]);
+});
+
+test('presets are valid scenarios with the expected character', () => {
+  Object.keys(PRESETS).forEach(key => expect(parseScenario(presetScenario(key))).toEqual(presetScenario(key)));
+  expect(deriveOdeRates(presetScenario('measles').params).r0).toBeGreaterThan(deriveOdeRates(presetScenario('flu').params).r0);
+  expect(presetScenario('lockdown').params.maskEnabled).toBe(true);
+});
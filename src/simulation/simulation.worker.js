@@ -0,0 +1,7 @@
+/* eslint-disable no-restricted-globals */
+// Web Worker entry: runs the simulation host off the main thread.
+import { createSimulationHost } from './host';
+
+const host = createSimulationHost((message, transfer) => self.postMessage(message, transfer));
+
+self.onmessage = (event) => host.handleMessage(event.data);
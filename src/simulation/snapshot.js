@@ -0,0 +1,41 @@
+// Compact typed-array snapshots of agent state, cheap to transfer between
+// threads: positions as Float32, status codes as in agents.js and
+// per-agent markers as bit flags.
+
+export const FLAG_ISOLATED = 1; // traced contact in quarantine
+export const FLAG_MASKED = 2;
+
+const allocate = (count) => ({
+  x: new Float32Array(count),
+  y: new Float32Array(count),
+  radius: new Float32Array(count),
+  status: new Uint8Array(count),
+  flags: new Uint8Array(count)
+});
+
+// Pack the simulation into a snapshot, reusing `buffers` when they are big enough
+export const createSnapshot = (sim, buffers) => {
+  const { people, agents } = sim;
+  const count = people.length;
+  const arrays = buffers && buffers.x.length === count ? buffers : allocate(count);
+  arrays.x.set(agents.x);
+  arrays.y.set(agents.y);
+  arrays.status.set(agents.status);
+  for (let i = 0; i < count; i++) {
+    const person = people[i];
+    arrays.radius[i] = person.infectionRadius;
+    arrays.flags[i] = (person.isolatedUntil > sim.time ? FLAG_ISOLATED : 0) | (person.masked ? FLAG_MASKED : 0);
+  }
+  return {
+    time: sim.time,
+    count,
+    contactDistance: sim.contactDistance,
+    ...arrays
+  };
+};
+
+// ArrayBuffers to hand to postMessage's transfer list
+export const snapshotTransferables = (snapshot) =>
+  [snapshot.x.buffer, snapshot.y.buffer, snapshot.radius.buffer, snapshot.status.buffer, snapshot.flags.buffer];
+
+export const snapshotBuffers = ({ x, y, radius, status, flags }) => ({ x, y, radius, status, flags });
@@ -0,0 +1,103 @@
+// Uniform-grid broad phase. Agents are bucketed into square cells with a
+// counting sort (no per-frame allocations once the buffers have grown), and
+// only agents in the same or adjacent cells are tested as contact pairs.
+
+export const createSpatialHash = (width, height, cellSize) => {
+  const cols = Math.max(1, Math.ceil(width / cellSize));
+  const rows = Math.max(1, Math.ceil(height / cellSize));
+  return {
+    cellSize,
+    cols,
+    rows,
+    cellStart: new Int32Array(cols * rows + 1),
+    cellOf: new Int32Array(0),
+    items: new Int32Array(0)
+  };
+};
+
+const cellIndex = (hash, x, y) => {
+  const col = Math.min(hash.cols - 1, Math.max(0, Math.floor(x / hash.cellSize)));
+  const row = Math.min(hash.rows - 1, Math.max(0, Math.floor(y / hash.cellSize)));
+  return row * hash.cols + col;
+};
+
+// Bucket every agent by its current position, from per-agent coordinate
+// arrays such as sim.agents.x and sim.agents.y
+export const rebuildSpatialHash = (hash, x, y) => {
+  const n = x.length;
+  if (hash.items.length < n) {
+    hash.items = new Int32Array(n);
+    hash.cellOf = new Int32Array(n);
+  }
+  const { cellStart, cellOf, items } = hash;
+  cellStart.fill(0);
+
+  for (let i = 0; i < n; i++) {
+    const cell = cellIndex(hash, x[i], y[i]);
+    cellOf[i] = cell;
+    cellStart[cell + 1]++;
+  }
+  for (let c = 1; c < cellStart.length; c++) cellStart[c] += cellStart[c - 1];
+
+  // Fill back to front so each bucket keeps ascending agent order
+  const cursor = cellStart.slice(1);
+  for (let i = n - 1; i >= 0; i--) {
+    items[--cursor[cellOf[i]]] = i;
+  }
+  return hash;
+};
+
+// Neighbour cells visited from each cell so every pair is seen exactly once
+const HALF_NEIGHBOURHOOD = [[1, 0], [-1, 1], [0, 1], [1, 1]];
+
+// Call callback(a, b) for each pair of agents in the same or adjacent cells.
+// Pairs farther apart than cellSize may be reported; callers do the exact test.
+export const forEachNearbyPair = (hash, people, callback) => {
+  const { cols, rows, cellStart, items } = hash;
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const cell = row * cols + col;
+      const start = cellStart[cell];
+      const end = cellStart[cell + 1];
+      if (start === end) continue;
+
+      for (let i = start; i < end; i++) {
+        for (let j = i + 1; j < end; j++) {
+          callback(people[items[i]], people[items[j]]);
+        }
+      }
+
+      for (let k = 0; k < HALF_NEIGHBOURHOOD.length; k++) {
+        const nCol = col + HALF_NEIGHBOURHOOD[k][0];
+        const nRow = row + HALF_NEIGHBOURHOOD[k][1];
+        if (nCol < 0 || nCol >= cols || nRow >= rows) continue;
+        const other = nRow * cols + nCol;
+        const oStart = cellStart[other];
+        const oEnd = cellStart[other + 1];
+        for (let i = start; i < end; i++) {
+          for (let j = oStart; j < oEnd; j++) {
+            callback(people[items[i]], people[items[j]]);
+          }
+        }
+      }
+    }
+  }
+};
+
+// Call callback(person) for every agent in cells overlapping the square of
+// half-size `radius` around (x, y). Callers do the exact distance test.
+export const forEachNear = (hash, people, x, y, radius, callback) => {
+  const { cols, rows, cellSize, cellStart, items } = hash;
+  const minCol = Math.max(0, Math.floor((x - radius) / cellSize));
+  const maxCol = Math.min(cols - 1, Math.floor((x + radius) / cellSize));
+  const minRow = Math.max(0, Math.floor((y - radius) / cellSize));
+  const maxRow = Math.min(rows - 1, Math.floor((y + radius) / cellSize));
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let col = minCol; col <= maxCol; col++) {
+      const cell = row * cols + col;
+      for (let i = cellStart[cell]; i < cellStart[cell + 1]; i++) {
+        callback(people[items[i]]);
+      }
+    }
+  }
+};
@@ -0,0 +1,50 @@
+import { createSpatialHash, rebuildSpatialHash, forEachNearbyPair, forEachNear } from './spatialHash';
+import { createRng } from './random';
+
+const pairKey = (a, b) => (a.id < b.id ? `${a.id}-${b.id}` : `${b.id}-${a.id}`);
+const xs = (people) => people.map(p => p.x);
+const ys = (people) => people.map(p => p.y);
+
+test('finds every pair within the cell size exactly once', () => {
+  const random = createRng(5);
+  const people = Array.from({ length: 400 }, (_, id) => ({ id, x: random() * 300, y: random() * 200 }));
+  const cellSize = 10;
+
+  const expected = new Set();
+  for (let i = 0; i < people.length; i++) {
+    for (let j = i + 1; j < people.length; j++) {
+      const dx = people[i].x - people[j].x;
+      const dy = people[i].y - people[j].y;
+      if (Math.sqrt(dx * dx + dy * dy) < cellSize) expected.add(pairKey(people[i], people[j]));
+    }
+  }
+
+  const hash = rebuildSpatialHash(createSpatialHash(300, 200, cellSize), xs(people), ys(people));
+  const seen = new Map();
+  forEachNearbyPair(hash, people, (a, b) => {
+    const key = pairKey(a, b);
+    seen.set(key, (seen.get(key) || 0) + 1);
+  });
+
+  expected.forEach(key => expect(seen.get(key)).toBe(1));
+  seen.forEach(count => expect(count).toBe(1));
+});
+
+test('clamps agents pushed slightly outside the world into edge cells', () => {
+  const people = [{ id: 0, x: -3, y: 5 }, { id: 1, x: 2, y: 5 }];
+  const hash = rebuildSpatialHash(createSpatialHash(100, 100, 10), xs(people), ys(people));
+  const pairs = [];
+  forEachNearbyPair(hash, people, (a, b) => pairs.push(pairKey(a, b)));
+  expect(pairs).toEqual(['0-1']);
+});
+
+test('forEachNear visits every agent within the radius', () => {
+  const random = createRng(9);
+  const people = Array.from({ length: 300 }, (_, id) => ({ id, x: random() * 200, y: random() * 200 }));
+  const hash = rebuildSpatialHash(createSpatialHash(200, 200, 10), xs(people), ys(people));
+  const visited = new Set();
+  forEachNear(hash, people, 100, 100, 25, (person) => visited.add(person.id));
+  people
+    .filter(p => Math.hypot(p.x - 100, p.y - 100) <= 25)
+    .forEach(p => expect(visited.has(p.id)).toBe(true));
+});
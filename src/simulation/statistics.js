@@ -0,0 +1,26 @@
+// Small descriptive-statistics helpers shared by the batch and sweep runners.
+
+// Linear-interpolated quantile of an ascending-sorted array
+export const quantile = (sorted, q) => {
+  if (sorted.length === 0) return NaN;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+export const mean = (values) =>
+  (values.length === 0 ? NaN : values.reduce((sum, value) => sum + value, 0) / values.length);
+
+// Median and 5-95% interval of a sample
+export const summarize = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    mean: mean(sorted),
+    median: quantile(sorted, 0.5),
+    p5: quantile(sorted, 0.05),
+    p95: quantile(sorted, 0.95),
+    min: sorted[0],
+    max: sorted[sorted.length - 1]
+  };
+};
@@ -0,0 +1,62 @@
+// Parameter sweeps: one or two parameters varied over a grid, several
+// replicates per grid point, summarised per outcome metric. Every grid point
+// uses the same seeds so differences come from the parameters, not the noise.
+import { runReplicate, replicateOutcome, summarizeOutcomes } from './batch';
+import { toCsv } from './csv';
+
+// Parameters that can be swept, with default ranges for the editor
+export const SWEEP_PARAMS = {
+  infectionRate: { label: 'Tingkat infeksi', min: 0.05, max: 1, step: 0.05 },
+  mobilityRate: { label: 'Mobilitas', min: 0, max: 1, step: 0.1 },
+  quarantineDelay: { label: 'Karantina setelah (ms)', min: 0, max: 10000, step: 500 },
+  recoveryTime: { label: 'Waktu pemulihan (ms)', min: 2000, max: 15000, step: 1000 },
+  vaccinationRate: { label: 'Laju vaksinasi', min: 0, max: 50, step: 1 },
+  asymptomaticFraction: { label: 'Fraksi asimtomatik', min: 0, max: 1, step: 0.05 }
+};
+
+// `steps` evenly spaced values from min to max inclusive
+export const gridValues = ({ min, max, steps }) => {
+  if (steps <= 1) return [min];
+  // Rounded so 0.1 steps stay 0.3 rather than 0.30000000000000004
+  return Array.from({ length: steps }, (_, i) => Math.round((min + ((max - min) * i) / (steps - 1)) * 1e6) / 1e6);
+};
+
+// Cartesian product of the axes' values, as parameter patches
+export const buildGrid = (axes) =>
+  axes.reduce(
+    (points, axis) => points.flatMap(point => gridValues(axis).map(value => ({ ...point, [axis.param]: value }))),
+    [{}]
+  );
+
+// Run `replicates` seeds at every grid point. Returns the per-point summaries
+// and the raw per-replicate rows, or null if stopped before any point finished.
+export const runSweep = async (params, {
+  axes,
+  replicates = 10,
+  maxDuration = 60000,
+  onProgress,
+  shouldStop = () => false,
+  yieldControl = () => new Promise(resolve => setTimeout(resolve, 0))
+}) => {
+  const grid = buildGrid(axes);
+  const total = grid.length * replicates;
+  const points = [];
+  const rows = [];
+  for (let g = 0; g < grid.length && !shouldStop(); g++) {
+    const outcomes = [];
+    for (let i = 0; i < replicates && !shouldStop(); i++) {
+      const seed = (params.seed || 0) + i;
+      const outcome = replicateOutcome(runReplicate({ ...params, ...grid[g], seed }, maxDuration));
+      outcomes.push(outcome);
+      rows.push({ ...grid[g], seed, ...outcome });
+      if (onProgress) onProgress(g * replicates + i + 1, total);
+      await yieldControl();
+    }
+    if (outcomes.length === replicates) points.push({ values: grid[g], summary: summarizeOutcomes(outcomes) });
+  }
+  if (points.length === 0) return null;
+  return { axes, replicates, points, rows };
+};
+
+// Raw results as CSV, one line per replicate
+export const sweepToCsv = ({ rows }) => toCsv(rows);
@@ -0,0 +1,52 @@
+import { gridValues, buildGrid, runSweep, sweepToCsv } from './sweep';
+
+const small = { populationSize: 60, width: 150, height: 150, seed: 3 };
+const noYield = () => Promise.resolve();
+
+test('grid values span the range inclusively', () => {
+  expect(gridValues({ min: 0, max: 1, steps: 5 })).toEqual([0, 0.25, 0.5, 0.75, 1]);
+  expect(gridValues({ min: 0.1, max: 0.3, steps: 3 })).toEqual([0.1, 0.2, 0.3]);
+  expect(gridValues({ min: 2, max: 9, steps: 1 })).toEqual([2]);
+});
+
+test('two axes form the cartesian product', () => {
+  const grid = buildGrid([
+    { param: 'infectionRate', min: 0.2, max: 0.4, steps: 2 },
+    { param: 'mobilityRate', min: 0, max: 1, steps: 3 }
+  ]);
+  expect(grid).toHaveLength(6);
+  expect(grid[0]).toEqual({ infectionRate: 0.2, mobilityRate: 0 });
+  expect(grid[5]).toEqual({ infectionRate: 0.4, mobilityRate: 1 });
+});
+
+test('summarises each grid point and keeps raw rows', async () => {
+  const progress = [];
+  const result = await runSweep(small, {
+    axes: [{ param: 'infectionRate', min: 0, max: 0.8, steps: 2 }],
+    replicates: 2,
+    maxDuration: 3000,
+    onProgress: (done, total) => progress.push(`${done}/${total}`),
+    yieldControl: noYield
+  });
+  expect(progress).toEqual(['1/4', '2/4', '3/4', '4/4']);
+  expect(result.points).toHaveLength(2);
+  expect(result.rows).toHaveLength(4);
+  // Nobody beyond the initial cases is infected at zero transmission
+  const initialShare = 3 / 60;
+  expect(result.points[0].summary.attackRate.max).toBeCloseTo(initialShare);
+  expect(result.points[1].summary.attackRate.median).toBeGreaterThan(initialShare);
+
+  const lines = sweepToCsv(result).split('\n');
+  expect(lines[0]).toBe('infectionRate,seed,peakInfections,timeToPeak,attackRate,deaths,r0');
+  expect(lines).toHaveLength(5);
+});
+
+test('returns null when cancelled before a point completes', async () => {
+  const result = await runSweep(small, {
+    axes: [{ param: 'mobilityRate', min: 0, max: 1, steps: 3 }],
+    replicates: 2,
+    shouldStop: () => true,
+    yieldControl: noYield
+  });
+  expect(result).toBeNull();
+});
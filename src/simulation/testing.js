@@ -0,0 +1,106 @@
+// Testing and contact tracing: agents remember their recent close contacts;
+// each simulated day (`dayLength`, shared with the daily schedule in
+// households.js) `testCapacity` tests go to symptomatic cases first,
+// then traced contacts, then random screening. A positive test isolates
+// the case and sends each remembered contact into quarantine with
+// probability `tracingSuccess`.
+
+const RETEST_DAYS = 2; // an agent is not retested sooner
+const SCREENING_ATTEMPTS = 5; // random draws per screening test before giving up
+
+const INFECTIOUS_STATUSES = new Set(['infected', 'asymptomatic']);
+const INFECTED_STATUSES = new Set(['exposed', 'infected', 'asymptomatic', 'quarantined']);
+
+export const createTestingState = () => ({
+  budget: 0, // fractional tests carried over between steps
+  testsUsed: 0,
+  casesFound: 0,
+  contactsQuarantined: 0,
+  tracedInfected: 0 // quarantined contacts who were already infected
+});
+
+// Traced contacts stay home until their quarantine ends
+export const isIsolated = (sim, person) => person.isolatedUntil > sim.time;
+
+// Remember a close contact on both sides, forgetting ones older than the
+// tracing window. `contacts` maps each contact's id to the last time they
+// met, oldest first, so agents pressed together keep one entry each.
+export const recordContact = (sim, p1, p2) => {
+  const { testingEnabled, contactMemory } = sim.params;
+  if (!testingEnabled) return;
+  [[p1, p2], [p2, p1]].forEach(([person, other]) => {
+    const { contacts } = person;
+    contacts.delete(other.id); // re-added at the end, keeping the order by time
+    contacts.set(other.id, sim.time);
+    for (const [id, time] of contacts) {
+      if (sim.time - time <= contactMemory) break;
+      contacts.delete(id);
+    }
+  });
+};
+
+const canTest = (sim, person) =>
+  person.status !== 'dead' &&
+  person.status !== 'quarantined' &&
+  (person.lastTestTime === null || sim.time - person.lastTestTime >= RETEST_DAYS * sim.params.dayLength);
+
+const traceContacts = (sim, person) => {
+  const { tracingSuccess, tracingQuarantine, contactMemory } = sim.params;
+  const state = sim.testing;
+  // One tracing attempt per distinct contact
+  person.contacts.forEach((time, id) => {
+    if (sim.time - time > contactMemory) return;
+    const contact = sim.people[id];
+    if (contact.status === 'dead' || contact.status === 'quarantined' || isIsolated(sim, contact)) return;
+    if (sim.random() >= tracingSuccess) return;
+    contact.isolatedUntil = sim.time + tracingQuarantine;
+    state.contactsQuarantined++;
+    if (INFECTED_STATUSES.has(contact.status)) state.tracedInfected++;
+  });
+  person.contacts.clear();
+};
+
+// Infectious agents test positive with probability testSensitivity
+const runTest = (sim, person) => {
+  const state = sim.testing;
+  person.lastTestTime = sim.time;
+  state.testsUsed++;
+  state.budget--;
+  if (!INFECTIOUS_STATUSES.has(person.status) || sim.random() >= sim.params.testSensitivity) return;
+  state.casesFound++;
+  person.status = 'quarantined';
+  person.vx = 0;
+  person.vy = 0;
+  traceContacts(sim, person);
+};
+
+// Spend this step's test budget
+export const testAndTrace = (sim, deltaTime) => {
+  const { params, people } = sim;
+  const state = sim.testing;
+  if (!params.testingEnabled || params.testCapacity <= 0) return;
+
+  // Unused tests do not pile up beyond one day's supply
+  state.budget = Math.min(state.budget + (params.testCapacity * deltaTime) / params.dayLength, Math.max(1, params.testCapacity));
+  if (state.budget < 1) return;
+
+  // Symptomatic cases come forward first, then traced contacts
+  for (let i = 0; i < people.length && state.budget >= 1; i++) {
+    if (people[i].status === 'infected' && canTest(sim, people[i])) runTest(sim, people[i]);
+  }
+  for (let i = 0; i < people.length && state.budget >= 1; i++) {
+    if (isIsolated(sim, people[i]) && canTest(sim, people[i])) runTest(sim, people[i]);
+  }
+
+  // Whatever is left screens random agents, which is how asymptomatic
+  // cases without known contacts get found
+  while (state.budget >= 1) {
+    let person = null;
+    for (let attempt = 0; attempt < SCREENING_ATTEMPTS && !person; attempt++) {
+      const candidate = people[Math.floor(sim.random() * people.length)];
+      if (canTest(sim, candidate)) person = candidate;
+    }
+    if (!person) break;
+    runTest(sim, person);
+  }
+};
@@ -0,0 +1,107 @@
+import { createSimulation, runSimulation, stepSimulation, attemptInfection, DEFAULT_PARAMS } from './engine';
+import { isIsolated, recordContact, testAndTrace } from './testing';
+
+const { dayLength } = DEFAULT_PARAMS;
+
+const tracing = { testingEnabled: true, testSensitivity: 1, tracingSuccess: 1, tracingQuarantine: 4000, contactMemory: 2000 };
+
+test('remembers one entry per encounter and forgets old contacts', () => {
+  const sim = createSimulation({ populationSize: 3, initialInfected: 0, ...tracing });
+  const [a, b, c] = sim.people;
+  recordContact(sim, a, b);
+  sim.time = 100;
+  recordContact(sim, a, b);
+  expect(a.contacts).toEqual(new Map([[1, 100]]));
+  expect(b.contacts).toEqual(new Map([[0, 100]]));
+  sim.time = 3000;
+  recordContact(sim, a, c);
+  expect(a.contacts).toEqual(new Map([[2, 3000]]));
+});
+
+test('three agents touching each other keep one entry per contact and are traced once each', () => {
+  const sim = createSimulation({ populationSize: 3, initialInfected: 0, testCapacity: 1, ...tracing, tracingSuccess: 0.5 });
+  const [a, b, c] = sim.people;
+  // The cluster collides pair by pair, alternating neighbours every step
+  for (let step = 0; step < 100; step++) {
+    sim.time = step * 16;
+    recordContact(sim, a, b);
+    recordContact(sim, a, c);
+    recordContact(sim, b, c);
+  }
+  [a, b, c].forEach(person => expect(person.contacts.size).toBe(2));
+  expect([...a.contacts]).toEqual([[1, 1584], [2, 1584]]);
+
+  // One draw for the test result, then one per distinct contact
+  a.status = 'infected';
+  [b, c].forEach(person => { person.lastTestTime = sim.time; });
+  let draws = 0;
+  sim.random = () => {
+    draws++;
+    return 0.6; // positive test, failed tracing
+  };
+  testAndTrace(sim, dayLength);
+  expect(a.status).toBe('quarantined');
+  expect(draws).toBe(3);
+  expect(sim.testing.contactsQuarantined).toBe(0);
+  expect(a.contacts.size).toBe(0);
+});
+
+test('a positive test isolates the case and quarantines its contacts', () => {
+  const sim = createSimulation({ populationSize: 4, initialInfected: 0, testCapacity: 1, ...tracing });
+  const [caseAgent, exposed, healthy] = sim.people;
+  caseAgent.status = 'asymptomatic';
+  caseAgent.infectedTime = 0;
+  exposed.status = 'exposed';
+  caseAgent.contacts = new Map([[exposed.id, 0], [healthy.id, 0]]);
+  sim.people.forEach(p => { if (p !== caseAgent) p.lastTestTime = 0; }); // only the case is due a test
+
+  testAndTrace(sim, dayLength);
+  expect(caseAgent.status).toBe('quarantined');
+  expect(isIsolated(sim, exposed)).toBe(true);
+  expect(isIsolated(sim, healthy)).toBe(true);
+  expect(sim.testing).toMatchObject({ testsUsed: 1, casesFound: 1, contactsQuarantined: 2, tracedInfected: 1 });
+
+  // Isolated contacts can neither be infected nor move
+  const infector = sim.people[3];
+  infector.status = 'infected';
+  sim.params.infectionRate = 1;
+  expect(attemptInfection(sim, infector, healthy)).toBe(false);
+  const { x, y } = healthy;
+  stepSimulation(sim);
+  expect([healthy.x, healthy.y]).toEqual([x, y]);
+});
+
+test('household members of a case are remembered and traced', () => {
+  const sim = createSimulation({
+    populationSize: 8, initialInfected: 0, testCapacity: 1, ...tracing,
+    structuredContacts: true, householdSize: 4, homeInfectionRate: 0
+  });
+  sim.time = Math.round(dayLength * 0.7); // everyone is home for the night
+  const caseAgent = sim.people[0];
+  caseAgent.status = 'infected';
+  caseAgent.infectedTime = sim.time;
+  const housemates = sim.households[caseAgent.household].members.filter(id => id !== caseAgent.id);
+  stepSimulation(sim);
+  expect([...caseAgent.contacts.keys()].sort()).toEqual([...housemates].sort());
+
+  sim.people.forEach(p => { if (p !== caseAgent) p.lastTestTime = sim.time; });
+  testAndTrace(sim, dayLength);
+  housemates.forEach(id => expect(isIsolated(sim, sim.people[id])).toBe(true));
+  expect(sim.testing.contactsQuarantined).toBe(housemates.length);
+});
+
+test('daily capacity bounds the tests used and finds cases in a running epidemic', () => {
+  const sim = createSimulation({ populationSize: 150, width: 200, height: 200, infectionRate: 0.5, testCapacity: 5, seed: 9, ...tracing });
+  runSimulation(sim, 10 * dayLength);
+  expect(sim.stats.testsUsed).toBeLessThanOrEqual(5 * 10 + 5);
+  expect(sim.stats.testsUsed).toBeGreaterThan(0);
+  expect(sim.stats.casesFound).toBeGreaterThan(0);
+  expect(sim.stats.contactsQuarantined).toBeGreaterThanOrEqual(sim.stats.tracedInfected);
+});
+
+test('testing stays off by default', () => {
+  const sim = createSimulation({ populationSize: 100, seed: 2 });
+  runSimulation(sim, 3000);
+  expect(sim.stats.testsUsed).toBe(0);
+  expect(sim.people.every(p => p.contacts.size === 0)).toBe(true);
+});
@@ -0,0 +1,87 @@
+// Transmission tree and superspreading statistics from the infection log.
+import { infectionEpisodes } from './reproduction';
+
+export const MAX_TREE_NODES = 2000; // earliest episodes kept for drawing
+const TOP_SPREADER_SHARE = 0.2;
+
+// How an episode ended, or its current state if it is still running.
+// Waned immunity (back to healthy or vaccinated) still counts as recovered.
+const episodeOutcome = (sim, episode) => {
+  if (!episode.latest) return 'recovered';
+  const { status } = sim.people[episode.id];
+  return status === 'healthy' || status === 'vaccinated' ? 'recovered' : status;
+};
+
+// Offspring count -> number of completed cases with that many
+export const offspringHistogram = (offspring) => {
+  // reduce rather than spreading into Math.max, which overflows the stack on large runs
+  const counts = Array(offspring.reduce((max, n) => Math.max(max, n), 0) + 1).fill(0);
+  offspring.forEach(n => counts[n]++);
+  return counts.map((cases, n) => ({ offspring: n, cases }));
+};
+
+// Negative-binomial log-likelihood in k with the mean fixed at its MLE,
+// dropping terms that do not depend on k
+const logLikelihood = (offspring, mean, k) =>
+  offspring.reduce((sum, x) => {
+    let term = k * Math.log(k / (k + mean)) + x * Math.log(mean / (k + mean));
+    for (let j = 0; j < x; j++) term += Math.log(k + j);
+    return sum + term;
+  }, 0);
+
+// Maximum-likelihood dispersion parameter k of a negative binomial offspring
+// distribution (small k = strong superspreading). Infinity when the counts
+// are no more variable than Poisson.
+export const dispersionK = (offspring) => {
+  if (offspring.length < 2) return null;
+  const mean = offspring.reduce((sum, x) => sum + x, 0) / offspring.length;
+  if (mean === 0) return null;
+  const variance = offspring.reduce((sum, x) => sum + (x - mean) ** 2, 0) / (offspring.length - 1);
+  if (variance <= mean) return Infinity;
+
+  // Golden-section search over log10 k
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let low = -3;
+  let high = 4;
+  const score = (logK) => logLikelihood(offspring, mean, 10 ** logK);
+  for (let i = 0; i < 60; i++) {
+    const a = high - ratio * (high - low);
+    const b = low + ratio * (high - low);
+    if (score(a) > score(b)) high = b;
+    else low = a;
+  }
+  return 10 ** ((low + high) / 2);
+};
+
+// Share of all transmissions caused by the most infectious 20% of cases
+export const topSpreaderShare = (offspring) => {
+  const total = offspring.reduce((sum, x) => sum + x, 0);
+  if (total === 0) return null;
+  const sorted = [...offspring].sort((a, b) => b - a);
+  const top = sorted.slice(0, Math.ceil(sorted.length * TOP_SPREADER_SHARE));
+  return top.reduce((sum, x) => sum + x, 0) / total;
+};
+
+// Tree nodes (one per infection episode, parents by node index) plus
+// offspring statistics over the completed episodes
+export const buildTransmissionTree = (sim) => {
+  const episodes = infectionEpisodes(sim);
+  const nodes = episodes.slice(0, MAX_TREE_NODES).map(episode => ({
+    id: episode.id,
+    parent: episode.parent,
+    time: episode.time / 1000,
+    ageGroup: sim.people[episode.id].ageGroup,
+    outcome: episodeOutcome(sim, episode),
+    offspring: episode.offspring
+  }));
+  const offspring = episodes.filter(episode => episode.complete).map(episode => episode.offspring);
+  return {
+    nodes,
+    totalEpisodes: episodes.length,
+    completed: offspring.length,
+    histogram: offspringHistogram(offspring),
+    meanOffspring: offspring.length ? offspring.reduce((sum, x) => sum + x, 0) / offspring.length : null,
+    k: dispersionK(offspring),
+    topShare: topSpreaderShare(offspring)
+  };
+};
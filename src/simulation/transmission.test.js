@@ -0,0 +1,45 @@
+import { createSimulation, runSimulation } from './engine';
+import { buildTransmissionTree, dispersionK, offspringHistogram, topSpreaderShare } from './transmission';
+
+test('offspring histogram counts cases per number of transmissions', () => {
+  expect(offspringHistogram([0, 2, 0, 1])).toEqual([
+    { offspring: 0, cases: 2 },
+    { offspring: 1, cases: 1 },
+    { offspring: 2, cases: 1 }
+  ]);
+  // More infectors than a call may take arguments
+  const many = offspringHistogram([...Array(500000).fill(0), 3]);
+  expect(many).toHaveLength(4);
+  expect(many[0].cases).toBe(500000);
+});
+
+test('dispersion k is small for superspreading and infinite for even spread', () => {
+  const superspreading = [...Array(18).fill(0), 10, 12];
+  expect(dispersionK(superspreading)).toBeLessThan(0.5);
+  expect(dispersionK([1, 1, 2, 2, 1, 2])).toBe(Infinity);
+  expect(dispersionK([0, 0, 0])).toBeNull();
+  // Moderately overdispersed counts land in between
+  const moderate = [0, 0, 1, 1, 2, 2, 3, 4, 6, 1];
+  expect(dispersionK(moderate)).toBeGreaterThan(dispersionK(superspreading));
+});
+
+test('top 20% share of transmissions', () => {
+  expect(topSpreaderShare([...Array(8).fill(0), 5, 5])).toBe(1);
+  expect(topSpreaderShare(Array(10).fill(1))).toBeCloseTo(0.2);
+  expect(topSpreaderShare([0, 0])).toBeNull();
+});
+
+test('tree nodes link each case to the episode that infected it', () => {
+  const sim = createSimulation({ populationSize: 120, width: 200, height: 200, infectionRate: 0.6, seed: 4 });
+  runSimulation(sim, 8000);
+  const tree = buildTransmissionTree(sim);
+  expect(tree.nodes).toHaveLength(sim.indexCases.length + sim.infections.length);
+  expect(tree.nodes.filter(node => node.parent === null)).toHaveLength(sim.indexCases.length);
+  tree.nodes.forEach((node, index) => {
+    if (node.parent === null) return;
+    expect(node.parent).toBeLessThan(index);
+    expect(tree.nodes[node.parent].time).toBeLessThanOrEqual(node.time);
+  });
+  const offspringTotal = tree.nodes.reduce((sum, node) => sum + node.offspring, 0);
+  expect(offspringTotal).toBe(sim.infections.length);
+});
@@ -0,0 +1,142 @@
+// Vaccination campaign: hands out `vaccinationRate` doses per second of
+// simulated time to susceptible agents, in the order set by the strategy.
+import { forEachNear } from './spatialHash';
+
+export const VACCINATION_STRATEGIES = {
+  random: 'Acak',
+  seniors: 'Lansia dulu',
+  children: 'Anak dulu',
+  ring: 'Kontak kasus (ring)'
+};
+
+// Share of the full-course efficacy given by the first of two doses
+const FIRST_DOSE_FRACTION = 0.5;
+// Ring vaccination reaches agents within this many contact distances of a case
+const RING_RADIUS_FACTOR = 3;
+
+const AGE_PRIORITY = {
+  seniors: { senior: 0, adult: 1, child: 2 },
+  children: { child: 0, adult: 1, senior: 2 }
+};
+
+export const createVaccinationState = () => ({
+  budget: 0, // fractional doses carried over between steps
+  strategy: null, // strategy the queue was built for
+  queue: [],
+  cursor: 0,
+  awaitingSecond: [], // ids due a second dose, in first-dose order
+  dosesGiven: 0,
+  fullyVaccinated: 0
+});
+
+// Fraction of full protection an agent currently has from its doses
+const doseProtection = (person, params) => {
+  if (person.doses === 0) return 0;
+  if (!params.secondDoseEnabled || person.doses >= 2) return 1;
+  return FIRST_DOSE_FRACTION;
+};
+
+export const infectionProtection = (person, params) =>
+  params.vaccineEfficacyInfection * doseProtection(person, params);
+
+export const deathProtection = (person, params) =>
+  params.vaccineEfficacyDeath * doseProtection(person, params);
+
+const shuffle = (items, random) => {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+};
+
+// Random order within each age band, bands ordered by the strategy
+const buildQueue = (sim, strategy) => {
+  const ids = shuffle(sim.people.map(p => p.id), sim.random);
+  const priority = AGE_PRIORITY[strategy];
+  if (priority) {
+    ids.sort((a, b) => priority[sim.people[a].ageGroup] - priority[sim.people[b].ageGroup]);
+  }
+  return ids;
+};
+
+const giveDose = (sim, person) => {
+  const state = sim.vaccination;
+  person.doses++;
+  person.vaccinatedTime = sim.time;
+  state.dosesGiven++;
+  if (person.status === 'healthy') person.status = 'vaccinated';
+  if (sim.params.secondDoseEnabled && person.doses === 1) state.awaitingSecond.push(person.id);
+  else state.fullyVaccinated++;
+};
+
+// Next unvaccinated susceptible agent in queue order, or null
+const nextFromQueue = (sim) => {
+  const state = sim.vaccination;
+  if (state.strategy !== sim.params.vaccinationStrategy) {
+    state.strategy = sim.params.vaccinationStrategy;
+    state.queue = buildQueue(sim, state.strategy);
+    state.cursor = 0;
+  }
+  const { queue } = state;
+  for (let scanned = 0; scanned < queue.length; scanned++) {
+    const person = sim.people[queue[state.cursor]];
+    state.cursor = (state.cursor + 1) % queue.length;
+    if (person.status === 'healthy' && person.doses === 0) return person;
+  }
+  return null;
+};
+
+// Unvaccinated susceptible agents near known (symptomatic) cases
+const ringCandidates = (sim, limit) => {
+  const found = [];
+  const seen = new Set();
+  const radius = sim.contactDistance * RING_RADIUS_FACTOR;
+  const { people } = sim;
+  for (let i = 0; i < people.length && found.length < limit; i++) {
+    const c = people[i];
+    if (c.status !== 'infected' && c.status !== 'quarantined') continue;
+    forEachNear(sim.grid, people, c.x, c.y, radius, (person) => {
+      if (found.length >= limit || seen.has(person.id)) return;
+      if (person.status !== 'healthy' || person.doses > 0) return;
+      if (Math.hypot(person.x - c.x, person.y - c.y) > radius) return;
+      seen.add(person.id);
+      found.push(person);
+    });
+  }
+  return found;
+};
+
+// Spend this step's dose budget. Due second doses go first.
+export const vaccinate = (sim, deltaTime) => {
+  const { params } = sim;
+  const state = sim.vaccination;
+  if (params.vaccinationRate <= 0 || sim.time < params.vaccinationStart) return;
+
+  // Unused doses do not pile up beyond one second's supply
+  state.budget = Math.min(state.budget + (params.vaccinationRate * deltaTime) / 1000, Math.max(1, params.vaccinationRate));
+
+  while (state.budget >= 1 && state.awaitingSecond.length > 0) {
+    const person = sim.people[state.awaitingSecond[0]];
+    if (sim.time - person.vaccinatedTime < params.secondDoseDelay) break;
+    state.awaitingSecond.shift();
+    if (person.status === 'dead') continue;
+    giveDose(sim, person);
+    state.budget--;
+  }
+
+  if (state.budget < 1) return;
+  if (params.vaccinationStrategy === 'ring') {
+    ringCandidates(sim, Math.floor(state.budget)).forEach(person => {
+      giveDose(sim, person);
+      state.budget--;
+    });
+    return;
+  }
+  while (state.budget >= 1) {
+    const person = nextFromQueue(sim);
+    if (!person) break;
+    giveDose(sim, person);
+    state.budget--;
+  }
+};
@@ -0,0 +1,72 @@
+import { createSimulation, runSimulation } from './engine';
+import { infectionProtection } from './vaccination';
+
+const campaign = (overrides) => createSimulation({
+  populationSize: 300,
+  initialInfected: 0,
+  vaccinationRate: 20,
+  seed: 11,
+  ...overrides
+});
+
+test('hands out doses at the configured rate once the campaign starts', () => {
+  const sim = campaign({ vaccinationStart: 1000 });
+  runSimulation(sim, 1000);
+  expect(sim.stats.dosesGiven).toBe(0);
+  runSimulation(sim, 2000);
+  expect(sim.stats.dosesGiven).toBeGreaterThanOrEqual(39);
+  expect(sim.stats.dosesGiven).toBeLessThanOrEqual(41);
+  expect(sim.stats.vaccinated).toBe(sim.stats.dosesGiven);
+});
+
+test.each([
+  ['seniors', 'senior'],
+  ['children', 'child']
+])('%s-first strategy vaccinates that age group before others', (strategy, ageGroup) => {
+  const sim = campaign({ vaccinationStrategy: strategy });
+  const target = sim.people.filter(p => p.ageGroup === ageGroup).length;
+  runSimulation(sim, ((target - 5) / 20) * 1000);
+  const vaccinated = sim.people.filter(p => p.doses > 0);
+  expect(vaccinated.length).toBeGreaterThan(0);
+  vaccinated.forEach(p => expect(p.ageGroup).toBe(ageGroup));
+});
+
+test('ring strategy only vaccinates agents near symptomatic cases', () => {
+  const sim = campaign({ vaccinationStrategy: 'ring', initialInfected: 2, mobilityRate: 0 });
+  runSimulation(sim, 500);
+  const cases = sim.people.filter(p => p.status === 'infected');
+  const vaccinated = sim.people.filter(p => p.doses > 0);
+  expect(vaccinated.length).toBeGreaterThan(0);
+  vaccinated.forEach(p => {
+    const nearest = Math.min(...cases.map(c => Math.hypot(c.x - p.x, c.y - p.y)));
+    expect(nearest).toBeLessThanOrEqual(sim.contactDistance * 3);
+  });
+});
+
+test('second doses follow the first after the configured delay', () => {
+  const sim = campaign({ secondDoseEnabled: true, secondDoseDelay: 1000, vaccinationRate: 10 });
+  runSimulation(sim, 900);
+  expect(sim.stats.fullyVaccinated).toBe(0);
+  const firstDosed = sim.people.find(p => p.doses === 1);
+  expect(infectionProtection(firstDosed, sim.params)).toBeCloseTo(0.35);
+
+  runSimulation(sim, 1200);
+  expect(firstDosed.doses).toBe(2);
+  expect(infectionProtection(firstDosed, sim.params)).toBeCloseTo(0.7);
+});
+
+test('a perfectly effective vaccine blocks infection', () => {
+  const sim = createSimulation({
+    populationSize: 150, initialInfected: 0, infectionRate: 0.8, width: 150, height: 150,
+    vaccinationRate: 1000, vaccineEfficacyInfection: 1, seed: 2
+  });
+  runSimulation(sim, 1000);
+  expect(sim.stats.vaccinated).toBe(150);
+
+  sim.people.slice(0, 5).forEach(p => {
+    p.status = 'infected';
+    p.infectedTime = sim.time;
+  });
+  runSimulation(sim, 2000);
+  expect(sim.infections).toHaveLength(0);
+});